@@ -0,0 +1,163 @@
+// accounts.js - Player accounts, lifetime stats and the leaderboard
+//
+// Accounts are optional. Anyone who sits down at a table gets a guest profile
+// tied to their session; registering with a password claims it (stats and all)
+// under a username that can be signed in to again later. Only registered
+// accounts show up on the leaderboard.
+
+const crypto = require('crypto');
+
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+
+// Finished games kept in an account's winnings history
+const MAX_HISTORY = 50;
+
+// Passwords are stored as scrypt hashes with a per-account salt
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string' || !stored.includes(':')) {
+    return false;
+  }
+  
+  const [salt, hash] = stored.split(':');
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Check a new password. Returns { error } or {}.
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return { error: `Passwords need at least ${MIN_PASSWORD_LENGTH} characters` };
+  }
+  
+  if (password.length > MAX_PASSWORD_LENGTH) {
+    return { error: `Passwords can be at most ${MAX_PASSWORD_LENGTH} characters` };
+  }
+  
+  return {};
+}
+
+// Usernames are unique regardless of case, so they are compared through this
+function accountKey(username) {
+  return username.toLowerCase();
+}
+
+// A guest profile starts with no username or password
+function createAccount(now = Date.now()) {
+  return {
+    id: crypto.randomBytes(8).toString('hex'),
+    username: null,
+    passwordHash: null,
+    guest: true,
+    createdAt: now,
+    lastSeenAt: now,
+    stats: {
+      byMode: {}, // Keyed by auction mode, see recordFinishedGame
+      history: [] // Newest first, at most MAX_HISTORY entries
+    }
+  };
+}
+
+// Each bid as a share of what the player had going into the round. Bids the
+// server placed for a player (out of time, away) aren't their choice and are left out.
+function bidFractions(rounds, playerId, startingMoney) {
+  const fractions = [];
+  let bankroll = startingMoney;
+  
+  rounds.forEach(round => {
+    const bid = round.bids[playerId];
+    if (bid !== undefined && bankroll > 0 && !(round.autoBids || []).includes(playerId)) {
+      fractions.push(bid / bankroll);
+    }
+    if (round.balances[playerId] !== undefined) {
+      bankroll = round.balances[playerId];
+    }
+  });
+  
+  return fractions;
+}
+
+// Add one finished game to an account's stats. The result is
+// { gameId, gameMode, finishedAt, place, players, won, roundsWon, startingMoney, finalMoney, bidFractions }.
+function recordFinishedGame(account, result) {
+  const stats = account.stats;
+  if (!stats.byMode[result.gameMode]) {
+    stats.byMode[result.gameMode] = { gamesPlayed: 0, wins: 0, bids: 0, bidFractionTotal: 0, net: 0 };
+  }
+  
+  const modeStats = stats.byMode[result.gameMode];
+  modeStats.gamesPlayed++;
+  if (result.won) {
+    modeStats.wins++;
+  }
+  modeStats.bids += result.bidFractions.length;
+  modeStats.bidFractionTotal += result.bidFractions.reduce((sum, fraction) => sum + fraction, 0);
+  modeStats.net += result.finalMoney - result.startingMoney;
+  
+  stats.history.unshift({
+    gameId: result.gameId,
+    gameMode: result.gameMode,
+    finishedAt: result.finishedAt,
+    place: result.place,
+    players: result.players,
+    won: result.won,
+    roundsWon: result.roundsWon,
+    net: result.finalMoney - result.startingMoney
+  });
+  stats.history.length = Math.min(stats.history.length, MAX_HISTORY);
+}
+
+// Totals for one mode, or across every mode when mode is null
+function summarizeStats(stats, mode = null) {
+  const modes = mode ? [mode] : Object.keys(stats.byMode);
+  const totals = { gamesPlayed: 0, wins: 0, bids: 0, bidFractionTotal: 0, net: 0 };
+  
+  modes.forEach(name => {
+    const modeStats = stats.byMode[name];
+    if (modeStats) {
+      Object.keys(totals).forEach(key => {
+        totals[key] += modeStats[key];
+      });
+    }
+  });
+  
+  return {
+    gamesPlayed: totals.gamesPlayed,
+    wins: totals.wins,
+    winRate: totals.gamesPlayed > 0 ? totals.wins / totals.gamesPlayed : 0,
+    averageBidFraction: totals.bids > 0 ? totals.bidFractionTotal / totals.bids : null,
+    net: totals.net
+  };
+}
+
+// Registered accounts with at least one game (in the mode, if given), most wins
+// first, then best win rate, then fewest games
+function buildLeaderboard(accounts, mode = null, limit = 20) {
+  return accounts
+    .filter(account => !account.guest)
+    .map(account => Object.assign({ username: account.username }, summarizeStats(account.stats, mode)))
+    .filter(entry => entry.gamesPlayed > 0)
+    .sort((a, b) => (b.wins - a.wins) || (b.winRate - a.winRate) || (a.gamesPlayed - b.gamesPlayed))
+    .slice(0, limit)
+    .map((entry, index) => Object.assign(entry, { rank: index + 1 }));
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  validatePassword,
+  accountKey,
+  createAccount,
+  bidFractions,
+  recordFinishedGame,
+  summarizeStats,
+  buildLeaderboard
+};
@@ -0,0 +1,145 @@
+// admin.js - The facilitator dashboard: signing in, and the numbers behind it
+//
+// Teachers running a class open several tables at once. The dashboard at
+// /admin lists every game on the server with its progress, creates and starts
+// tables in bulk, closes them, and pools the bids from all tables by auction
+// mode so the modes can be compared side by side. It is switched off unless
+// ADMIN_PASSWORD is set.
+
+const crypto = require('crypto');
+
+// Tables the dashboard creates in one go
+const MAX_BULK_GAMES = 20;
+
+// The dashboard password, or null when the dashboard is switched off
+function loadAdminPassword(env = process.env) {
+  return env.ADMIN_PASSWORD || null;
+}
+
+// Compare digests so the check takes the same time whatever the length of the guess
+function adminPasswordMatches(expected, sent) {
+  if (!expected || typeof sent !== 'string') {
+    return false;
+  }
+  
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(expected), digest(sent));
+}
+
+// Check how many tables to create. Returns { count } or { error }.
+function parseGameCount(value) {
+  const count = typeof value === 'number' ? value : Number(String(value).trim());
+  if (!Number.isInteger(count) || count < 1 || count > MAX_BULK_GAMES) {
+    return { error: `Number of tables must be a whole number from 1 to ${MAX_BULK_GAMES}` };
+  }
+  return { count };
+}
+
+// One table as the dashboard lists it
+function summarizeGame(game) {
+  return {
+    id: game.id,
+    createdAt: game.createdAt,
+    gameMode: game.gameMode,
+    status: game.status,
+    paused: Boolean(game.pausedAt),
+    currentRound: game.currentRound,
+    totalRounds: game.totalRounds,
+    gameNumber: game.gameNumber,
+    visibility: game.settings.visibility,
+    facilitated: Boolean(game.facilitated),
+    tournamentId: game.tournamentId || null,
+    betsIn: Object.keys(game.bets).length,
+    players: game.players.map(p => ({
+      name: p.name,
+      host: p.host,
+      bot: Boolean(p.bot),
+      away: Boolean(p.away),
+      money: p.money,
+      roundsWon: p.roundsWon,
+      hasBet: game.bets[p.id] !== undefined
+    }))
+  };
+}
+
+// Pool the finished rounds of many games by auction mode. The bid figures
+// only count bids people typed: bots and automatic bids for missed deadlines
+// are left out, so they describe how the class played. Winning bids and
+// payments are what the auctions actually did, whoever bid. Bids are also
+// given as a share of the starting money, since tables may start with
+// different amounts.
+function aggregateBids(games) {
+  const byMode = {};
+  
+  games.forEach(game => {
+    const bots = new Set(game.players.concat(game.formerPlayers || []).filter(p => p.bot).map(p => p.id));
+    
+    game.history.forEach(round => {
+      const mode = round.gameMode || game.gameMode;
+      if (!byMode[mode]) {
+        byMode[mode] = { gameMode: mode, tables: new Set(), rounds: 0, bids: [], shares: [], winningBids: [], revenue: 0 };
+      }
+      const entry = byMode[mode];
+      entry.tables.add(game.id);
+      entry.rounds++;
+      entry.revenue += Object.values(round.payments).reduce((sum, amount) => sum + amount, 0);
+      
+      Object.keys(round.bids).forEach(playerId => {
+        if (bots.has(playerId) || round.autoBids.includes(playerId)) {
+          return;
+        }
+        entry.bids.push(round.bids[playerId]);
+        entry.shares.push(round.bids[playerId] / game.settings.startingMoney);
+      });
+      
+      const winningBids = round.winners.map(id => round.bids[id]).filter(bid => bid !== undefined);
+      if (winningBids.length > 0) {
+        entry.winningBids.push(Math.max(...winningBids));
+      }
+    });
+  });
+  
+  return Object.values(byMode)
+    .sort((a, b) => a.gameMode.localeCompare(b.gameMode))
+    .map(entry => ({
+      gameMode: entry.gameMode,
+      tables: entry.tables.size,
+      rounds: entry.rounds,
+      bids: entry.bids.length,
+      averageBid: average(entry.bids),
+      medianBid: median(entry.bids),
+      averageBidShare: average(entry.shares),
+      averageWinningBid: average(entry.winningBids),
+      averageRevenue: entry.rounds > 0 ? roundTo(entry.revenue / entry.rounds, 2) : null
+    }));
+}
+
+function average(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  return roundTo(values.reduce((sum, value) => sum + value, 0) / values.length, 2);
+}
+
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : roundTo((sorted[middle - 1] + sorted[middle]) / 2, 2);
+}
+
+function roundTo(value, places) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  MAX_BULK_GAMES,
+  loadAdminPassword,
+  adminPasswordMatches,
+  parseGameCount,
+  summarizeGame,
+  aggregateBids
+};
@@ -0,0 +1,319 @@
+// api-v1.js - Error codes, bearer tokens and the OpenAPI description for /api/v1
+//
+// The JSON API lets programs play without a browser. Creating or joining a game
+// returns a token for that seat, sent back as "Authorization: Bearer <token>".
+// Every error is { error: message, code } where code is one of ERROR_STATUS.
+
+const { logger } = require('./logger');
+
+// Error codes and the HTTP status each one is sent with
+const ERROR_STATUS = {
+  invalid_request: 400, // Missing or malformed input
+  unauthorized: 401, // No token, or the token isn't for a seat in this game
+  forbidden: 403, // The seat isn't allowed to do this (e.g. only the host can start)
+  not_found: 404, // No such game or route
+  conflict: 409, // Not possible in the game's current state (e.g. not betting time)
+  rate_limited: 429, // Too many requests, see Retry-After
+  internal_error: 500
+};
+
+function sendApiError(res, code, message) {
+  if (!ERROR_STATUS[code]) {
+    code = 'internal_error';
+  }
+  
+  if (code === 'unauthorized') {
+    res.set('WWW-Authenticate', 'Bearer');
+  }
+  return res.status(ERROR_STATUS[code]).json({ error: message, code: code });
+}
+
+// The token from an "Authorization: Bearer <token>" header, or null
+function readBearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+}
+
+// Browsers never send bearer tokens by themselves, so unlike the cookie-based
+// routes the API can be called from any site
+function apiCors(req, res, next) {
+  res.header('Access-Control-Allow-Origin', '*');
+  res.header('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  
+  if (req.method === 'OPTIONS') {
+    return res.sendStatus(204);
+  }
+  next();
+}
+
+function apiNotFound(req, res) {
+  sendApiError(res, 'not_found', `No API route for ${req.method} ${req.path}`);
+}
+
+// Errors thrown inside the API (including bodies that aren't valid JSON) are
+// answered in the API's error format instead of Express's HTML page
+function apiErrorHandler(err, req, res, next) {
+  if (err.type === 'entity.parse.failed') {
+    return sendApiError(res, 'invalid_request', 'Request body is not valid JSON');
+  }
+  
+  logger.error('API error', { method: req.method, path: req.originalUrl, err: err });
+  sendApiError(res, 'internal_error', 'Something went wrong');
+}
+
+// OpenAPI 3 description of the API, served at /api/v1/openapi.json
+function buildOpenApiSpec(modeNames, defaults) {
+  const ref = name => ({ $ref: `#/components/schemas/${name}` });
+  const jsonBody = (schema, required = true) => ({
+    required: required,
+    content: { 'application/json': { schema: schema } }
+  });
+  const jsonResponse = (description, schema) => ({
+    description: description,
+    content: { 'application/json': { schema: schema } }
+  });
+  const errors = (...codes) => {
+    const responses = {};
+    codes.forEach(code => {
+      responses[ERROR_STATUS[code]] = { $ref: `#/components/responses/${code}` };
+    });
+    return responses;
+  };
+  const gameIdParam = { name: 'gameId', in: 'path', required: true, schema: { type: 'string' }, description: 'Six-character game code' };
+  const stateResponse = { 200: jsonResponse('The game as this seat sees it', ref('GameState')) };
+  
+  const errorResponses = {};
+  Object.keys(ERROR_STATUS).forEach(code => {
+    errorResponses[code] = jsonResponse(`Error with code "${code}"`, ref('Error'));
+  });
+  
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Bidding Game API',
+      version: '1.0.0',
+      description: 'Play the bidding game from a program. Create or join a game to get a seat token, ' +
+        'then send it as "Authorization: Bearer <token>" on every other call. Poll the state endpoint ' +
+        'to see when it is time to bet. Errors are { "error": message, "code": code }.'
+    },
+    servers: [{ url: '/api/v1' }],
+    components: {
+      securitySchemes: {
+        seatToken: { type: 'http', scheme: 'bearer', description: 'Token returned when the seat was created' }
+      },
+      responses: errorResponses,
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['error', 'code'],
+          properties: {
+            error: { type: 'string', description: 'Readable message' },
+            code: { type: 'string', enum: Object.keys(ERROR_STATUS) }
+          }
+        },
+        Settings: {
+          type: 'object',
+          description: 'Rule settings. Anything left out keeps its default.',
+          properties: {
+            startingMoney: { type: 'integer', default: defaults.startingMoney },
+            totalRounds: { type: 'integer', nullable: true, description: 'Blank for 5, 7 or 9 by player count' },
+            roundsToWin: { type: 'integer', default: defaults.roundsToWin },
+            tieSplits: { type: 'array', items: { type: 'number' }, default: defaults.tieSplits },
+            tiePolicy: { type: 'string', enum: ['split', 'random', 'rebid', 'none'], default: defaults.tiePolicy, description: 'When the highest bid is tied: split the win by tieSplits, pick one tied bidder at random, have the tied bidders bid again (sealed bids only), or give the round to nobody' },
+            tieSeed: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,32}$', description: 'Seed for random tie-breaks; the same seed picks the same winners. Made up when blank. Only the host is sent it' },
+            bidTimeLimit: { type: 'integer', default: defaults.bidTimeLimit, description: 'Seconds, 0 = no limit' },
+            autoBid: { type: 'integer', default: defaults.autoBid },
+            autoAdvanceDelay: { type: 'integer', default: defaults.autoAdvanceDelay, description: 'Seconds, 0 = host starts each round' },
+            maxPlayers: { type: 'integer', default: defaults.maxPlayers },
+            visibility: { type: 'string', enum: ['private', 'public'], default: defaults.visibility },
+            prizeValues: { type: 'array', items: { type: 'number' }, default: defaults.prizeValues, description: 'Item value per round, the last one repeating. Empty = each round is worth 1' },
+            randomValues: { type: 'string', enum: ['off', 'common', 'private', 'signals'], default: defaults.randomValues, description: 'Draw each round\'s value between valueMin and valueMax, once for everyone, per player, or once but hidden behind a noisy signal per player' },
+            valueMin: { type: 'integer', default: defaults.valueMin },
+            valueMax: { type: 'integer', default: defaults.valueMax },
+            signalNoise: { type: 'integer', default: defaults.signalNoise, description: 'With signals, the most a signal can be above or below the hidden value' },
+            scoring: { type: 'string', enum: ['wins', 'money', 'points', 'surplus', 'budget'], default: defaults.scoring, description: 'Rank by rounds won then money, by money alone, by points per place each round, by value won minus money spent, or by value won alone. Players still level are a draw. Turning item values on without picking one ranks by surplus' }
+          }
+        },
+        Seat: {
+          type: 'object',
+          properties: {
+            gameId: { type: 'string' },
+            playerId: { type: 'string' },
+            token: { type: 'string', description: 'Bearer token for this seat. Keep it secret.' },
+            state: ref('GameState')
+          }
+        },
+        GameState: {
+          type: 'object',
+          description: 'Same state the web page receives',
+          properties: {
+            id: { type: 'string' },
+            gameMode: { type: 'string', enum: modeNames },
+            status: { type: 'string', enum: ['waiting', 'betting', 'roundComplete', 'gameComplete'] },
+            currentRound: { type: 'integer' },
+            totalRounds: { type: 'integer' },
+            amHost: { type: 'boolean' },
+            paused: { type: 'boolean', description: 'The host has paused betting' },
+            players: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  name: { type: 'string' },
+                  money: { type: 'integer' },
+                  roundsWon: { type: 'number' },
+                  valueWon: { type: 'number' },
+                  points: { type: 'integer', description: 'Points for places in the rounds so far' },
+                  score: { type: 'number', description: 'Rounds won, money, points, surplus or value won, by the scoring setting' },
+                  host: { type: 'boolean' },
+                  hasBet: { type: 'boolean' }
+                }
+              }
+            },
+            lastRoundBets: { type: 'object', additionalProperties: { type: 'integer' } },
+            roundWinners: { type: 'array', items: { type: 'string' }, nullable: true },
+            tiebreak: { type: 'object', nullable: true, description: 'While tied bidders bid again: playerIds, the tied amount (the lowest re-bid allowed) and which re-bid this is' },
+            drawnWith: { type: 'array', items: { type: 'string' }, description: 'Names of the players who drew, when a finished game has no overall winner' },
+            clock: { type: 'object', nullable: true, description: 'Price and deadline in live (Dutch and English) rounds' },
+            bidDeadline: { type: 'integer', nullable: true, description: 'Milliseconds since the epoch' },
+            itemValue: { type: 'number', nullable: true, description: 'What this round\'s item is worth (to this seat, with private values). Hidden with signals' },
+            itemSignal: { type: 'number', nullable: true, description: 'This seat\'s signal of the hidden value, with signals' },
+            roundReveal: {
+              type: 'object',
+              nullable: true,
+              description: 'Once a round is over: every seat\'s item value and signal, and what each seat made on the round (share of the value won minus payment)',
+              properties: {
+                values: { type: 'object', additionalProperties: { type: 'number' } },
+                signals: { type: 'object', nullable: true, additionalProperties: { type: 'number' } },
+                surplus: { type: 'object', additionalProperties: { type: 'number' } }
+              }
+            },
+            serverTime: { type: 'integer' }
+          },
+          additionalProperties: true
+        }
+      }
+    },
+    paths: {
+      '/games': {
+        post: {
+          summary: 'Create a game and take the host seat',
+          requestBody: jsonBody({
+            allOf: [ref('Settings'), {
+              type: 'object',
+              required: ['username'],
+              properties: {
+                username: { type: 'string' },
+                gameMode: { type: 'string', enum: modeNames, default: 'all-pay' }
+              }
+            }]
+          }),
+          responses: Object.assign({ 201: jsonResponse('Game created', ref('Seat')) }, errors('invalid_request', 'rate_limited'))
+        }
+      },
+      '/games/{gameId}/players': {
+        parameters: [gameIdParam],
+        post: {
+          summary: 'Join a game that is waiting for players',
+          requestBody: jsonBody({ type: 'object', required: ['username'], properties: { username: { type: 'string' } } }),
+          responses: Object.assign({ 201: jsonResponse('Seat taken', ref('Seat')) }, errors('invalid_request', 'forbidden', 'not_found', 'conflict', 'rate_limited'))
+        }
+      },
+      '/games/{gameId}/state': {
+        parameters: [gameIdParam],
+        get: {
+          summary: 'Current game state',
+          security: [{ seatToken: [] }],
+          responses: Object.assign({}, stateResponse, errors('unauthorized', 'not_found'))
+        }
+      },
+      '/games/{gameId}/start': {
+        parameters: [gameIdParam],
+        post: {
+          summary: 'Start the first round (host only)',
+          security: [{ seatToken: [] }],
+          responses: Object.assign({}, stateResponse, errors('unauthorized', 'forbidden', 'not_found', 'conflict'))
+        }
+      },
+      '/games/{gameId}/bets': {
+        parameters: [gameIdParam],
+        post: {
+          summary: 'Place a sealed bet for this round',
+          security: [{ seatToken: [] }],
+          requestBody: jsonBody({ type: 'object', required: ['amount'], properties: { amount: { type: 'integer', minimum: 0 } } }),
+          responses: Object.assign({}, stateResponse, errors('invalid_request', 'unauthorized', 'not_found', 'conflict'))
+        }
+      },
+      '/games/{gameId}/claim': {
+        parameters: [gameIdParam],
+        post: {
+          summary: 'Claim the item at the current price (Dutch rounds)',
+          security: [{ seatToken: [] }],
+          responses: Object.assign({}, stateResponse, errors('unauthorized', 'not_found', 'conflict'))
+        }
+      },
+      '/games/{gameId}/raise': {
+        parameters: [gameIdParam],
+        post: {
+          summary: 'Raise the high bid (English rounds)',
+          security: [{ seatToken: [] }],
+          requestBody: jsonBody({ type: 'object', required: ['amount'], properties: { amount: { type: 'integer', description: 'New high bid, at least clock.price plus clock.minIncrement' } } }),
+          responses: Object.assign({}, stateResponse, errors('unauthorized', 'not_found', 'conflict'))
+        }
+      },
+      '/games/{gameId}/next-round': {
+        parameters: [gameIdParam],
+        post: {
+          summary: 'Start the next round after the results (host only)',
+          security: [{ seatToken: [] }],
+          responses: Object.assign({}, stateResponse, errors('unauthorized', 'forbidden', 'not_found', 'conflict'))
+        }
+      },
+      '/games/{gameId}/pause': {
+        parameters: [gameIdParam],
+        post: {
+          summary: 'Pause or resume betting (host only). Deadlines move on by the time spent paused.',
+          security: [{ seatToken: [] }],
+          requestBody: jsonBody({ type: 'object', properties: { paused: { type: 'boolean', default: true } } }, false),
+          responses: Object.assign({}, stateResponse, errors('unauthorized', 'forbidden', 'not_found', 'conflict'))
+        }
+      },
+      '/games/{gameId}/undo': {
+        parameters: [gameIdParam],
+        post: {
+          summary: 'Take back the round that just finished and bid it again (host only)',
+          security: [{ seatToken: [] }],
+          responses: Object.assign({}, stateResponse, errors('unauthorized', 'forbidden', 'not_found', 'conflict'))
+        }
+      },
+      '/games/{gameId}/players/{playerId}/host': {
+        parameters: [gameIdParam, { name: 'playerId', in: 'path', required: true, schema: { type: 'string' } }],
+        post: {
+          summary: 'Hand the host role to another player (host only)',
+          security: [{ seatToken: [] }],
+          responses: Object.assign({}, stateResponse, errors('invalid_request', 'unauthorized', 'forbidden', 'not_found'))
+        }
+      },
+      '/games/{gameId}/reset': {
+        parameters: [gameIdParam],
+        post: {
+          summary: 'Set the table up for another game (host only)',
+          security: [{ seatToken: [] }],
+          responses: Object.assign({}, stateResponse, errors('unauthorized', 'forbidden', 'not_found', 'conflict'))
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  ERROR_STATUS,
+  sendApiError,
+  readBearerToken,
+  apiCors,
+  apiNotFound,
+  apiErrorHandler,
+  buildOpenApiSpec
+};
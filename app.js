@@ -3,23 +3,151 @@
 const express = require('express');
 const session = require('express-session');
 const path = require('path');
+const crypto = require('crypto');
 const bodyParser = require('body-parser');
+const { getMode, hasMode, listModes } = require('./auction-modes');
+const { rankBids, tiePolicy } = require('./auction-modes/common');
+const { createStore, StoreSessionStore } = require('./storage');
+const { defaultSettings, validateSettings } = require('./game-settings');
+const { getStrategy, listStrategies, pickBotName } = require('./bots');
+const { buildExport, roundsToCsv, standingsToCsv } = require('./game-export');
+const { DEFAULT_POINTS, rankGame, awardPoints, cumulativeStandings, splitIntoTables, validateBracket } = require('./series');
+const { MAX_USERNAME_LENGTH, loadSessionSecret, parseAllowedOrigins, corsMiddleware, tokensMatch, csrfProtection, rateLimit, sanitizeUsername } = require('./security');
+const { MIN_PASSWORD_LENGTH, hashPassword, verifyPassword, validatePassword, accountKey, createAccount, bidFractions, recordFinishedGame, summarizeStats, buildLeaderboard } = require('./accounts');
+const { sendApiError, readBearerToken, apiCors, apiNotFound, apiErrorHandler, buildOpenApiSpec } = require('./api-v1');
+const { usesItemValues, drawItemValues, drawSignals, roundValue, playerScore, overallLeaders } = require('./item-values');
+const { MAX_MESSAGE_LENGTH, REACTIONS, createChat, sanitizeMessage, checkCanChat, addMessage, countReactions, createChatLimiter } = require('./chat');
+const { recordEvent, recordJoin, recordBetChanges, settleRound, pickOverallWinner, archiveEarlyGames, replayLog, compareWithGame } = require('./game-log');
+const { MAX_BULK_GAMES, loadAdminPassword, adminPasswordMatches, parseGameCount, summarizeGame, aggregateBids } = require('./admin');
+const { logger: log, requestLogging } = require('./logger');
+const { createRegistry, timeResponse } = require('./metrics');
+const { diffGameState, isEmptyDiff } = require('./public/js/state-diff');
 
-// For Azure App Service (free tier), we'll use in-memory session storage
-// In production, you'd want to use a more persistent store like Azure Storage or Cosmos DB
+// Games and sessions both live in the store from ./storage, which by default
+// writes them to disk so a redeploy doesn't end every game in progress
 const app = express();
 const port = process.env.PORT || 3000;
 
-// Game state (in a real app, you'd store this in a database)
-const games = {};
+const store = createStore();
+const sessionStore = new StoreSessionStore(store);
+
+// Set once saved games are back and the server is listening, for /readyz
+let ready = false;
+
+// Password for the facilitator dashboard at /admin, which is off without one
+const adminPassword = loadAdminPassword();
+
+// Open Server-Sent Event streams, keyed by game ID
+const streamClients = {};
+
+// Open lobby streams on the index page, each { res, lastList }
+const lobbyClients = new Set();
+
+// Running clocks for live auction rounds, keyed by game ID
+const clockTimers = {};
+const CLOCK_INTERVAL_MS = 250;
+
+// One-off timers (bid deadlines, automatic next round, bot bets), keyed by game ID then timer name
+const gameTimers = {};
+
+// How long bots take to bet, and how eager they are to raise on each clock tick
+const BOT_MIN_DELAY_MS = 1000;
+const BOT_MAX_DELAY_MS = 3000;
+const BOT_RAISE_CHANCE = 0.15;
+
+// Re-bids a tied sealed-bid round gets under the rebid tie policy before the
+// tie is split after all, and how much bots raise by when they re-bid (as a
+// share of the starting money)
+const MAX_TIEBREAKS = 3;
+const BOT_TIEBREAK_RAISE = 0.05;
+
+// How long a host can be disconnected (e.g. reloading the page) before
+// someone else at the table is made host
+const HOST_HANDOVER_DELAY_MS = 15000;
+
+// How long everyone sees a round's results before the popup closes
+const RESULTS_DISPLAY_MS = 5000;
+
+// Games at a table whose every event stays in its log (and so can be
+// replayed); older ones are kept as a summary, see archiveEarlyGames
+const LOGGED_GAMES_KEPT = 5;
+
+// Chat messages sent per player, see chat.js
+const chatLimiter = createChatLimiter();
+
+// Longest series of games a table can be set up to play, and the most players a tournament takes
+const MAX_SERIES_GAMES = 10;
+const MAX_TOURNAMENT_ENTRANTS = 100;
+
+// How often one address may create or join games
+const CREATE_LIMIT = { windowMs: 60 * 1000, max: 10, message: 'Too many games created. Please wait a minute and try again.' };
+const JOIN_LIMIT = { windowMs: 60 * 1000, max: 20, message: 'Too many join attempts. Please wait a minute and try again.' };
+const SIGN_IN_LIMIT = { windowMs: 15 * 60 * 1000, max: 10, message: 'Too many sign-in attempts. Please wait a few minutes and try again.' };
+
+// Guest profiles nobody has played with for this long are deleted
+const GUEST_ACCOUNT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// What /metrics reports. Games and players are counted when scraped; the rest
+// is counted as it happens.
+const metrics = createRegistry();
+metrics.gauge('bidding_games', 'Games on the server, by status', () => countBy(listGames(), game => ({ status: game.status })));
+metrics.gauge('bidding_players', 'Players seated at games on the server', () => countBy(
+  listGames().reduce((players, game) => players.concat(game.players), []),
+  player => ({ kind: player.bot ? 'bot' : 'human' })
+));
+metrics.gauge('bidding_event_streams', 'Open game event streams', () => Object.values(streamClients).reduce((sum, clients) => sum + clients.size, 0));
+const roundsCompleted = metrics.counter('bidding_rounds_completed_total', 'Rounds completed, by auction mode');
+const betDuration = metrics.histogram('bidding_bet_duration_seconds', 'Time taken to answer a bet, from request to response');
+const stateRequests = metrics.counter('bidding_state_requests_total', 'Requests for a game\'s state, by how they were made');
+
+// Behind Azure's front end (or another proxy) the client address is in
+// X-Forwarded-For. On App Service one hop is trusted unless TRUST_PROXY says
+// otherwise: the front end on Linux, or iisnode on Windows, which web.config
+// has add the address IIS saw. Trusting more would let clients pick their own.
+const trustProxy = process.env.TRUST_PROXY || (process.env.WEBSITE_SITE_NAME || process.env.IISNODE_VERSION ? '1' : '');
+if (trustProxy) {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
+// Every request gets an ID its log lines are tagged with, see logger.js
+app.use(requestLogging(log));
+
+// For the App Service health check and Prometheus. These come before the
+// session middleware so probes don't each start a session.
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok' });
+});
+
+// Ready once saved games are recovered, and only while the store can be written to
+app.get('/readyz', (req, res) => {
+  const storeError = store.check();
+  if (!ready || storeError) {
+    return res.status(503).json({ status: 'unavailable', reason: storeError || 'Starting up' });
+  }
+  res.json({ status: 'ok' });
+});
+
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4');
+  res.send(metrics.render());
+});
+
+// The JSON API for programs authenticates with bearer tokens instead of the
+// session cookie, so it is mounted ahead of the session and CSRF middleware.
+// Its routes are further down, see "JSON API".
+const api = express.Router();
+app.use('/api/v1', apiCors, api);
 
 // Set up session middleware
 app.use(session({
-  secret: 'betting-game-secret',
+  store: sessionStore,
+  secret: loadSessionSecret(),
   resave: false,
-  saveUninitialized: true,
+  saveUninitialized: false, // Visitors who never sign in, join or post get no stored session
   cookie: { 
     secure: process.env.NODE_ENV === 'production', // Only use secure cookies in production
+    httpOnly: true,
+    sameSite: 'lax',
     maxAge: 1000 * 60 * 60 // 1 hour
   }
 }));
@@ -28,13 +156,11 @@ app.use(session({
 app.use(bodyParser.urlencoded({ extended: false }));
 app.use(bodyParser.json());
 
-// Add CORS headers for local development
-app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  next();
-});
+// Cross-origin requests only from the origins in ALLOWED_ORIGINS (comma-separated)
+app.use(corsMiddleware(parseAllowedOrigins(process.env.ALLOWED_ORIGINS)));
+
+// Every POST needs the session's CSRF token
+app.use(csrfProtection);
 
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
@@ -45,14 +171,56 @@ app.set('views', path.join(__dirname, 'views'));
 
 // Routes
 app.get('/', (req, res) => {
+  const account = getAccount(req.session.accountId);
+  
   res.render('index', { 
     user: req.session.user,
-    error: req.session.error 
+    account: account ? {
+      username: account.username,
+      guest: account.guest,
+      stats: summarizeStats(account.stats)
+    } : null,
+    error: req.session.error,
+    modes: listModes(),
+    defaults: defaultSettings(),
+    maxUsernameLength: MAX_USERNAME_LENGTH,
+    minPasswordLength: MIN_PASSWORD_LENGTH
   });
   // Clear any error messages after displaying them
   delete req.session.error;
 });
 
+// Public games that are still waiting for players, for the lobby on the index page
+app.get('/lobby', (req, res) => {
+  res.json({ games: buildLobbyList() });
+});
+
+// Stream the lobby list, sending the whole list again whenever it changes
+app.get('/lobby/events', (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-store, must-revalidate',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  
+  const games = buildLobbyList();
+  const client = { res: res, lastList: JSON.stringify(games) };
+  lobbyClients.add(client);
+  
+  res.write('retry: 2000\n');
+  sendStreamEvent(res, 'lobby', { games: games });
+  
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+  }, 25000);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    lobbyClients.delete(client);
+  });
+});
+
 // Helper function to determine total rounds based on player count
 function getTotalRoundsForPlayerCount(playerCount) {
   if (playerCount <= 2) {
@@ -64,152 +232,233 @@ function getTotalRoundsForPlayerCount(playerCount) {
   }
 }
 
+// Helper function to get a game's number of rounds: fixed by the host, or by player count
+function getTotalRounds(game) {
+  return game.settings.totalRounds || getTotalRoundsForPlayerCount(game.players.length);
+}
+
 // Create a new game
-app.post('/game/create', (req, res) => {
-  const gameId = generateGameId();
-  const username = req.body.username;
-  const gameMode = req.body.gameMode || 'all-pay'; // Default to all-pay if not specified
-  
-  console.log(`Creating new game ${gameId} for user ${username}, mode: ${gameMode}`);
-  
-  if (!username || username.trim() === '') {
-    req.session.error = 'Please enter a username';
+app.post('/game/create', rateLimit(CREATE_LIMIT), (req, res) => {
+  const { username, gameMode, settings, error } = checkNewGame(req.body);
+  if (error) {
+    req.session.error = error;
     return res.redirect('/');
   }
+  
+  const game = createGame(gameMode, settings, username);
+  game.players[0].accountId = ensureAccount(req).id;
+  saveGame(game);
+  notifyLobby();
+  
+  req.session.user = {
+    gameId: game.id,
+    playerId: game.players[0].id,
+    name: username
+  };
+  
+  log.info(`Game ${game.id} created successfully, redirecting to game page`, { gameId: game.id });
+  res.redirect(`/game/${game.id}`);
+});
 
-  // Create a timestamp for the game
-  const createdAt = Date.now();
-
-  // Start with 1 player (the host)
-  const initialRounds = getTotalRoundsForPlayerCount(1);
+// Helper function to check a request to create a game. Returns the host's
+// name, the mode and the settings, or { error, code }.
+function checkNewGame(body) {
+  const gameMode = body.gameMode || 'all-pay'; // Default to all-pay if not specified
+  
+  const { name: username, error: usernameError } = sanitizeUsername(body.username);
+  if (usernameError) {
+    return { error: usernameError, code: 'invalid_request' };
+  }
+  
+  log.info(`Creating new game for user ${username}, mode: ${gameMode}`);
+  
+  if (!hasMode(gameMode)) {
+    log.warn(`Unknown game mode ${gameMode} requested`);
+    return { error: 'Unknown game mode', code: 'invalid_request' };
+  }
+  
+  const { settings, error } = validateSettings(body);
+  if (error) {
+    log.warn(`Invalid settings for new game: ${error}`);
+    return { error: error, code: 'invalid_request' };
+  }
+  
+  return { username, gameMode, settings };
+}
 
-  games[gameId] = {
-    id: gameId,
-    createdAt: createdAt,
+// Helper function to set up a new game in the lobby with its host seated.
+// Tables opened from the dashboard have no host name; whoever joins first hosts.
+function createGame(gameMode, settings, hostName) {
+  const game = {
+    id: generateGameId(),
+    createdAt: Date.now(),
     gameMode: gameMode, // Add game mode to the game state
-    players: [{
-      id: generatePlayerId(),
-      name: username,
-      money: 100,
-      roundsWon: 0,
-      host: true
-    }],
+    settings: settings,
+    players: hostName ? [createPlayer(hostName, settings.startingMoney, true)] : [],
     currentRound: 0,
-    totalRounds: initialRounds,
-    roundsToWin: 3,
+    totalRounds: 0, // Set below, once the host is seated
+    roundsToWin: settings.roundsToWin,
     status: 'waiting', // waiting, betting, roundComplete, gameComplete
     bets: {},
-    roundWinner: null
+    roundWinner: null,
+    gameNumber: 1, // Goes up each time the table plays again
+    history: [], // One entry per completed round, see recordRoundHistory
+    formerPlayers: [], // Players the host kicked, so the history can still name them
+    chat: createChat(),
+    log: [] // Every change to the game, in order, see game-log.js
   };
+  game.totalRounds = getTotalRounds(game);
+  
+  // Random tie-breaks need a seed; the host can see it and set it to repeat a game
+  if (!settings.tieSeed) {
+    settings.tieSeed = crypto.randomBytes(4).toString('hex');
+  }
+  
+  recordEvent(game, 'created', { gameMode: gameMode, settings: JSON.parse(JSON.stringify(settings)) });
+  game.players.forEach(p => recordJoin(game, p));
+  return game;
+}
 
-  req.session.user = {
-    gameId: gameId,
-    playerId: games[gameId].players[0].id,
-    name: username
+// Helper function to make a seat for a human player
+function createPlayer(name, money, host) {
+  return {
+    id: generatePlayerId(),
+    name: name,
+    money: money,
+    roundsWon: 0,
+    valueWon: 0,
+    surplus: 0,
+    points: 0,
+    host: host,
+    rejoinToken: generateRejoinToken()
   };
-
-  console.log(`Game ${gameId} created successfully, redirecting to game page`);
-  res.redirect(`/game/${gameId}`);
-});
+}
 
 // Join an existing game
-app.post('/game/join', (req, res) => {
+app.post('/game/join', rateLimit(JOIN_LIMIT), (req, res) => {
   let gameId = req.body.gameId;
-  const username = req.body.username;
   
   // Normalize the game ID to uppercase for comparison
-  if (gameId) {
-    gameId = gameId.toUpperCase();
+  if (typeof gameId === 'string') {
+    gameId = gameId.trim().toUpperCase();
+  } else {
+    gameId = null;
   }
   
-  console.log(`User ${username} attempting to join game ${gameId}`);
-  
-  if (!username || username.trim() === '') {
-    req.session.error = 'Please enter a username';
+  const { name: username, error: usernameError } = sanitizeUsername(req.body.username);
+  if (usernameError) {
+    req.session.error = usernameError;
     return res.redirect('/');
   }
   
-  if (!gameId || !games[gameId]) {
-    console.log(`Game ${gameId} not found`);
+  log.info(`User ${username} attempting to join game ${gameId}`, { gameId: gameId });
+  
+  if (!gameId || !getGame(gameId)) {
+    log.warn(`Game ${gameId} not found`, { gameId: gameId });
     req.session.error = 'Game not found';
     return res.redirect('/');
   }
   
-  const game = games[gameId];
+  const game = getGame(gameId);
+  const { player: newPlayer, error } = joinGame(game, username);
+  if (error) {
+    req.session.error = error;
+    return res.redirect('/');
+  }
+  
+  newPlayer.accountId = ensureAccount(req).id;
+  saveGame(game);
+  
+  req.session.user = {
+    gameId: gameId,
+    playerId: newPlayer.id,
+    name: username
+  };
   
-  console.log(`Game ${gameId} status: ${game.status}, current players: ${game.players.length}, mode: ${game.gameMode}`);
+  res.redirect(`/game/${gameId}`);
+});
+
+// Helper function to seat a new player in a game that is still in its lobby.
+// Returns { player } or { error, code }.
+function joinGame(game, username) {
+  log.debug(`Game ${game.id} status: ${game.status}, current players: ${game.players.length}, mode: ${game.gameMode}`, { gameId: game.id });
   
   if (game.status !== 'waiting') {
-    console.log(`Game ${gameId} has already started`);
-    req.session.error = 'Game has already started';
-    return res.redirect('/');
+    log.warn(`Game ${game.id} has already started`, { gameId: game.id });
+    return { error: 'Game has already started', code: 'conflict' };
+  }
+  
+  if (game.tournamentId) {
+    log.warn(`Game ${game.id} is a tournament table`, { gameId: game.id });
+    return { error: 'This table belongs to a tournament. Join the tournament instead.', code: 'forbidden' };
+  }
+  
+  if (game.players.length >= game.settings.maxPlayers) {
+    log.warn(`Game ${game.id} is full (${game.players.length}/${game.settings.maxPlayers})`, { gameId: game.id });
+    return { error: 'Game is full', code: 'conflict' };
   }
   
   // Check if the username is already taken in this game
   if (game.players.some(p => p.name === username)) {
-    console.log(`Username ${username} already taken in game ${gameId}`);
-    req.session.error = 'Username already taken in this game';
-    return res.redirect('/');
+    log.warn(`Username ${username} already taken in game ${game.id}`, { gameId: game.id });
+    return { error: 'Username already taken in this game', code: 'conflict' };
   }
   
-  const newPlayer = {
-    id: generatePlayerId(),
-    name: username,
-    money: 100,
-    roundsWon: 0,
-    host: false
-  };
+  // A table opened from the dashboard is hosted by its first player
+  const newPlayer = createPlayer(username, game.settings.startingMoney, !game.players.some(p => p.host));
   
   game.players.push(newPlayer);
+  recordJoin(game, newPlayer);
   
   // Update total rounds based on new player count
-  game.totalRounds = getTotalRoundsForPlayerCount(game.players.length);
-  console.log(`Updated total rounds to ${game.totalRounds} for game ${gameId} with ${game.players.length} players`);
+  game.totalRounds = getTotalRounds(game);
+  log.debug(`Updated total rounds to ${game.totalRounds} for game ${game.id} with ${game.players.length} players`, { gameId: game.id });
   
-  console.log(`User ${username} successfully joined game ${gameId}`);
-  
-  req.session.user = {
-    gameId: gameId,
-    playerId: newPlayer.id,
-    name: username
-  };
+  log.info(`User ${username} successfully joined game ${game.id}`, { gameId: game.id });
+  notifyGameUpdated(game);
   
-  res.redirect(`/game/${gameId}`);
-});
+  return { player: newPlayer };
+}
 
 // Game page
 app.get('/game/:gameId', (req, res) => {
   const gameId = req.params.gameId;
   const user = req.session.user;
   
-  console.log(`Loading game page for game ${gameId}, user:`, user ? user.name : 'unknown');
+  log.debug(`Loading game page for game ${gameId}`, { gameId: gameId, user: user ? user.name : null });
   
-  if (!games[gameId]) {
-    console.log(`Game ${gameId} not found when loading game page`);
+  if (!getGame(gameId)) {
+    log.warn(`Game ${gameId} not found when loading game page`, { gameId: gameId });
     req.session.error = 'Game not found';
     return res.redirect('/');
   }
   
   if (!user || user.gameId !== gameId) {
-    console.log(`User not in game ${gameId} when loading game page`);
+    log.warn(`User not in game ${gameId} when loading game page`, { gameId: gameId });
     req.session.error = 'You are not in this game';
     return res.redirect('/');
   }
   
-  const game = games[gameId];
+  const game = getGame(gameId);
   const player = game.players.find(p => p.id === user.playerId);
   
   if (!player) {
-    console.log(`Player not found in game ${gameId} when loading game page`);
+    log.warn(`Player not found in game ${gameId} when loading game page`, { gameId: gameId });
     req.session.error = 'Player not found';
     return res.redirect('/');
   }
   
-  console.log(`Rendering game page for ${gameId}, status: ${game.status}, players: ${game.players.length}, mode: ${game.gameMode}`);
+  log.debug(`Rendering game page for ${gameId}, status: ${game.status}, players: ${game.players.length}, mode: ${game.gameMode}`, { gameId: gameId });
   
   res.render('game', { 
     game: game, 
     player: player,
+    mode: getMode(game.gameMode),
+    modes: listModes(),
+    strategies: listStrategies(),
+    reactions: REACTIONS,
+    maxMessageLength: MAX_MESSAGE_LENGTH,
+    usesItemValues: usesItemValues,
     error: req.session.error 
   });
   
@@ -217,523 +466,3219 @@ app.get('/game/:gameId', (req, res) => {
   delete req.session.error;
 });
 
+// Take a seat back with the player's rejoin link, e.g. on a new device or after
+// the session cookie is lost. Works in any game state.
+app.get('/game/:gameId/rejoin/:token', (req, res) => {
+  const gameId = req.params.gameId;
+  const game = getGame(gameId);
+  
+  log.info(`Rejoin attempt for game ${gameId}`, { gameId: gameId });
+  
+  if (!game) {
+    log.warn(`Game ${gameId} not found when rejoining`, { gameId: gameId });
+    req.session.error = 'Game not found';
+    return res.redirect('/');
+  }
+  
+  const player = game.players.find(p => p.rejoinToken && p.rejoinToken === req.params.token);
+  if (!player) {
+    log.warn(`Invalid rejoin token for game ${gameId}`, { gameId: gameId });
+    req.session.error = 'This rejoin link is not valid. You may have been removed from the game.';
+    return res.redirect('/');
+  }
+  
+  player.away = false;
+  
+  req.session.user = {
+    gameId: gameId,
+    playerId: player.id,
+    name: player.name
+  };
+  
+  log.info(`Player ${player.name} rejoined game ${gameId}`, { gameId: gameId });
+  notifyGameUpdated(game);
+  res.redirect(`/game/${gameId}`);
+});
+
 // Start game
 app.post('/game/:gameId/start', (req, res) => {
   const gameId = req.params.gameId;
   const user = req.session.user;
   
-  console.log(`Starting game ${gameId}, user:`, user ? user.name : 'unknown');
+  log.info(`Starting game ${gameId}`, { gameId: gameId, user: user ? user.name : null });
   
-  if (!games[gameId]) {
-    console.log(`Game ${gameId} not found when starting game`);
+  if (!getGame(gameId)) {
+    log.warn(`Game ${gameId} not found when starting game`, { gameId: gameId });
     return res.status(404).json({ error: 'Game not found' });
   }
   
   if (!user || user.gameId !== gameId) {
-    console.log(`User not in game ${gameId} when starting game`);
+    log.warn(`User not in game ${gameId} when starting game`, { gameId: gameId });
     return res.status(403).json({ error: 'You are not in this game' });
   }
   
-  const game = games[gameId];
-  console.log(`Game status: ${game.status}, players:`, game.players.length);
+  const game = getGame(gameId);
+  log.debug(`Game status: ${game.status}, players: ${game.players.length}`, { gameId: gameId });
   
   const player = game.players.find(p => p.id === user.playerId);
   
   if (!player || !player.host) {
-    console.log(`Player is not host when starting game ${gameId}`);
+    log.warn(`Player is not host when starting game ${gameId}`, { gameId: gameId });
     return res.status(403).json({ error: 'Only the host can start the game' });
   }
   
+  const result = startGame(game);
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+  
+  res.json({ success: true });
+});
+
+// Helper function to start the first round. Returns { error, code } if the game can't start.
+function startGame(game) {
   if (game.players.length < 2) {
-    console.log(`Not enough players (${game.players.length}) to start game ${gameId}`);
-    return res.status(400).json({ error: 'Need at least 2 players to start' });
+    log.warn(`Not enough players (${game.players.length}) to start game ${game.id}`, { gameId: game.id });
+    return { error: 'Need at least 2 players to start', code: 'conflict' };
   }
   
   if (game.status !== 'waiting') {
-    console.log(`Game ${gameId} already started: ${game.status}`);
-    return res.status(400).json({ error: 'Game has already started' });
+    log.warn(`Game ${game.id} already started: ${game.status}`, { gameId: game.id });
+    return { error: 'Game has already started', code: 'conflict' };
   }
   
   // Start the first round
   game.status = 'betting';
   game.currentRound = 1;
   game.bets = {};
-  
-  console.log(`Game ${gameId} started successfully`);
-  res.json({ success: true });
-});
+  game.autoBidPlayers = [];
+  drawRoundValues(game);
+  recordEvent(game, 'started', { totalRounds: game.totalRounds, itemValues: game.itemValues, signals: game.itemSignals });
+  startRoundTimers(game);
+  
+  log.info(`Game ${game.id} started successfully`, { gameId: game.id });
+  notifyGameUpdated(game);
+  return {};
+}
 
 // Place bet
 app.post('/game/:gameId/bet', (req, res) => {
+  timeResponse(res, betDuration);
   const gameId = req.params.gameId;
   const user = req.session.user;
   const betAmount = parseInt(req.body.amount, 10);
   
-  console.log(`Player ${user ? user.name : 'unknown'} placing bet ${betAmount} in game ${gameId}`);
+  log.info(`Player ${user ? user.name : 'unknown'} placing bet ${betAmount} in game ${gameId}`, { gameId: gameId });
   
-  if (!games[gameId]) {
-    console.log(`Game ${gameId} not found when placing bet`);
+  if (!getGame(gameId)) {
+    log.warn(`Game ${gameId} not found when placing bet`, { gameId: gameId });
     return res.status(404).json({ error: 'Game not found' });
   }
   
   if (!user || user.gameId !== gameId) {
-    console.log(`User not in game ${gameId} when placing bet`);
+    log.warn(`User not in game ${gameId} when placing bet`, { gameId: gameId });
     return res.status(403).json({ error: 'You are not in this game' });
   }
   
-  const game = games[gameId];
+  const game = getGame(gameId);
   const player = game.players.find(p => p.id === user.playerId);
   
   if (!player) {
-    console.log(`Player not found in game ${gameId} when placing bet`);
+    log.warn(`Player not found in game ${gameId} when placing bet`, { gameId: gameId });
     return res.status(404).json({ error: 'Player not found' });
   }
   
-  if (game.status !== 'betting') {
-    console.log(`Game ${gameId} status ${game.status} not in betting phase`);
-    return res.status(400).json({ error: 'It is not betting time' });
+  const result = placeBet(game, player, betAmount);
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
   }
   
-  if (game.bets[player.id] !== undefined) {
-    console.log(`Player ${player.name} already bet in round ${game.currentRound}`);
-    return res.status(400).json({ error: 'You have already placed a bet this round' });
+  notifyGameUpdated(game);
+  res.json({ success: true });
+});
+
+// Change the game's rule settings (host only, before the game starts)
+app.post('/game/:gameId/settings', (req, res) => {
+  const gameId = req.params.gameId;
+  const user = req.session.user;
+  
+  log.info(`Updating settings for game ${gameId}`, { gameId: gameId, user: user ? user.name : null });
+  
+  if (!getGame(gameId)) {
+    log.warn(`Game ${gameId} not found when updating settings`, { gameId: gameId });
+    return res.status(404).json({ error: 'Game not found' });
   }
   
-  if (isNaN(betAmount) || betAmount < 0 || betAmount > player.money) {
-    console.log(`Invalid bet amount ${betAmount} from player ${player.name}`);
-    return res.status(400).json({ error: 'Invalid bet amount' });
+  if (!user || user.gameId !== gameId) {
+    log.warn(`User not in game ${gameId} when updating settings`, { gameId: gameId });
+    return res.status(403).json({ error: 'You are not in this game' });
   }
   
-  // Place the bet
-  game.bets[player.id] = betAmount;
-  console.log(`Player ${player.name} bet ${betAmount} in game ${gameId}`);
+  const game = getGame(gameId);
+  const player = game.players.find(p => p.id === user.playerId);
   
-  // Check if all players have bet
-  const allPlayersHaveBet = game.players.every(p => game.bets[p.id] !== undefined);
+  if (!player || !player.host) {
+    log.warn(`Player is not host when updating settings in game ${gameId}`, { gameId: gameId });
+    return res.status(403).json({ error: 'Only the host can change the settings' });
+  }
   
-  if (allPlayersHaveBet) {
-    console.log(`All players have bet in game ${gameId}, completing round ${game.currentRound}`);
-    // Complete the round
-    completeRound(game);
+  if (game.status !== 'waiting') {
+    log.warn(`Game ${gameId} already started: ${game.status}`, { gameId: gameId });
+    return res.status(400).json({ error: 'Settings can only be changed before the game starts' });
   }
   
-  res.json({ success: true });
+  if (game.tournamentId) {
+    return res.status(400).json({ error: 'Tournament tables use the tournament settings' });
+  }
+  
+  const { settings, error } = validateSettings(req.body, game.settings);
+  if (error) {
+    log.warn(`Invalid settings for game ${gameId}: ${error}`, { gameId: gameId });
+    return res.status(400).json({ error: error });
+  }
+  
+  if (settings.maxPlayers < game.players.length) {
+    log.warn(`Max players ${settings.maxPlayers} below seated players in game ${gameId}`, { gameId: gameId });
+    return res.status(400).json({ error: `There are already ${game.players.length} players in the game` });
+  }
+  
+  game.settings = settings;
+  game.roundsToWin = settings.roundsToWin;
+  game.totalRounds = getTotalRounds(game);
+  game.players.forEach(p => {
+    p.money = settings.startingMoney;
+  });
+  recordEvent(game, 'settingsChanged', { settings: JSON.parse(JSON.stringify(settings)) });
+  
+  log.info(`Game ${gameId} settings updated`, { gameId: gameId, settings: settings });
+  notifyGameUpdated(game);
+  res.json({ success: true, settings: settings });
 });
 
-// Next round
-app.post('/game/:gameId/nextround', (req, res) => {
+// Turn the table into a series of games (host only, before the series starts).
+// schedule lists the auction mode of each game; fewer than two games ends the series.
+app.post('/game/:gameId/series', (req, res) => {
   const gameId = req.params.gameId;
   const user = req.session.user;
+  const schedule = Array.isArray(req.body.schedule) ? req.body.schedule : [];
   
-  console.log(`Starting next round in game ${gameId}, user:`, user ? user.name : 'unknown');
+  log.info(`Setting series for game ${gameId}`, { gameId: gameId, user: user ? user.name : null });
   
-  if (!games[gameId]) {
-    console.log(`Game ${gameId} not found when advancing round`);
+  if (!getGame(gameId)) {
+    log.warn(`Game ${gameId} not found when setting series`, { gameId: gameId });
     return res.status(404).json({ error: 'Game not found' });
   }
   
   if (!user || user.gameId !== gameId) {
-    console.log(`User not in game ${gameId} when advancing round`);
+    log.warn(`User not in game ${gameId} when setting series`, { gameId: gameId });
     return res.status(403).json({ error: 'You are not in this game' });
   }
   
-  const game = games[gameId];
+  const game = getGame(gameId);
   const player = game.players.find(p => p.id === user.playerId);
   
   if (!player || !player.host) {
-    console.log(`Player is not host when advancing round in game ${gameId}`);
-    return res.status(403).json({ error: 'Only the host can advance to the next round' });
+    log.warn(`Player is not host when setting series for game ${gameId}`, { gameId: gameId });
+    return res.status(403).json({ error: 'Only the host can set up a series' });
   }
   
-  if (game.status !== 'roundComplete') {
-    console.log(`Game ${gameId} status ${game.status} is not roundComplete`);
-    return res.status(400).json({ error: 'Cannot start next round yet' });
+  if (game.status !== 'waiting' || (game.series && game.series.results.length > 0) || game.tournamentId) {
+    log.warn(`Series for game ${gameId} can no longer be changed`, { gameId: gameId });
+    return res.status(400).json({ error: 'A series can only be set up before its first game' });
   }
   
-  // Check if the game is over based on game mode
-  if (shouldEndGame(game)) {
-    console.log(`Game ${gameId} complete after ${game.currentRound} rounds`);
-    game.status = 'gameComplete';
-    
-    // Determine the overall winner
-    determineOverallWinner(game);
-    
-    return res.json({ success: true, gameComplete: true });
+  if (schedule.length > MAX_SERIES_GAMES || !schedule.every(mode => hasMode(mode))) {
+    log.warn(`Invalid series schedule for game ${gameId}: ${JSON.stringify(schedule)}`, { gameId: gameId });
+    return res.status(400).json({ error: `A series is up to ${MAX_SERIES_GAMES} games, each in a known mode` });
   }
   
-  // Start the next round
-  game.currentRound++;
-  game.status = 'betting';
-  game.bets = {};
-  game.roundWinners = null;
-  game.showRoundResults = false; // Hide round results
+  if (schedule.length < 2) {
+    game.series = null;
+  } else {
+    game.series = {
+      name: typeof req.body.name === 'string' && req.body.name.trim() ? req.body.name.trim().substring(0, 40) : 'Series',
+      schedule: schedule,
+      points: DEFAULT_POINTS,
+      results: [],
+      complete: false
+    };
+    game.gameMode = schedule[0];
+    recordEvent(game, 'modeChanged', { gameMode: game.gameMode });
+  }
   
-  console.log(`Game ${gameId} advanced to round ${game.currentRound}`);
+  log.info(`Game ${gameId} series set to ${schedule.join(', ') || 'none'}`, { gameId: gameId });
+  notifyGameUpdated(game);
   res.json({ success: true });
 });
 
-// Reset game
-app.post('/game/:gameId/reset', (req, res) => {
+// Seat a computer-controlled player (host only, before the game starts)
+app.post('/game/:gameId/bots', (req, res) => {
   const gameId = req.params.gameId;
   const user = req.session.user;
+  const strategyName = req.body.strategy;
   
-  console.log(`Resetting game ${gameId}, user:`, user ? user.name : 'unknown');
+  log.info(`Adding ${strategyName} bot to game ${gameId}`, { gameId: gameId, user: user ? user.name : null });
   
-  if (!games[gameId]) {
-    console.log(`Game ${gameId} not found when resetting`);
+  if (!getGame(gameId)) {
+    log.warn(`Game ${gameId} not found when adding bot`, { gameId: gameId });
     return res.status(404).json({ error: 'Game not found' });
   }
   
   if (!user || user.gameId !== gameId) {
-    console.log(`User not in game ${gameId} when resetting`);
+    log.warn(`User not in game ${gameId} when adding bot`, { gameId: gameId });
     return res.status(403).json({ error: 'You are not in this game' });
   }
   
-  const game = games[gameId];
+  const game = getGame(gameId);
   const player = game.players.find(p => p.id === user.playerId);
   
   if (!player || !player.host) {
-    console.log(`Player is not host when resetting game ${gameId}`);
-    return res.status(403).json({ error: 'Only the host can reset the game' });
+    log.warn(`Player is not host when adding bot to game ${gameId}`, { gameId: gameId });
+    return res.status(403).json({ error: 'Only the host can add bots' });
   }
   
-  // Reset the game
-  game.players.forEach(p => {
-    p.money = 100;
-    p.roundsWon = 0;
-  });
+  if (game.status !== 'waiting') {
+    log.warn(`Game ${gameId} already started: ${game.status}`, { gameId: gameId });
+    return res.status(400).json({ error: 'Bots can only be added before the game starts' });
+  }
   
-  game.currentRound = 0;
-  game.status = 'waiting';
-  game.bets = {};
-  game.roundWinners = null;
-  game.overallWinner = null;
-  game.lastRoundBets = {};
-  game.showRoundResults = false;
-  game.secondHighestBid = undefined;
-  game.actualPayments = {};
+  if (game.tournamentId) {
+    return res.status(400).json({ error: 'Bots cannot join tournament tables' });
+  }
   
-  console.log(`Game ${gameId} reset successfully`);
-  res.json({ success: true });
+  const strategy = getStrategy(strategyName);
+  if (!strategy) {
+    log.warn(`Unknown bot strategy ${strategyName}`);
+    return res.status(400).json({ error: 'Unknown bot strategy' });
+  }
+  
+  if (game.players.length >= game.settings.maxPlayers) {
+    log.warn(`Game ${gameId} is full, not adding bot`, { gameId: gameId });
+    return res.status(400).json({ error: 'The game is full' });
+  }
+  
+  const bot = {
+    id: generatePlayerId(),
+    name: pickBotName(game.players.map(p => p.name)),
+    money: game.settings.startingMoney,
+    roundsWon: 0,
+    valueWon: 0,
+    surplus: 0,
+    points: 0,
+    host: false,
+    bot: true,
+    strategy: strategy.name
+  };
+  
+  game.players.push(bot);
+  recordJoin(game, bot);
+  game.totalRounds = getTotalRounds(game);
+  
+  log.info(`Bot ${bot.name} (${strategy.name}) joined game ${gameId}`, { gameId: gameId });
+  notifyGameUpdated(game);
+  res.json({ success: true, playerId: bot.id });
 });
 
-// Get game state (for polling updates)
-app.get('/game/:gameId/state', (req, res) => {
+// Remove a bot from the lobby (host only)
+app.post('/game/:gameId/bots/:playerId/remove', (req, res) => {
   const gameId = req.params.gameId;
   const user = req.session.user;
   
-  // Only log every 10th request to avoid flooding the logs
-  const shouldLog = Math.random() < 0.1;
-  if (shouldLog) {
-    console.log(`Polling game state for game ${gameId}, user:`, user ? user.name : 'unknown');
-  }
+  log.info(`Removing bot ${req.params.playerId} from game ${gameId}`, { gameId: gameId, user: user ? user.name : null });
   
-  if (!games[gameId]) {
-    console.log(`Game ${gameId} not found during polling`);
+  if (!getGame(gameId)) {
+    log.warn(`Game ${gameId} not found when removing bot`, { gameId: gameId });
     return res.status(404).json({ error: 'Game not found' });
   }
   
   if (!user || user.gameId !== gameId) {
-    console.log(`User not in game ${gameId} during polling`);
+    log.warn(`User not in game ${gameId} when removing bot`, { gameId: gameId });
     return res.status(403).json({ error: 'You are not in this game' });
   }
   
-  const game = games[gameId];
+  const game = getGame(gameId);
   const player = game.players.find(p => p.id === user.playerId);
   
-  if (!player) {
-    console.log(`Player not found in game ${gameId} during polling`);
-    return res.status(404).json({ error: 'Player not found' });
+  if (!player || !player.host) {
+    log.warn(`Player is not host when removing bot from game ${gameId}`, { gameId: gameId });
+    return res.status(403).json({ error: 'Only the host can remove bots' });
   }
   
-  if (shouldLog) {
-    console.log(`Game ${gameId} state: ${game.status}, players: ${game.players.length}, round: ${game.currentRound}`);
+  if (game.status !== 'waiting') {
+    log.warn(`Game ${gameId} already started: ${game.status}`, { gameId: gameId });
+    return res.status(400).json({ error: 'Bots can only be removed before the game starts' });
   }
   
-  // Add a cache-control header to prevent caching
-  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-  res.setHeader('Pragma', 'no-cache');
-  res.setHeader('Expires', '0');
+  const bot = game.players.find(p => p.id === req.params.playerId && p.bot);
+  if (!bot) {
+    log.warn(`Bot ${req.params.playerId} not found in game ${gameId}`, { gameId: gameId });
+    return res.status(404).json({ error: 'Bot not found' });
+  }
   
-  // Return the game state
-  const gameState = {
-    players: game.players.map(p => ({
-      id: p.id,
-      name: p.name,
-      money: p.money,
-      roundsWon: p.roundsWon,
-      host: p.host,
-      hasBet: game.bets[p.id] !== undefined
-    })),
-    currentRound: game.currentRound,
-    totalRounds: game.totalRounds,
-    roundsToWin: game.roundsToWin,
-    status: game.status,
-    gameMode: game.gameMode,
-    roundWinners: game.roundWinners,
-    overallWinner: game.overallWinner ? {
-      id: game.overallWinner.id,
-      name: game.overallWinner.name,
-      roundsWon: game.overallWinner.roundsWon,
-      money: game.overallWinner.money
-    } : null,
-    myBet: game.bets[player.id],
-    isMyTurn: game.status === 'betting' && game.bets[player.id] === undefined,
-    amHost: player.host,
-    lastRoundBets: game.lastRoundBets || {},
-    showRoundResults: game.showRoundResults || false,
-    secondHighestBid: game.secondHighestBid,
-    actualPayments: game.actualPayments
-  };
+  game.players = game.players.filter(p => p.id !== bot.id);
+  recordEvent(game, 'left', { playerId: bot.id });
+  game.totalRounds = getTotalRounds(game);
   
-  // Return the game state
-  res.json(gameState);
+  log.info(`Bot ${bot.name} removed from game ${gameId}`, { gameId: gameId });
+  notifyGameUpdated(game);
+  res.json({ success: true });
 });
 
-// Helper function to check if game should end
-function shouldEndGame(game) {
-  if (game.gameMode === 'all-pay') {
-    // All-Pay mode: game ends if someone has 3+ wins or after all rounds
-    return game.players.some(p => p.roundsWon >= game.roundsToWin) || game.currentRound >= game.totalRounds;
-  } else {
-    // Standard or Vickrey mode: game always runs all rounds
-    return game.currentRound >= game.totalRounds;
+// Mark a player as away or back (host only). Sealed rounds don't wait for
+// away players: they get the automatic bid straight away.
+app.post('/game/:gameId/players/:playerId/away', (req, res) => {
+  const gameId = req.params.gameId;
+  const user = req.session.user;
+  const away = req.body.away !== false && req.body.away !== 'false';
+  
+  log.info(`Marking player ${req.params.playerId} ${away ? 'away' : 'back'} in game ${gameId}`, { gameId: gameId, user: user ? user.name : null });
+  
+  if (!getGame(gameId)) {
+    log.warn(`Game ${gameId} not found when marking player away`, { gameId: gameId });
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  
+  if (!user || user.gameId !== gameId) {
+    log.warn(`User not in game ${gameId} when marking player away`, { gameId: gameId });
+    return res.status(403).json({ error: 'You are not in this game' });
+  }
+  
+  const game = getGame(gameId);
+  const player = game.players.find(p => p.id === user.playerId);
+  
+  if (!player || !player.host) {
+    log.warn(`Player is not host when marking player away in game ${gameId}`, { gameId: gameId });
+    return res.status(403).json({ error: 'Only the host can mark players away' });
+  }
+  
+  const target = game.players.find(p => p.id === req.params.playerId);
+  if (!target || target.bot || target.id === player.id) {
+    log.warn(`Player ${req.params.playerId} cannot be marked away in game ${gameId}`, { gameId: gameId });
+    return res.status(400).json({ error: 'That player cannot be marked away' });
+  }
+  
+  target.away = away;
+  if (away) {
+    placeAwayBets(game);
+  }
+  
+  log.info(`Player ${target.name} is ${away ? 'away' : 'back'} in game ${gameId}`, { gameId: gameId });
+  notifyGameUpdated(game);
+  res.json({ success: true });
+});
+
+// Remove a player (or bot) from the game at any point (host only). Their seat
+// and rejoin link are gone, but rounds they already played stay in the history.
+app.post('/game/:gameId/players/:playerId/kick', (req, res) => {
+  const gameId = req.params.gameId;
+  const user = req.session.user;
+  
+  log.info(`Kicking player ${req.params.playerId} from game ${gameId}`, { gameId: gameId, user: user ? user.name : null });
+  
+  if (!getGame(gameId)) {
+    log.warn(`Game ${gameId} not found when kicking player`, { gameId: gameId });
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  
+  if (!user || user.gameId !== gameId) {
+    log.warn(`User not in game ${gameId} when kicking player`, { gameId: gameId });
+    return res.status(403).json({ error: 'You are not in this game' });
+  }
+  
+  const game = getGame(gameId);
+  const player = game.players.find(p => p.id === user.playerId);
+  
+  if (!player || !player.host) {
+    log.warn(`Player is not host when kicking from game ${gameId}`, { gameId: gameId });
+    return res.status(403).json({ error: 'Only the host can remove players' });
+  }
+  
+  const target = game.players.find(p => p.id === req.params.playerId);
+  if (!target) {
+    log.warn(`Player ${req.params.playerId} not found in game ${gameId}`, { gameId: gameId });
+    return res.status(404).json({ error: 'Player not found' });
+  }
+  
+  if (target.id === player.id) {
+    return res.status(400).json({ error: 'You cannot remove yourself' });
+  }
+  
+  removePlayer(game, target);
+  
+  log.info(`Player ${target.name} removed from game ${gameId}`, { gameId: gameId });
+  notifyGameUpdated(game);
+  res.json({ success: true });
+});
+
+// Hand the host role to another player (host only)
+app.post('/game/:gameId/players/:playerId/host', (req, res) => {
+  const gameId = req.params.gameId;
+  const user = req.session.user;
+  
+  log.info(`Making player ${req.params.playerId} host of game ${gameId}`, { gameId: gameId, user: user ? user.name : null });
+  
+  if (!getGame(gameId)) {
+    log.warn(`Game ${gameId} not found when transferring host`, { gameId: gameId });
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  
+  if (!user || user.gameId !== gameId) {
+    log.warn(`User not in game ${gameId} when transferring host`, { gameId: gameId });
+    return res.status(403).json({ error: 'You are not in this game' });
+  }
+  
+  const game = getGame(gameId);
+  const player = game.players.find(p => p.id === user.playerId);
+  
+  if (!player || !player.host) {
+    log.warn(`Player is not host when transferring host in game ${gameId}`, { gameId: gameId });
+    return res.status(403).json({ error: 'Only the host can hand over the host role' });
+  }
+  
+  const result = transferHost(game, game.players.find(p => p.id === req.params.playerId));
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+  
+  res.json({ success: true });
+});
+
+// Pause or resume betting (host only). Deadlines, live clocks, bots and the
+// auto-advance timer all stand still while the game is paused.
+app.post('/game/:gameId/pause', (req, res) => {
+  const gameId = req.params.gameId;
+  const user = req.session.user;
+  const paused = req.body.paused !== false && req.body.paused !== 'false';
+  
+  log.info(`${paused ? 'Pausing' : 'Resuming'} game ${gameId}`, { gameId: gameId, user: user ? user.name : null });
+  
+  if (!getGame(gameId)) {
+    log.warn(`Game ${gameId} not found when pausing`, { gameId: gameId });
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  
+  if (!user || user.gameId !== gameId) {
+    log.warn(`User not in game ${gameId} when pausing`, { gameId: gameId });
+    return res.status(403).json({ error: 'You are not in this game' });
+  }
+  
+  const game = getGame(gameId);
+  const player = game.players.find(p => p.id === user.playerId);
+  
+  if (!player || !player.host) {
+    log.warn(`Player is not host when pausing game ${gameId}`, { gameId: gameId });
+    return res.status(403).json({ error: 'Only the host can pause the game' });
+  }
+  
+  const result = paused ? pauseGame(game) : resumeGame(game);
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+  
+  res.json({ success: true });
+});
+
+// Take back the round that just finished (host only), e.g. after a mistyped
+// bid. Balances and wins go back to how they were and the round is bid again.
+app.post('/game/:gameId/undo', (req, res) => {
+  const gameId = req.params.gameId;
+  const user = req.session.user;
+  
+  log.info(`Undoing last round of game ${gameId}`, { gameId: gameId, user: user ? user.name : null });
+  
+  if (!getGame(gameId)) {
+    log.warn(`Game ${gameId} not found when undoing round`, { gameId: gameId });
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  
+  if (!user || user.gameId !== gameId) {
+    log.warn(`User not in game ${gameId} when undoing round`, { gameId: gameId });
+    return res.status(403).json({ error: 'You are not in this game' });
+  }
+  
+  const game = getGame(gameId);
+  const player = game.players.find(p => p.id === user.playerId);
+  
+  if (!player || !player.host) {
+    log.warn(`Player is not host when undoing round in game ${gameId}`, { gameId: gameId });
+    return res.status(403).json({ error: 'Only the host can undo a round' });
+  }
+  
+  const result = undoLastRound(game);
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+  
+  res.json({ success: true });
+});
+
+// Send a chat message ({ text }) or a reaction to the round reveal ({ reaction })
+app.post('/game/:gameId/chat', (req, res) => {
+  const gameId = req.params.gameId;
+  const user = req.session.user;
+  
+  if (!getGame(gameId)) {
+    log.warn(`Game ${gameId} not found when chatting`, { gameId: gameId });
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  
+  if (!user || user.gameId !== gameId) {
+    log.warn(`User not in game ${gameId} when chatting`, { gameId: gameId });
+    return res.status(403).json({ error: 'You are not in this game' });
+  }
+  
+  const game = getGame(gameId);
+  const player = game.players.find(p => p.id === user.playerId);
+  
+  if (!player) {
+    log.warn(`Player not found in game ${gameId} when chatting`, { gameId: gameId });
+    return res.status(404).json({ error: 'Player not found' });
+  }
+  
+  const isReaction = req.body.reaction !== undefined;
+  if (isReaction && !REACTIONS.includes(req.body.reaction)) {
+    return res.status(400).json({ error: 'Unknown reaction' });
+  }
+  
+  const { text, error: messageError } = isReaction ? {} : sanitizeMessage(req.body.text);
+  if (messageError) {
+    return res.status(400).json({ error: messageError });
+  }
+  
+  const allowed = checkCanChat(game, player, isReaction);
+  if (allowed.error) {
+    return res.status(allowed.code === 'forbidden' ? 403 : 400).json({ error: allowed.error });
+  }
+  
+  const waitMs = chatLimiter(`${gameId}:${player.id}`);
+  if (waitMs > 0) {
+    log.warn(`Chat rate limit hit by ${player.name} in game ${gameId}`, { gameId: gameId });
+    res.set('Retry-After', String(Math.ceil(waitMs / 1000)));
+    return res.status(429).json({ error: 'You are sending messages too quickly' });
+  }
+  
+  addMessage(game, player, isReaction ? { reaction: req.body.reaction } : { text: text });
+  notifyGameUpdated(game);
+  res.json({ success: true });
+});
+
+// Mute or unmute a player in the chat (host only)
+app.post('/game/:gameId/players/:playerId/mute', (req, res) => {
+  const gameId = req.params.gameId;
+  const user = req.session.user;
+  const muted = req.body.muted !== false && req.body.muted !== 'false';
+  
+  log.info(`${muted ? 'Muting' : 'Unmuting'} player ${req.params.playerId} in game ${gameId}`, { gameId: gameId, user: user ? user.name : null });
+  
+  if (!getGame(gameId)) {
+    log.warn(`Game ${gameId} not found when muting player`, { gameId: gameId });
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  
+  if (!user || user.gameId !== gameId) {
+    log.warn(`User not in game ${gameId} when muting player`, { gameId: gameId });
+    return res.status(403).json({ error: 'You are not in this game' });
+  }
+  
+  const game = getGame(gameId);
+  const player = game.players.find(p => p.id === user.playerId);
+  
+  if (!player || !player.host) {
+    log.warn(`Player is not host when muting player in game ${gameId}`, { gameId: gameId });
+    return res.status(403).json({ error: 'Only the host can mute players' });
+  }
+  
+  const target = game.players.find(p => p.id === req.params.playerId);
+  if (!target || target.bot || target.id === player.id) {
+    return res.status(400).json({ error: 'That player cannot be muted' });
+  }
+  
+  game.chat.muted = game.chat.muted.filter(id => id !== target.id);
+  if (muted) {
+    game.chat.muted.push(target.id);
+  }
+  
+  log.info(`Player ${target.name} ${muted ? 'muted' : 'unmuted'} in game ${gameId}`, { gameId: gameId });
+  notifyGameUpdated(game);
+  res.json({ success: true });
+});
+
+// Turn "no collusion" mode on or off (host only). While it is on, the chat is
+// closed during betting so players can't agree on bids.
+app.post('/game/:gameId/chat/settings', (req, res) => {
+  const gameId = req.params.gameId;
+  const user = req.session.user;
+  const noCollusion = req.body.noCollusion === true || req.body.noCollusion === 'true';
+  
+  log.info(`Setting no collusion mode ${noCollusion ? 'on' : 'off'} in game ${gameId}`, { gameId: gameId, user: user ? user.name : null });
+  
+  if (!getGame(gameId)) {
+    log.warn(`Game ${gameId} not found when changing chat settings`, { gameId: gameId });
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  
+  if (!user || user.gameId !== gameId) {
+    log.warn(`User not in game ${gameId} when changing chat settings`, { gameId: gameId });
+    return res.status(403).json({ error: 'You are not in this game' });
+  }
+  
+  const game = getGame(gameId);
+  const player = game.players.find(p => p.id === user.playerId);
+  
+  if (!player || !player.host) {
+    log.warn(`Player is not host when changing chat settings in game ${gameId}`, { gameId: gameId });
+    return res.status(403).json({ error: 'Only the host can change the chat settings' });
+  }
+  
+  game.chat.noCollusion = noCollusion;
+  notifyGameUpdated(game);
+  res.json({ success: true });
+});
+
+// Live bidding actions: claim the item in a Dutch round, raise in an English round
+['claim', 'raise'].forEach(action => {
+  app.post(`/game/:gameId/${action}`, (req, res) => {
+    const gameId = req.params.gameId;
+    const user = req.session.user;
+    
+    log.info(`Player ${user ? user.name : 'unknown'} sending ${action} in game ${gameId}`, { gameId: gameId });
+    
+    if (!getGame(gameId)) {
+      log.warn(`Game ${gameId} not found when handling ${action}`, { gameId: gameId });
+      return res.status(404).json({ error: 'Game not found' });
+    }
+    
+    if (!user || user.gameId !== gameId) {
+      log.warn(`User not in game ${gameId} when handling ${action}`, { gameId: gameId });
+      return res.status(403).json({ error: 'You are not in this game' });
+    }
+    
+    const game = getGame(gameId);
+    const player = game.players.find(p => p.id === user.playerId);
+    
+    if (!player) {
+      log.warn(`Player not found in game ${gameId} when handling ${action}`, { gameId: gameId });
+      return res.status(404).json({ error: 'Player not found' });
+    }
+    
+    const result = applyLiveAction(game, player, action, req.body);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    
+    res.json({ success: true });
+  });
+});
+
+// Helper function to pass a live bid (claim or raise) to the game's auction
+// mode. Returns { error, code } if it is refused.
+function applyLiveAction(game, player, action, body) {
+  if (game.status !== 'betting' || !game.clock) {
+    log.warn(`Game ${game.id} status ${game.status} has no live round`, { gameId: game.id });
+    return { error: 'It is not betting time', code: 'conflict' };
+  }
+  
+  if (game.pausedAt) {
+    return { error: 'The game is paused', code: 'conflict' };
+  }
+  
+  const mode = getMode(game.gameMode);
+  if (!mode[action]) {
+    log.warn(`Mode ${game.gameMode} does not support ${action}`, { gameId: game.id });
+    return { error: `You cannot ${action} in this auction`, code: 'conflict' };
+  }
+  
+  const before = { ...game.bets };
+  const result = mode[action](game, player, body || {}, Date.now());
+  if (result.error) {
+    log.warn(`Rejected ${action} from ${player.name} in game ${game.id}: ${result.error}`, { gameId: game.id });
+    return { error: result.error, code: 'conflict' };
+  }
+  recordBetChanges(game, before);
+  
+  log.info(`Player ${player.name} ${action} accepted in game ${game.id}, price now ${game.clock.price}`, { gameId: game.id });
+  
+  if (result.roundOver) {
+    stopRoundClock(game.id);
+    completeRound(game);
+  }
+  
+  notifyGameUpdated(game);
+  return {};
+}
+
+// Next round
+app.post('/game/:gameId/nextround', (req, res) => {
+  const gameId = req.params.gameId;
+  const user = req.session.user;
+  
+  log.info(`Starting next round in game ${gameId}`, { gameId: gameId, user: user ? user.name : null });
+  
+  if (!getGame(gameId)) {
+    log.warn(`Game ${gameId} not found when advancing round`, { gameId: gameId });
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  
+  if (!user || user.gameId !== gameId) {
+    log.warn(`User not in game ${gameId} when advancing round`, { gameId: gameId });
+    return res.status(403).json({ error: 'You are not in this game' });
+  }
+  
+  const game = getGame(gameId);
+  const player = game.players.find(p => p.id === user.playerId);
+  
+  if (!player || !player.host) {
+    log.warn(`Player is not host when advancing round in game ${gameId}`, { gameId: gameId });
+    return res.status(403).json({ error: 'Only the host can advance to the next round' });
+  }
+  
+  if (game.status !== 'roundComplete') {
+    log.warn(`Game ${gameId} status ${game.status} is not roundComplete`, { gameId: gameId });
+    return res.status(400).json({ error: 'Cannot start next round yet' });
+  }
+  
+  if (game.pausedAt) {
+    return res.status(400).json({ error: 'Resume the game before starting the next round' });
+  }
+  
+  const result = advanceRound(game);
+  notifyGameUpdated(game);
+  
+  if (result.gameComplete) {
+    return res.json({ success: true, gameComplete: true });
+  }
+  res.json({ success: true });
+});
+
+// Reset game
+app.post('/game/:gameId/reset', (req, res) => {
+  const gameId = req.params.gameId;
+  const user = req.session.user;
+  
+  log.info(`Resetting game ${gameId}`, { gameId: gameId, user: user ? user.name : null });
+  
+  if (!getGame(gameId)) {
+    log.warn(`Game ${gameId} not found when resetting`, { gameId: gameId });
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  
+  if (!user || user.gameId !== gameId) {
+    log.warn(`User not in game ${gameId} when resetting`, { gameId: gameId });
+    return res.status(403).json({ error: 'You are not in this game' });
+  }
+  
+  const game = getGame(gameId);
+  const player = game.players.find(p => p.id === user.playerId);
+  
+  if (!player || !player.host) {
+    log.warn(`Player is not host when resetting game ${gameId}`, { gameId: gameId });
+    return res.status(403).json({ error: 'Only the host can reset the game' });
+  }
+  
+  const result = resetGame(game);
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+  
+  res.json({ success: true });
+});
+
+// Helper function to set the table up for another game with the same players.
+// Returns { error, code } if the table can't play again.
+function resetGame(game) {
+  if (game.tournamentId) {
+    log.warn(`Game ${game.id} is a tournament table, not resetting`, { gameId: game.id });
+    return { error: 'Tournament tables play a single game', code: 'conflict' };
+  }
+  
+  // Reset the game. The round history is kept; later rounds belong to the next game number.
+  game.gameNumber++;
+  game.players.forEach(p => {
+    p.money = game.settings.startingMoney;
+    p.roundsWon = 0;
+    p.valueWon = 0;
+    p.surplus = 0;
+    p.points = 0;
+  });
+  
+  game.currentRound = 0;
+  game.itemValues = null;
+  game.itemSignals = null;
+  game.roundSurplus = null;
+  game.status = 'waiting';
+  game.bets = {};
+  game.roundWinners = null;
+  game.overallWinner = null;
+  game.drawnWith = [];
+  game.tiebreak = null;
+  game.lastRoundBets = {};
+  game.showRoundResults = false;
+  game.secondHighestBid = undefined;
+  game.actualPayments = {};
+  game.clock = null;
+  game.bidDeadline = null;
+  game.nextRoundAt = null;
+  game.pausedAt = null;
+  game.autoBidPlayers = [];
+  stopRoundClock(game.id);
+  clearGameTimers(game.id);
+  
+  // A series moves on to its next game; once it's over the table plays one-off games again
+  if (game.series && game.series.complete) {
+    game.series = null;
+  } else if (game.series) {
+    game.gameMode = game.series.schedule[game.series.results.length];
+  }
+  recordEvent(game, 'reset', { gameMode: game.gameMode });
+  game.log = archiveEarlyGames(game.log, game.gameNumber - LOGGED_GAMES_KEPT + 1);
+  
+  log.info(`Game ${game.id} reset successfully`, { gameId: game.id });
+  notifyGameUpdated(game);
+  return {};
+}
+
+// Get game state (polling fallback for clients without an event stream)
+app.get('/game/:gameId/state', (req, res) => {
+  const gameId = req.params.gameId;
+  const user = req.session.user;
+  
+  stateRequests.inc({ source: 'poll' });
+  log.debug(`Polling game state for game ${gameId}`, { gameId: gameId, user: user ? user.name : null });
+  
+  if (!getGame(gameId)) {
+    log.warn(`Game ${gameId} not found during polling`, { gameId: gameId });
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  
+  if (!user || user.gameId !== gameId) {
+    log.warn(`User not in game ${gameId} during polling`, { gameId: gameId });
+    return res.status(403).json({ error: 'You are not in this game' });
+  }
+  
+  const game = getGame(gameId);
+  const player = game.players.find(p => p.id === user.playerId);
+  
+  if (!player) {
+    log.warn(`Player not found in game ${gameId} during polling`, { gameId: gameId });
+    return res.status(404).json({ error: 'Player not found' });
+  }
+  
+  log.debug(`Game ${gameId} state: ${game.status}, players: ${game.players.length}, round: ${game.currentRound}`, { gameId: gameId });
+  
+  // Add a cache-control header to prevent caching
+  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+  res.setHeader('Pragma', 'no-cache');
+  res.setHeader('Expires', '0');
+  
+  // Return the game state
+  res.json(buildTimedGameState(game, player));
+});
+
+// Round-by-round history of everything played at this table
+app.get('/game/:gameId/history', (req, res) => {
+  const gameId = req.params.gameId;
+  const user = req.session.user;
+  
+  log.debug(`Fetching history for game ${gameId}`, { gameId: gameId, user: user ? user.name : null });
+  
+  if (!getGame(gameId)) {
+    log.warn(`Game ${gameId} not found when fetching history`, { gameId: gameId });
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  
+  if (!user || user.gameId !== gameId) {
+    log.warn(`User not in game ${gameId} when fetching history`, { gameId: gameId });
+    return res.status(403).json({ error: 'You are not in this game' });
+  }
+  
+  const game = getGame(gameId);
+  
+  // Bids of the round being played stay secret until it completes, and
+  // completed rounds are the only thing in the history, so all of it can be shown
+  res.json({
+    gameId: game.id,
+    gameMode: game.gameMode,
+    gameNumber: game.gameNumber,
+    settings: visibleSettings(game, game.players.find(p => p.id === user.playerId)),
+    players: game.players.concat(game.formerPlayers).map(p => ({
+      id: p.id,
+      name: p.name,
+      bot: Boolean(p.bot)
+    })),
+    rounds: game.history
+  });
+});
+
+// Step through a finished game at this table round by round, rebuilt from
+// the game's event log (see game-log.js). ?game= picks which game; the
+// latest finished one by default.
+app.get('/game/:gameId/replay', (req, res) => {
+  const game = getGame(req.params.gameId);
+  
+  if (!game) {
+    req.session.error = 'Game not found';
+    return res.redirect('/');
+  }
+  
+  if (!canSeeReplay(req, game)) {
+    req.session.error = 'Only players at this table can watch its replays';
+    return res.redirect('/');
+  }
+  
+  res.render('replay', {
+    gameId: game.id,
+    gameNumber: parseInt(req.query.game, 10) || null
+  });
+});
+
+app.get('/game/:gameId/replay.json', (req, res) => {
+  const game = getGame(req.params.gameId);
+  
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  
+  if (!canSeeReplay(req, game)) {
+    return res.status(403).json({ error: 'Only players at this table can watch its replays' });
+  }
+  
+  const result = buildReplay(game, parseInt(req.query.game, 10) || null);
+  if (result.error) {
+    return res.status(result.code === 'not_found' ? 404 : 409).json({ error: result.error });
+  }
+  res.json(result);
+});
+
+// Helper function to check who may replay a table's games: its players and the facilitator
+function canSeeReplay(req, game) {
+  const user = req.session.user;
+  return Boolean(req.session.admin) || Boolean(user && user.gameId === game.id && game.players.some(p => p.id === user.playerId));
+}
+
+// Helper function to rebuild one finished game from the table's log for the
+// replay page: every round with its bids in the order they came in. Games
+// still being played can't be replayed, so no bid is shown early, and nor
+// can games whose events have been archived.
+function buildReplay(game, gameNumber) {
+  const replayed = replayLog(game.log);
+  const replayable = replayed ? replayed.finishedGames.filter(g => replayed.rounds.some(r => r.gameNumber === g.gameNumber)) : [];
+  if (replayable.length === 0) {
+    return { error: 'There is no finished game to replay at this table', code: 'not_found' };
+  }
+  
+  const finished = gameNumber ?
+    replayable.find(g => g.gameNumber === gameNumber) :
+    replayable[replayable.length - 1];
+  if (!finished && replayed.finishedGames.some(g => g.gameNumber === gameNumber)) {
+    return { error: 'That game is too long ago to replay', code: 'not_found' };
+  }
+  if (!finished) {
+    return { error: 'That game has not finished', code: 'conflict' };
+  }
+  
+  return {
+    gameId: game.id,
+    gameNumber: finished.gameNumber,
+    gameNumbers: replayable.map(g => g.gameNumber),
+    gameMode: finished.gameMode,
+    modeLabel: getMode(finished.gameMode).label,
+    settings: withoutTieSeed(finished.settings),
+    players: replayed.players.concat(replayed.formerPlayers).map(p => ({ id: p.id, name: p.name, bot: Boolean(p.bot) })),
+    rounds: replayed.rounds
+      .filter(r => r.gameNumber === finished.gameNumber)
+      .map(r => ({
+        round: r.round,
+        openedAt: r.openedAt,
+        closedAt: r.closedAt,
+        itemValues: usesItemValues(finished.settings) ? r.itemValues : null,
+        signals: r.signals,
+        bids: r.bids,
+        winners: r.winners,
+        winFraction: r.winFraction,
+        payments: r.payments,
+        balances: r.balances,
+        roundsWon: r.roundsWon
+      })),
+    winnerId: finished.winnerId,
+    drawnWith: finished.drawnWith || [],
+    standings: finished.standings
+  };
+}
+
+// Download the results of this table (host only). Formats: export.json, or
+// export.csv with ?table=rounds (default, one row per player per round) or ?table=standings
+app.get('/game/:gameId/export.:format', (req, res) => {
+  const gameId = req.params.gameId;
+  const format = req.params.format;
+  const table = req.query.table || 'rounds';
+  const user = req.session.user;
+  
+  log.debug(`Exporting ${format} for game ${gameId}`, { gameId: gameId, user: user ? user.name : null });
+  
+  if (!getGame(gameId)) {
+    log.warn(`Game ${gameId} not found when exporting`, { gameId: gameId });
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  
+  if (!user || user.gameId !== gameId) {
+    log.warn(`User not in game ${gameId} when exporting`, { gameId: gameId });
+    return res.status(403).json({ error: 'You are not in this game' });
+  }
+  
+  const game = getGame(gameId);
+  const player = game.players.find(p => p.id === user.playerId);
+  
+  if (!player || !player.host) {
+    log.warn(`Player is not host when exporting game ${gameId}`, { gameId: gameId });
+    return res.status(403).json({ error: 'Only the host can export the results' });
+  }
+  
+  const data = buildExport(game);
+  const filename = `betting-game-${game.id}-${game.gameMode}`;
+  
+  if (format === 'json') {
+    res.attachment(`${filename}.json`);
+    return res.send(JSON.stringify(data, null, 2));
+  }
+  
+  if (format === 'csv' && (table === 'rounds' || table === 'standings')) {
+    res.attachment(`${filename}-${table}.csv`);
+    return res.send(table === 'rounds' ? roundsToCsv(data) : standingsToCsv(data));
+  }
+  
+  res.status(400).json({ error: 'Unknown export format' });
+});
+
+// Stream game state updates (Server-Sent Events)
+app.get('/game/:gameId/events', (req, res) => {
+  const gameId = req.params.gameId;
+  const user = req.session.user;
+  
+  if (!getGame(gameId)) {
+    log.warn(`Game ${gameId} not found when opening event stream`, { gameId: gameId });
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  
+  if (!user || user.gameId !== gameId) {
+    log.warn(`User not in game ${gameId} when opening event stream`, { gameId: gameId });
+    return res.status(403).json({ error: 'You are not in this game' });
+  }
+  
+  const game = getGame(gameId);
+  const player = game.players.find(p => p.id === user.playerId);
+  
+  if (!player) {
+    log.warn(`Player not found in game ${gameId} when opening event stream`, { gameId: gameId });
+    return res.status(404).json({ error: 'Player not found' });
+  }
+  
+  // A player whose page connects again is back at the table
+  if (player.away) {
+    player.away = false;
+    log.info(`Player ${player.name} is back in game ${gameId}`, { gameId: gameId });
+    notifyGameUpdated(game);
+  }
+  
+  openEventStream(req, res, game, player);
+});
+
+// Read-only display for spectators and projectors. Anyone with the link can
+// watch; nobody watching is seated, so they can't bet or hold up a round.
+app.get('/game/:gameId/watch', (req, res) => {
+  const gameId = req.params.gameId;
+  const game = getGame(gameId);
+  
+  log.debug(`Loading display page for game ${gameId}`, { gameId: gameId });
+  
+  if (!game) {
+    log.warn(`Game ${gameId} not found when loading display page`, { gameId: gameId });
+    req.session.error = 'Game not found';
+    return res.redirect('/');
+  }
+  
+  res.render('display', {
+    game: game,
+    mode: getMode(game.gameMode)
+  });
+});
+
+// Spectator version of /state, for the display's polling fallback
+app.get('/game/:gameId/watch/state', (req, res) => {
+  const game = getGame(req.params.gameId);
+  
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  
+  res.json(buildTimedGameState(game, null));
+});
+
+// Spectator version of /events
+app.get('/game/:gameId/watch/events', (req, res) => {
+  const gameId = req.params.gameId;
+  const game = getGame(gameId);
+  
+  if (!game) {
+    log.warn(`Game ${gameId} not found when opening spectator stream`, { gameId: gameId });
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  
+  openEventStream(req, res, game, null);
+});
+
+// Register an account, or claim the guest profile this session has been
+// playing under so its stats carry over
+app.post('/account/register', rateLimit(SIGN_IN_LIMIT), (req, res) => {
+  const { name: username, error: usernameError } = sanitizeUsername(req.body.username);
+  if (usernameError) {
+    req.session.error = usernameError;
+    return res.redirect('/');
+  }
+  
+  const passwordError = validatePassword(req.body.password).error;
+  if (passwordError) {
+    req.session.error = passwordError;
+    return res.redirect('/');
+  }
+  
+  if (findAccountByUsername(username)) {
+    log.warn(`Account name ${username} is already registered`);
+    req.session.error = 'That username is already registered';
+    return res.redirect('/');
+  }
+  
+  let account = getAccount(req.session.accountId);
+  if (!account || !account.guest) {
+    account = createAccount();
+  }
+  account.username = username;
+  account.passwordHash = hashPassword(req.body.password);
+  account.guest = false;
+  account.lastSeenAt = Date.now();
+  saveAccount(account);
+  
+  log.info(`Account ${username} registered`);
+  signIn(req, res, account);
+});
+
+app.post('/account/login', rateLimit(SIGN_IN_LIMIT), (req, res) => {
+  const account = typeof req.body.username === 'string' ? findAccountByUsername(req.body.username.trim()) : null;
+  
+  if (!account || !verifyPassword(req.body.password, account.passwordHash)) {
+    log.warn('Failed sign-in attempt');
+    req.session.error = 'Wrong username or password';
+    return res.redirect('/');
+  }
+  
+  account.lastSeenAt = Date.now();
+  saveAccount(account);
+  
+  log.info(`Account ${account.username} signed in`);
+  signIn(req, res, account);
+});
+
+app.post('/account/logout', (req, res) => {
+  delete req.session.accountId;
+  res.redirect('/');
+});
+
+// Public profile of a registered account
+app.get('/account/:username', (req, res) => {
+  const account = findAccountByUsername(req.params.username);
+  
+  if (!account || account.guest) {
+    req.session.error = 'Player not found';
+    return res.redirect('/');
+  }
+  
+  const modes = listModes();
+  res.render('account', {
+    account: {
+      username: account.username,
+      createdAt: account.createdAt,
+      overall: summarizeStats(account.stats),
+      byMode: modes
+        .map(m => Object.assign({ mode: m.name, label: m.label }, summarizeStats(account.stats, m.name)))
+        .filter(entry => entry.gamesPlayed > 0),
+      history: account.stats.history
+    },
+    modes: modes
+  });
+});
+
+// Top registered players overall, or in one mode with ?mode=
+app.get('/leaderboard', (req, res) => {
+  const mode = req.query.mode || null;
+  
+  if (mode && !hasMode(mode)) {
+    return res.status(400).json({ error: 'Unknown game mode' });
+  }
+  
+  res.json({ mode: mode, entries: buildLeaderboard(listAccounts(), mode) });
+});
+
+// Helper function to get the account this session plays under, making a guest
+// profile if it doesn't have one yet
+function ensureAccount(req) {
+  let account = getAccount(req.session.accountId);
+  if (!account) {
+    account = createAccount();
+    req.session.accountId = account.id;
+    log.info(`Guest profile ${account.id} created`);
+  }
+  account.lastSeenAt = Date.now();
+  saveAccount(account);
+  return account;
+}
+
+// Helper function to switch the session to an account. The session ID changes
+// so a session fixed before signing in can't be used to act as the account;
+// the game seat and tournament entry carry over.
+function signIn(req, res, account) {
+  const { user, tournament } = req.session;
+  
+  req.session.regenerate(err => {
+    if (err) {
+      log.error('Error starting a new session on sign-in', { err: err });
+      return res.redirect('/');
+    }
+    
+    req.session.user = user;
+    req.session.tournament = tournament;
+    req.session.accountId = account.id;
+    res.redirect('/');
+  });
+}
+
+// Set up a tournament. The organiser is its first entrant; everyone else joins
+// with the tournament code until the organiser starts the first stage.
+app.post('/tournament/create', rateLimit(CREATE_LIMIT), (req, res) => {
+  const gameMode = req.body.gameMode || 'all-pay';
+  const tableSize = parseInt(req.body.tableSize, 10);
+  const advancePerTable = parseInt(req.body.advancePerTable, 10);
+  
+  const { name: username, error: usernameError } = sanitizeUsername(req.body.username);
+  if (usernameError) {
+    req.session.error = usernameError;
+    return res.redirect('/');
+  }
+  
+  log.info(`Creating tournament for ${username}, mode: ${gameMode}, tables of ${tableSize}, ${advancePerTable} advance`);
+  
+  if (!hasMode(gameMode)) {
+    log.warn(`Unknown game mode ${gameMode} requested for tournament`);
+    req.session.error = 'Unknown game mode';
+    return res.redirect('/');
+  }
+  
+  const bracketError = validateBracket(tableSize, advancePerTable).error;
+  if (bracketError) {
+    req.session.error = bracketError;
+    return res.redirect('/');
+  }
+  
+  const { settings, error } = validateSettings(req.body);
+  if (error) {
+    req.session.error = error;
+    return res.redirect('/');
+  }
+  settings.maxPlayers = tableSize;
+  settings.visibility = 'private';
+  
+  const organiser = { id: generatePlayerId(), name: username, accountId: ensureAccount(req).id };
+  const tournament = {
+    id: generateCode(),
+    createdAt: Date.now(),
+    name: typeof req.body.tournamentName === 'string' && req.body.tournamentName.trim() ?
+      req.body.tournamentName.trim().substring(0, 40) : `${username}'s Tournament`,
+    organiserId: organiser.id,
+    gameMode: gameMode,
+    settings: settings,
+    tableSize: tableSize,
+    advancePerTable: advancePerTable,
+    points: DEFAULT_POINTS,
+    status: 'registering', // registering, playing, complete
+    entrants: [organiser],
+    stages: [], // One per round of tables: { number, tables: [{ gameId, entrantIds, complete, placings }] }
+    results: [], // One per finished table, for the cumulative standings
+    championId: null
+  };
+  saveTournament(tournament);
+  
+  req.session.tournament = { tournamentId: tournament.id, entrantId: organiser.id };
+  
+  log.info(`Tournament ${tournament.id} created`, { tournamentId: tournament.id });
+  res.redirect(`/tournament/${tournament.id}`);
+});
+
+// Enter a tournament that hasn't started yet
+app.post('/tournament/join', rateLimit(JOIN_LIMIT), (req, res) => {
+  const tournamentId = typeof req.body.tournamentId === 'string' ? req.body.tournamentId.trim().toUpperCase() : null;
+  
+  const { name: username, error: usernameError } = sanitizeUsername(req.body.username);
+  if (usernameError) {
+    req.session.error = usernameError;
+    return res.redirect('/');
+  }
+  
+  log.info(`User ${username} attempting to join tournament ${tournamentId}`, { tournamentId: tournamentId });
+  
+  const tournament = tournamentId ? getTournament(tournamentId) : null;
+  if (!tournament) {
+    req.session.error = 'Tournament not found';
+    return res.redirect('/');
+  }
+  
+  if (tournament.status !== 'registering') {
+    req.session.error = 'Tournament has already started';
+    return res.redirect('/');
+  }
+  
+  if (tournament.entrants.length >= MAX_TOURNAMENT_ENTRANTS) {
+    req.session.error = 'Tournament is full';
+    return res.redirect('/');
+  }
+  
+  if (tournament.entrants.some(e => e.name === username)) {
+    req.session.error = 'Username already taken in this tournament';
+    return res.redirect('/');
+  }
+  
+  const entrant = { id: generatePlayerId(), name: username, accountId: ensureAccount(req).id };
+  tournament.entrants.push(entrant);
+  saveTournament(tournament);
+  
+  req.session.tournament = { tournamentId: tournament.id, entrantId: entrant.id };
+  
+  log.info(`User ${username} joined tournament ${tournament.id}`, { tournamentId: tournament.id });
+  res.redirect(`/tournament/${tournament.id}`);
+});
+
+// Tournament page: entrants, tables, standings. Anyone with the link can watch.
+app.get('/tournament/:tournamentId', (req, res) => {
+  const tournament = getTournament(req.params.tournamentId);
+  
+  if (!tournament) {
+    req.session.error = 'Tournament not found';
+    return res.redirect('/');
+  }
+  
+  res.render('tournament', {
+    tournament: tournament,
+    mode: getMode(tournament.gameMode)
+  });
+});
+
+app.get('/tournament/:tournamentId/state', (req, res) => {
+  const tournament = getTournament(req.params.tournamentId);
+  
+  if (!tournament) {
+    return res.status(404).json({ error: 'Tournament not found' });
+  }
+  
+  res.json(buildTournamentState(tournament, getTournamentEntrantId(req, tournament)));
+});
+
+// Seat everyone at the first stage's tables (organiser only)
+app.post('/tournament/:tournamentId/start', (req, res) => {
+  const tournament = getTournament(req.params.tournamentId);
+  
+  if (!tournament) {
+    return res.status(404).json({ error: 'Tournament not found' });
+  }
+  
+  if (getTournamentEntrantId(req, tournament) !== tournament.organiserId) {
+    return res.status(403).json({ error: 'Only the organiser can start the tournament' });
+  }
+  
+  if (tournament.status !== 'registering') {
+    return res.status(400).json({ error: 'Tournament has already started' });
+  }
+  
+  if (tournament.entrants.length < 2) {
+    return res.status(400).json({ error: 'Need at least 2 players to start' });
+  }
+  
+  startTournamentStage(tournament, tournament.entrants.map(e => e.id));
+  saveTournament(tournament);
+  
+  log.info(`Tournament ${tournament.id} started with ${tournament.entrants.length} entrants`, { tournamentId: tournament.id });
+  res.json({ success: true });
+});
+
+// Facilitator dashboard: every table on the server, bulk actions, and bids
+// pooled by auction mode. Signing in marks the session; see admin.js.
+app.get('/admin', (req, res) => {
+  res.render('admin', {
+    enabled: Boolean(adminPassword),
+    signedIn: Boolean(req.session.admin),
+    error: req.session.error,
+    modes: listModes(),
+    defaults: defaultSettings(),
+    maxBulkGames: MAX_BULK_GAMES
+  });
+  delete req.session.error;
+});
+
+app.post('/admin/login', rateLimit(SIGN_IN_LIMIT), (req, res) => {
+  if (!adminPasswordMatches(adminPassword, req.body.password)) {
+    log.warn('Failed dashboard sign-in attempt');
+    req.session.error = adminPassword ? 'Wrong password' : 'The dashboard is switched off';
+    return res.redirect('/admin');
+  }
+  
+  const { user, tournament, accountId } = req.session;
+  req.session.regenerate(err => {
+    if (err) {
+      log.error('Error starting a new session on dashboard sign-in', { err: err });
+      return res.redirect('/admin');
+    }
+    
+    req.session.user = user;
+    req.session.tournament = tournament;
+    req.session.accountId = accountId;
+    req.session.admin = true;
+    log.info('Facilitator signed in to the dashboard');
+    res.redirect('/admin');
+  });
+});
+
+app.post('/admin/logout', (req, res) => {
+  delete req.session.admin;
+  res.redirect('/admin');
+});
+
+// Every table with its progress, and the pooled bids. ?scope=created pools
+// only the tables opened from the dashboard.
+app.get('/admin/state', requireAdmin, (req, res) => {
+  const games = listGames().sort((a, b) => b.createdAt - a.createdAt);
+  const pooled = req.query.scope === 'created' ? games.filter(game => game.facilitated) : games;
+  
+  res.json({
+    games: games.map(game => Object.assign(summarizeGame(game), { modeLabel: getMode(game.gameMode).label })),
+    bidsByMode: aggregateBids(pooled).map(entry => Object.assign(entry, { modeLabel: getMode(entry.gameMode).label }))
+  });
+});
+
+// Open a number of tables with the same mode and settings, waiting for players
+app.post('/admin/games', requireAdmin, (req, res) => {
+  const gameMode = req.body.gameMode || 'all-pay';
+  if (!hasMode(gameMode)) {
+    return res.status(400).json({ error: 'Unknown game mode' });
+  }
+  
+  const { count, error: countError } = parseGameCount(req.body.count);
+  if (countError) {
+    return res.status(400).json({ error: countError });
+  }
+  
+  const { settings, error } = validateSettings(req.body);
+  if (error) {
+    return res.status(400).json({ error: error });
+  }
+  
+  const gameIds = [];
+  for (let i = 0; i < count; i++) {
+    const game = createGame(gameMode, JSON.parse(JSON.stringify(settings)), null);
+    game.facilitated = true;
+    saveGame(game);
+    gameIds.push(game.id);
+  }
+  notifyLobby();
+  
+  log.info(`Dashboard opened ${count} ${gameMode} tables: ${gameIds.join(', ')}`);
+  res.json({ success: true, gameIds: gameIds });
+});
+
+// Start every table opened from the dashboard that is waiting and has enough players
+app.post('/admin/games/start', requireAdmin, (req, res) => {
+  const { started, skipped } = startFacilitatedGames();
+  notifyLobby();
+  
+  log.info(`Dashboard started ${started.length} tables, skipped ${skipped.length}`);
+  res.json({ success: true, started: started, skipped: skipped });
+});
+
+// Helper function to start the waiting tables opened from the dashboard. Games
+// players opened themselves are left to their hosts.
+function startFacilitatedGames() {
+  const started = [];
+  const skipped = [];
+  
+  listGames().filter(game => game.facilitated && game.status === 'waiting').forEach(game => {
+    const result = startGame(game);
+    if (result.error) {
+      skipped.push({ gameId: game.id, error: result.error });
+    } else {
+      started.push(game.id);
+    }
+  });
+  
+  return { started, skipped };
+}
+
+app.post('/admin/games/:gameId/close', requireAdmin, (req, res) => {
+  const game = getGame(req.params.gameId);
+  
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  
+  if (game.tournamentId) {
+    return res.status(409).json({ error: 'Tournament tables close with their tournament' });
+  }
+  
+  closeGame(game.id);
+  notifyLobby();
+  
+  log.info(`Dashboard closed game ${game.id}`, { gameId: game.id });
+  res.json({ success: true });
+});
+
+// A table's full event log, and anything in the live game the log doesn't
+// account for, for looking into a disputed result
+app.get('/admin/games/:gameId/log', requireAdmin, (req, res) => {
+  const game = getGame(req.params.gameId);
+  
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  
+  const replayed = replayLog(game.log);
+  res.json({
+    gameId: game.id,
+    replayable: Boolean(replayed),
+    differences: replayed ? compareWithGame(replayed, game) : null,
+    events: game.log
+  });
+});
+
+// Helper function to keep dashboard routes to a signed-in facilitator
+function requireAdmin(req, res, next) {
+  if (!adminPassword || !req.session.admin) {
+    return res.status(403).json({ error: 'Sign in to the dashboard first' });
+  }
+  next();
+}
+
+// JSON API (/api/v1) so programs can play: bots written for class competitions,
+// command-line clients and so on. Creating or joining returns a bearer token
+// for the new seat; every other call acts for the seat whose token it sends.
+// The routes reuse the same helpers as the web pages. See buildOpenApiSpec.
+api.use(bodyParser.json());
+
+api.get('/openapi.json', (req, res) => {
+  res.json(buildOpenApiSpec(listModes().map(m => m.name), defaultSettings()));
+});
+
+api.post('/games', rateLimit(CREATE_LIMIT), (req, res) => {
+  const { username, gameMode, settings, error, code } = checkNewGame(req.body);
+  if (error) {
+    return sendApiError(res, code, error);
+  }
+  
+  const game = createGame(gameMode, settings, username);
+  const host = game.players[0];
+  host.apiToken = generateApiToken();
+  saveGame(game);
+  notifyLobby();
+  
+  log.info(`Game ${game.id} created through the API`, { gameId: game.id });
+  res.status(201).json(buildApiSeat(game, host));
+});
+
+api.post('/games/:gameId/players', rateLimit(JOIN_LIMIT), (req, res) => {
+  const game = getGame(req.params.gameId.toUpperCase());
+  if (!game) {
+    return sendApiError(res, 'not_found', 'Game not found');
+  }
+  
+  const { name: username, error: usernameError } = sanitizeUsername(req.body.username);
+  if (usernameError) {
+    return sendApiError(res, 'invalid_request', usernameError);
+  }
+  
+  const { player, error, code } = joinGame(game, username);
+  if (error) {
+    return sendApiError(res, code, error);
+  }
+  
+  player.apiToken = generateApiToken();
+  saveGame(game);
+  
+  log.info(`User ${username} joined game ${game.id} through the API`, { gameId: game.id });
+  res.status(201).json(buildApiSeat(game, player));
+});
+
+api.get('/games/:gameId/state', requireApiSeat, (req, res) => {
+  stateRequests.inc({ source: 'api' });
+  res.setHeader('Cache-Control', 'no-store');
+  res.json(buildTimedGameState(req.game, req.player));
+});
+
+api.post('/games/:gameId/start', requireApiSeat, requireApiHost, (req, res) => {
+  const result = startGame(req.game);
+  if (result.error) {
+    return sendApiError(res, result.code, result.error);
+  }
+  res.json(buildTimedGameState(req.game, req.player));
+});
+
+api.post('/games/:gameId/bets', requireApiSeat, (req, res) => {
+  timeResponse(res, betDuration);
+  const result = placeBet(req.game, req.player, parseInt(req.body.amount, 10));
+  if (result.error) {
+    return sendApiError(res, result.code, result.error);
+  }
+  
+  notifyGameUpdated(req.game);
+  res.json(buildTimedGameState(req.game, req.player));
+});
+
+['claim', 'raise'].forEach(action => {
+  api.post(`/games/:gameId/${action}`, requireApiSeat, (req, res) => {
+    const result = applyLiveAction(req.game, req.player, action, req.body);
+    if (result.error) {
+      return sendApiError(res, result.code, result.error);
+    }
+    res.json(buildTimedGameState(req.game, req.player));
+  });
+});
+
+api.post('/games/:gameId/next-round', requireApiSeat, requireApiHost, (req, res) => {
+  if (req.game.status !== 'roundComplete') {
+    return sendApiError(res, 'conflict', 'Cannot start next round yet');
+  }
+  
+  if (req.game.pausedAt) {
+    return sendApiError(res, 'conflict', 'Resume the game before starting the next round');
+  }
+  
+  advanceRound(req.game);
+  notifyGameUpdated(req.game);
+  res.json(buildTimedGameState(req.game, req.player));
+});
+
+api.post('/games/:gameId/reset', requireApiSeat, requireApiHost, (req, res) => {
+  const result = resetGame(req.game);
+  if (result.error) {
+    return sendApiError(res, result.code, result.error);
+  }
+  res.json(buildTimedGameState(req.game, req.player));
+});
+
+api.post('/games/:gameId/pause', requireApiSeat, requireApiHost, (req, res) => {
+  const result = req.body.paused === false ? resumeGame(req.game) : pauseGame(req.game);
+  if (result.error) {
+    return sendApiError(res, result.code, result.error);
+  }
+  res.json(buildTimedGameState(req.game, req.player));
+});
+
+api.post('/games/:gameId/undo', requireApiSeat, requireApiHost, (req, res) => {
+  const result = undoLastRound(req.game);
+  if (result.error) {
+    return sendApiError(res, result.code, result.error);
+  }
+  res.json(buildTimedGameState(req.game, req.player));
+});
+
+api.post('/games/:gameId/players/:playerId/host', requireApiSeat, requireApiHost, (req, res) => {
+  const result = transferHost(req.game, req.game.players.find(p => p.id === req.params.playerId));
+  if (result.error) {
+    return sendApiError(res, result.code, result.error);
+  }
+  res.json(buildTimedGameState(req.game, req.player));
+});
+
+api.use(apiNotFound);
+api.use(apiErrorHandler);
+
+// Helper middleware for API routes that act for a seat: finds the game and the
+// player whose token is in the Authorization header, as req.game and req.player
+function requireApiSeat(req, res, next) {
+  const game = getGame(req.params.gameId.toUpperCase());
+  if (!game) {
+    return sendApiError(res, 'not_found', 'Game not found');
+  }
+  
+  const token = readBearerToken(req);
+  if (!token) {
+    return sendApiError(res, 'unauthorized', 'Send your seat token as "Authorization: Bearer <token>"');
+  }
+  
+  const player = game.players.find(p => p.apiToken && tokensMatch(p.apiToken, token));
+  if (!player) {
+    log.warn(`API request for game ${game.id} with a token for no seat`, { gameId: game.id });
+    return sendApiError(res, 'unauthorized', 'This token is not for a seat in this game');
+  }
+  
+  // Acting through the API counts as being at the table
+  if (player.away) {
+    player.away = false;
+    notifyGameUpdated(game);
+  }
+  
+  req.game = game;
+  req.player = player;
+  next();
+}
+
+function requireApiHost(req, res, next) {
+  if (!req.player.host) {
+    return sendApiError(res, 'forbidden', 'Only the host can do this');
+  }
+  next();
+}
+
+// Helper function to answer a create or join: the seat's token and the game as it sees it
+function buildApiSeat(game, player) {
+  return {
+    gameId: game.id,
+    playerId: player.id,
+    token: player.apiToken,
+    state: buildTimedGameState(game, player)
+  };
+}
+
+// Helper function to start a Server-Sent Events stream of a game for a player,
+// or for a spectator when player is null
+function openEventStream(req, res, game, player) {
+  const gameId = game.id;
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-store, must-revalidate',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop proxies from buffering the stream
+  });
+  
+  const client = {
+    res: res,
+    playerId: player ? player.id : null,
+    lastState: buildGameState(game, player)
+  };
+  
+  if (!streamClients[gameId]) {
+    streamClients[gameId] = new Set();
+  }
+  streamClients[gameId].add(client);
+  log.debug(`${player ? player.name : 'Spectator'} subscribed to game ${gameId} (${streamClients[gameId].size} open streams)`, { gameId: gameId });
+  
+  // Ask the browser to wait 2 seconds before reconnecting, then send the full state
+  res.write('retry: 2000\n');
+  sendStreamEvent(res, 'state', Object.assign({ serverTime: Date.now() }, client.lastState));
+  
+  // Keep idle connections from being closed by the App Service front end
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+  }, 25000);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    if (streamClients[gameId]) {
+      streamClients[gameId].delete(client);
+      if (streamClients[gameId].size === 0) {
+        delete streamClients[gameId];
+      }
+    }
+    
+    // Give a host who has left the page a little while to come back
+    const currentGame = getGame(gameId);
+    const currentPlayer = player && currentGame ? currentGame.players.find(p => p.id === player.id) : null;
+    if (currentPlayer && currentPlayer.host && !hasOpenStream(gameId, player.id)) {
+      log.info(`Host ${player.name} disconnected from game ${gameId}`, { gameId: gameId });
+      scheduleGameTimer(gameId, 'hostHandover', Date.now() + HOST_HANDOVER_DELAY_MS, handOverHost);
+    }
+  });
+}
+
+// Helper function to check whether a player has the game open anywhere
+function hasOpenStream(gameId, playerId) {
+  return Array.from(streamClients[gameId] || []).some(client => client.playerId === playerId);
+}
+
+// Helper function to build the game state as seen by one player. Spectators
+// (player null) get the same public view with nothing of their own in it.
+function buildGameState(game, player) {
+  return {
+    players: game.players.map(p => ({
+      id: p.id,
+      name: p.name,
+      money: p.money,
+      roundsWon: p.roundsWon,
+      valueWon: p.valueWon || 0,
+      points: p.points || 0,
+      score: playerScore(game, p),
+      host: p.host,
+      bot: Boolean(p.bot),
+      strategy: p.bot ? getStrategy(p.strategy).label : undefined,
+      away: Boolean(p.away),
+      hasBet: game.bets[p.id] !== undefined
+    })),
+    currentRound: game.currentRound,
+    totalRounds: game.totalRounds,
+    roundsToWin: game.roundsToWin,
+    status: game.status,
+    gameMode: game.gameMode,
+    roundWinners: game.roundWinners,
+    overallWinner: game.overallWinner ? {
+      id: game.overallWinner.id,
+      name: game.overallWinner.name,
+      roundsWon: game.overallWinner.roundsWon,
+      money: game.overallWinner.money,
+      score: playerScore(game, game.overallWinner)
+    } : null,
+    drawnWith: game.players.filter(p => (game.drawnWith || []).includes(p.id)).map(p => p.name),
+    tiebreak: game.tiebreak ? {
+      playerIds: game.tiebreak.playerIds,
+      amount: game.tiebreak.amount,
+      attempt: game.tiebreak.attempt
+    } : null,
+    myBet: player ? game.bets[player.id] : undefined,
+    isMyTurn: Boolean(player) && game.status === 'betting' && game.bets[player.id] === undefined,
+    amHost: Boolean(player && player.host),
+    spectator: !player,
+    lastRoundBets: game.lastRoundBets || {},
+    showRoundResults: game.showRoundResults || false,
+    secondHighestBid: game.secondHighestBid,
+    actualPayments: game.actualPayments,
+    settings: visibleSettings(game, player),
+    clock: game.clock || null,
+    bidDeadline: game.bidDeadline || null,
+    nextRoundAt: game.nextRoundAt || null,
+    paused: Boolean(game.pausedAt),
+    itemValue: visibleItemValue(game, player),
+    itemSignal: player && game.itemSignals ? game.itemSignals[player.id] : null,
+    roundReveal: buildRoundReveal(game),
+    autoBidPlayers: game.autoBidPlayers || [],
+    gameNumber: game.gameNumber,
+    series: game.series ? {
+      name: game.series.name,
+      schedule: game.series.schedule,
+      gamesPlayed: game.series.results.length,
+      complete: game.series.complete,
+      standings: cumulativeStandings(game.series.results)
+    } : null,
+    tournamentId: game.tournamentId || null,
+    chat: player ? {
+      messages: game.chat.messages,
+      muted: game.chat.muted,
+      noCollusion: game.chat.noCollusion,
+      reactions: countReactions(game.chat, game.gameNumber, game.currentRound)
+    } : null
+  };
+}
+
+// Helper function to build the game state for a response of its own, with
+// the server's clock so the page can count down to its deadlines. Streams
+// send the clock beside the state instead, so it never counts as a change.
+function buildTimedGameState(game, player) {
+  return Object.assign(buildGameState(game, player), { serverTime: Date.now() });
+}
+
+// Helper function to pick the settings a player may see. The tie seed decides
+// every random tie-break in advance, so only the host, who sets it, gets it.
+function visibleSettings(game, player) {
+  return player && player.host ? game.settings : withoutTieSeed(game.settings);
+}
+
+// Helper function to copy settings without the tie seed
+function withoutTieSeed(settings) {
+  const copy = Object.assign({}, settings);
+  delete copy.tieSeed;
+  return copy;
+}
+
+// Helper function to pick the value of this round's item a player may see:
+// the common value, or with private values only their own (spectators get none).
+// With signals the value stays hidden until the reveal.
+function visibleItemValue(game, player) {
+  if (!usesItemValues(game.settings) || !game.itemValues || game.status === 'waiting') {
+    return null;
+  }
+  
+  if (game.settings.randomValues === 'signals') {
+    return null;
+  }
+  
+  if (game.settings.randomValues === 'private') {
+    return player && game.itemValues[player.id] !== undefined ? game.itemValues[player.id] : null;
+  }
+  return Object.values(game.itemValues)[0];
+}
+
+// Helper function to show everyone what the finished round's item was worth
+// to each player, their signals and what each of them made on it
+function buildRoundReveal(game) {
+  if (!usesItemValues(game.settings) || !game.roundSurplus) {
+    return null;
+  }
+  
+  if (game.status !== 'roundComplete' && game.status !== 'gameComplete') {
+    return null;
+  }
+  
+  return {
+    values: game.itemValues,
+    signals: game.itemSignals || null,
+    surplus: game.roundSurplus
+  };
+}
+
+// Helper function to write one Server-Sent Event
+function sendStreamEvent(res, eventName, data) {
+  res.write(`event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Helper function to end every open stream for a game that no longer exists
+function closeGameStreams(gameId) {
+  if (streamClients[gameId]) {
+    streamClients[gameId].forEach(client => {
+      sendStreamEvent(client.res, 'closed', {});
+      client.res.end();
+    });
+    delete streamClients[gameId];
+  }
+}
+
+// Helper function to tell a removed player's open pages that their seat is gone
+function closePlayerStreams(gameId, playerId) {
+  if (!streamClients[gameId]) {
+    return;
+  }
+  
+  streamClients[gameId].forEach(client => {
+    if (client.playerId === playerId) {
+      sendStreamEvent(client.res, 'removed', {});
+      client.res.end();
+      streamClients[gameId].delete(client);
+    }
+  });
+}
+
+// Save a changed game and push the changes since the last update to everyone
+// subscribed to it. Call this after every mutation of a game. A clock tick
+// passes save: false, as the clock is worked out again from the game's
+// times after a restart and isn't worth a write every tick.
+function notifyGameUpdated(game, { save = true } = {}) {
+  if (save) {
+    saveGame(game);
+    notifyLobby();
+  }
+  
+  const clients = streamClients[game.id];
+  if (!clients) {
+    return;
+  }
+  
+  clients.forEach(client => {
+    const player = client.playerId ? game.players.find(p => p.id === client.playerId) : null;
+    if (client.playerId && !player) {
+      return;
+    }
+    
+    const nextState = buildGameState(game, player);
+    const diff = diffGameState(client.lastState, nextState);
+    client.lastState = nextState;
+    
+    if (!isEmptyDiff(diff)) {
+      sendStreamEvent(client.res, 'diff', Object.assign(diff, { serverTime: Date.now() }));
+    }
+  });
+}
+
+// Helper function to list the public games that are still taking players, newest first
+function buildLobbyList() {
+  return listGames()
+    .filter(game => game.settings.visibility === 'public' && game.status === 'waiting')
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(game => {
+      const host = game.players.find(p => p.host);
+      return {
+        id: game.id,
+        gameMode: game.gameMode,
+        modeLabel: getMode(game.gameMode).label,
+        hostName: host ? host.name : '',
+        playerCount: game.players.length,
+        maxPlayers: game.settings.maxPlayers,
+        totalRounds: game.totalRounds,
+        startingMoney: game.settings.startingMoney,
+        roundsToWin: game.settings.roundsToWin,
+        bidTimeLimit: game.settings.bidTimeLimit
+      };
+    });
+}
+
+// Push the lobby list to index pages whose copy is out of date
+function notifyLobby() {
+  if (lobbyClients.size === 0) {
+    return;
+  }
+  
+  const games = buildLobbyList();
+  const list = JSON.stringify(games);
+  lobbyClients.forEach(client => {
+    if (client.lastList !== list) {
+      client.lastList = list;
+      sendStreamEvent(client.res, 'lobby', { games: games });
+    }
+  });
+}
+
+// Helper function to place a sealed bet for a player (human or bot) and
+// complete the round once everyone has bet. Returns { error, code } if refused.
+function placeBet(game, player, betAmount) {
+  if (game.status !== 'betting') {
+    log.warn(`Game ${game.id} status ${game.status} not in betting phase`, { gameId: game.id });
+    return { error: 'It is not betting time', code: 'conflict' };
+  }
+  
+  if (game.pausedAt) {
+    log.warn(`Bet sent to paused game ${game.id}`, { gameId: game.id });
+    return { error: 'The game is paused', code: 'conflict' };
+  }
+  
+  if (getMode(game.gameMode).liveRound) {
+    log.warn(`Sealed bet sent to live game ${game.id}`, { gameId: game.id });
+    return { error: 'This auction is bid live, not with sealed bets', code: 'conflict' };
+  }
+  
+  if (game.bets[player.id] !== undefined) {
+    log.warn(`Player ${player.name} already bet in round ${game.currentRound}`, { gameId: game.id });
+    return { error: 'You have already placed a bet this round', code: 'conflict' };
+  }
+  
+  if (isNaN(betAmount) || betAmount < 0 || betAmount > player.money) {
+    log.warn(`Invalid bet amount ${betAmount} from player ${player.name}`, { gameId: game.id });
+    return { error: 'Invalid bet amount', code: 'invalid_request' };
+  }
+  
+  // A re-bid to break a tie can't go below the tied bid
+  if (game.tiebreak && betAmount < game.tiebreak.amount) {
+    log.warn(`Re-bid ${betAmount} from player ${player.name} is below the tied bid in game ${game.id}`, { gameId: game.id });
+    return { error: `Bid at least ${game.tiebreak.amount} to break the tie`, code: 'invalid_request' };
+  }
+  
+  // Place the bet
+  game.bets[player.id] = betAmount;
+  recordEvent(game, 'bet', { playerId: player.id, amount: betAmount, auto: false });
+  log.info(`Player ${player.name} bet ${betAmount} in game ${game.id}`, { gameId: game.id });
+  
+  completeRoundIfAllBet(game);
+  
+  return {};
+}
+
+// Helper function to complete a sealed-bid round once every seated player has
+// bet. Spectators aren't seated and kicked players have left, so neither counts.
+function completeRoundIfAllBet(game) {
+  if (game.status !== 'betting' || game.pausedAt || getMode(game.gameMode).liveRound) {
+    return false;
+  }
+  
+  const allPlayersHaveBet = game.players.every(p => game.bets[p.id] !== undefined);
+  
+  if (allPlayersHaveBet) {
+    log.info(`All players have bet in game ${game.id}, completing round ${game.currentRound}`, { gameId: game.id });
+    completeRound(game);
+  }
+  return allPlayersHaveBet;
+}
+
+// Helper function to bid for players marked away, as if their time had run out
+function placeAwayBets(game) {
+  if (game.status !== 'betting' || game.pausedAt || getMode(game.gameMode).liveRound) {
+    return;
+  }
+  
+  const before = { ...game.bets };
+  game.autoBidPlayers = game.autoBidPlayers || [];
+  game.players.forEach(p => {
+    if (p.away && game.bets[p.id] === undefined) {
+      game.bets[p.id] = automaticBid(game, p);
+      game.autoBidPlayers.push(p.id);
+      log.info(`Player ${p.name} is away in game ${game.id}, automatic bid ${game.bets[p.id]}`, { gameId: game.id });
+    }
+  });
+  recordBetChanges(game, before);
+  
+  completeRoundIfAllBet(game);
+}
+
+// Helper function to work out the bid placed for a player who is away or out
+// of time. In a re-bid they stay at the bid that was tied.
+function automaticBid(game, player) {
+  if (game.tiebreak && game.tiebreak.playerIds.includes(player.id)) {
+    return game.tiebreak.amount;
+  }
+  return Math.min(game.settings.autoBid || 0, player.money);
+}
+
+// Helper function to take a player out of a game in any state. Their bid in
+// the current round is dropped and the round stops waiting for them.
+function removePlayer(game, target) {
+  game.players = game.players.filter(p => p.id !== target.id);
+  game.formerPlayers.push({ id: target.id, name: target.name, bot: Boolean(target.bot) });
+  recordEvent(game, 'left', { playerId: target.id });
+  
+  clearGameTimer(game.id, `bot:${target.id}`);
+  if (game.botPlans) {
+    delete game.botPlans[target.id];
+  }
+  
+  const mode = getMode(game.gameMode);
+  if (game.status === 'betting' && game.clock && mode.removePlayer) {
+    mode.removePlayer(game, target.id);
+  } else {
+    delete game.bets[target.id];
+  }
+  
+  if (game.status === 'waiting') {
+    game.totalRounds = getTotalRounds(game);
+  }
+  
+  closePlayerStreams(game.id, target.id);
+  completeRoundIfAllBet(game);
+}
+
+// Helper function to make another seated player the host. Bots can't run a
+// game. Returns { error, code } if the player can't be host.
+function transferHost(game, target) {
+  if (!target) {
+    return { error: 'Player not found', code: 'not_found' };
+  }
+  
+  if (target.bot || target.host) {
+    return { error: 'That player cannot be made host', code: 'invalid_request' };
+  }
+  
+  game.players.forEach(p => {
+    p.host = p.id === target.id;
+  });
+  recordEvent(game, 'hostChanged', { playerId: target.id });
+  
+  log.info(`Player ${target.name} is now host of game ${game.id}`, { gameId: game.id });
+  notifyGameUpdated(game);
+  return {};
+}
+
+// Helper function to pass the host role on when the host hasn't come back to
+// the game. It goes to the first player who has the game open and isn't away.
+function handOverHost(game) {
+  const host = game.players.find(p => p.host);
+  if (!host || hasOpenStream(game.id, host.id)) {
+    return;
+  }
+  
+  const successor = game.players.find(p => !p.bot && !p.away && hasOpenStream(game.id, p.id));
+  if (!successor) {
+    log.info(`Host ${host.name} left game ${game.id} but nobody else is connected`, { gameId: game.id });
+    return;
+  }
+  
+  log.info(`Host ${host.name} left game ${game.id}, handing over`, { gameId: game.id });
+  transferHost(game, successor);
+}
+
+// Helper function to stop betting until the host resumes. Returns { error, code }
+// if the game can't be paused now.
+function pauseGame(game) {
+  if (game.status !== 'betting' && game.status !== 'roundComplete') {
+    return { error: 'Only a game in progress can be paused', code: 'conflict' };
+  }
+  
+  if (game.pausedAt) {
+    return { error: 'The game is already paused', code: 'conflict' };
+  }
+  
+  if (game.status === 'betting' && game.clock && !getMode(game.gameMode).resumeRound) {
+    return { error: 'This auction cannot be paused', code: 'conflict' };
+  }
+  
+  game.pausedAt = Date.now();
+  recordEvent(game, 'paused');
+  stopRoundClock(game.id);
+  clearGameTimer(game.id, 'bidDeadline');
+  clearGameTimer(game.id, 'autoAdvance');
+  clearGameTimer(game.id, 'hideResults');
+  game.players.filter(p => p.bot).forEach(bot => clearGameTimer(game.id, `bot:${bot.id}`));
+  
+  log.info(`Game ${game.id} paused in round ${game.currentRound}`, { gameId: game.id });
+  notifyGameUpdated(game);
+  return {};
+}
+
+// Helper function to carry on after a pause. Every deadline moves on by the
+// time spent paused, so nobody loses bidding time.
+function resumeGame(game) {
+  if (!game.pausedAt) {
+    return { error: 'The game is not paused', code: 'conflict' };
+  }
+  
+  const pausedMs = Date.now() - game.pausedAt;
+  game.pausedAt = null;
+  recordEvent(game, 'resumed');
+  
+  if (game.status === 'betting' && game.clock) {
+    getMode(game.gameMode).resumeRound(game, pausedMs);
+    runRoundClock(game.id);
+  } else if (game.status === 'betting') {
+    if (game.bidDeadline) {
+      game.bidDeadline += pausedMs;
+      scheduleGameTimer(game.id, 'bidDeadline', game.bidDeadline, expireBidDeadline);
+    }
+    scheduleBotBets(game);
+    // Also completes the round if everyone left to bet was removed during the pause
+    placeAwayBets(game);
+  } else if (game.status === 'roundComplete' && game.nextRoundAt) {
+    game.nextRoundAt += pausedMs;
+    scheduleGameTimer(game.id, 'autoAdvance', game.nextRoundAt, autoAdvanceRound);
+  }
+  
+  // Results left showing by the pause get their full time again
+  if (game.showRoundResults) {
+    scheduleHideResults(game);
+  }
+  
+  log.info(`Game ${game.id} resumed after ${Math.round(pausedMs / 1000)}s`, { gameId: game.id });
+  notifyGameUpdated(game);
+  return {};
+}
+
+// Helper function to take back the round that just finished and bid it again.
+// Only the latest round can be undone, and only until the next one starts; once
+// a game is over its result stands. Returns { error, code } if there's nothing to undo.
+function undoLastRound(game) {
+  if (game.status !== 'roundComplete') {
+    return { error: 'There is no finished round to undo', code: 'conflict' };
+  }
+  
+  if (game.pausedAt) {
+    return { error: 'Resume the game before undoing a round', code: 'conflict' };
+  }
+  
+  const last = game.history[game.history.length - 1];
+  if (!last || last.gameNumber !== game.gameNumber || last.round !== game.currentRound) {
+    return { error: 'There is no finished round to undo', code: 'conflict' };
+  }
+  
+  // Payments are refunded; wins and value won go back to the previous round's
+  // totals so fractional tie shares don't leave rounding errors behind. The
+  // round is bid again for the same item values.
+  const previous = game.history[game.history.length - 2];
+  const before = previous && previous.gameNumber === game.gameNumber ? previous : { roundsWon: {}, valueWon: {}, points: {} };
+  game.players.forEach(p => {
+    p.money += last.payments[p.id] || 0;
+    p.roundsWon = before.roundsWon[p.id] || 0;
+    p.valueWon = (before.valueWon || {})[p.id] || 0;
+    p.points = (before.points || {})[p.id] || 0;
+    p.surplus = roundValue((p.surplus || 0) - ((last.surplus || {})[p.id] || 0));
+  });
+  game.history.pop();
+  recordEvent(game, 'roundUndone');
+  
+  clearGameTimer(game.id, 'autoAdvance');
+  clearGameTimer(game.id, 'hideResults');
+  game.nextRoundAt = null;
+  game.status = 'betting';
+  game.bets = {};
+  game.tiebreak = null;
+  game.roundWinners = null;
+  game.lastRoundBets = {};
+  game.showRoundResults = false;
+  game.secondHighestBid = undefined;
+  game.thirdHighestBid = undefined;
+  game.actualPayments = {};
+  game.autoBidPlayers = [];
+  game.roundSurplus = null;
+  game.clock = null;
+  startRoundTimers(game);
+  
+  log.info(`Round ${game.currentRound} of game ${game.id} undone`, { gameId: game.id });
+  notifyGameUpdated(game);
+  return {};
+}
+
+// Helper function to move on from a finished round: either end the game or
+// start the next round. Used by the host's button and the auto-advance timer.
+function advanceRound(game) {
+  clearGameTimer(game.id, 'autoAdvance');
+  game.nextRoundAt = null;
+  
+  // Check if the game is over based on game mode
+  if (shouldEndGame(game)) {
+    recordEvent(game, 'nextRound');
+    finishGame(game);
+    return { gameComplete: true };
   }
+  
+  // Start the next round
+  game.currentRound++;
+  game.status = 'betting';
+  game.bets = {};
+  game.tiebreak = null;
+  game.roundWinners = null;
+  game.showRoundResults = false; // Hide round results
+  game.autoBidPlayers = [];
+  game.roundSurplus = null;
+  drawRoundValues(game);
+  recordEvent(game, 'nextRound', { itemValues: game.itemValues, signals: game.itemSignals });
+  startRoundTimers(game);
+  
+  log.info(`Game ${game.id} advanced to round ${game.currentRound}`, { gameId: game.id });
+  return { gameComplete: false };
 }
 
-// Helper function to determine the overall winner
-function determineOverallWinner(game) {
-  if (game.gameMode === 'all-pay') {
-    // All-Pay mode: check for 3 wins first
-    const playerWith3Wins = game.players.find(p => p.roundsWon >= game.roundsToWin);
-    
-    if (playerWith3Wins) {
-      // Someone has 3 or more wins, they're the winner
-      console.log(`Game ${game.id} complete - ${playerWith3Wins.name} won with ${playerWith3Wins.roundsWon} rounds`);
-      game.overallWinner = playerWith3Wins;
+// Helper function to draw the new round's item values, and the signals of
+// them players get when the values are hidden
+function drawRoundValues(game) {
+  game.itemValues = drawItemValues(game);
+  game.itemSignals = drawSignals(game, game.itemValues);
+}
+
+// Helper function to start whatever timer runs a new round: the auction clock
+// in live modes, or the bid deadline for sealed bids
+function startRoundTimers(game) {
+  planBotBids(game);
+  
+  if (getMode(game.gameMode).liveRound) {
+    startRoundClock(game);
+  } else {
+    startBidDeadline(game);
+    scheduleBotBets(game);
+    placeAwayBets(game);
+  }
+}
+
+// Helper function to have every bot decide what it will pay this round. The
+// plan is kept on the game (but never sent to clients) so it survives a restart.
+function planBotBids(game) {
+  game.botPlans = {};
+  game.players.filter(p => p.bot).forEach(bot => {
+    game.botPlans[bot.id] = getStrategy(bot.strategy).decideBid(game, bot, Math.random);
+    log.debug(`Bot ${bot.name} (${bot.strategy}) will go up to ${game.botPlans[bot.id]} in round ${game.currentRound} of game ${game.id}`, { gameId: game.id });
+  });
+}
+
+// Helper function to have bots that haven't bet yet place their sealed bets
+// after a short, human-looking pause
+function scheduleBotBets(game) {
+  game.players.filter(p => p.bot && game.bets[p.id] === undefined).forEach(bot => {
+    const delay = BOT_MIN_DELAY_MS + Math.random() * (BOT_MAX_DELAY_MS - BOT_MIN_DELAY_MS);
+    scheduleGameTimer(game.id, `bot:${bot.id}`, Date.now() + delay, currentGame => {
+      const currentBot = currentGame.players.find(p => p.id === bot.id);
+      if (!currentBot || currentGame.status !== 'betting' || currentGame.bets[bot.id] !== undefined) {
+        return;
+      }
+      
+      const plan = currentGame.botPlans ? currentGame.botPlans[bot.id] : 0;
+      const amount = currentGame.tiebreak ? botRebid(currentGame, currentBot) : Math.min(plan || 0, currentBot.money);
+      if (!placeBet(currentGame, currentBot, amount).error) {
+        notifyGameUpdated(currentGame);
+      }
+    });
+  });
+}
+
+// Helper function to pick a bot's re-bid in a tie: the tied bid, raised by a
+// little at random, as far as the bot's money goes
+function botRebid(game, bot) {
+  const raise = Math.round(Math.random() * BOT_TIEBREAK_RAISE * game.settings.startingMoney);
+  return Math.min(game.tiebreak.amount + raise, bot.money);
+}
+
+// Helper function to let bots act on a live auction clock: claim a Dutch item
+// once the price is within their plan, or raise an English round while the
+// next raise still is. Returns true if any bot acted.
+function runLiveBots(game) {
+  const mode = getMode(game.gameMode);
+  const now = Date.now();
+  let acted = false;
+  
+  game.players.filter(p => p.bot).forEach(bot => {
+    const plan = game.botPlans ? game.botPlans[bot.id] : undefined;
+    if (plan === undefined || game.status !== 'betting') {
       return;
     }
+    
+    if (mode.claim && game.clock.price <= plan && game.clock.price <= bot.money) {
+      const before = { ...game.bets };
+      const result = mode.claim(game, bot, {}, now);
+      if (!result.error) {
+        recordBetChanges(game, before, now);
+        log.info(`Bot ${bot.name} claimed at ${game.clock.price} in game ${game.id}`, { gameId: game.id });
+        acted = true;
+        if (result.roundOver) {
+          stopRoundClock(game.id);
+          completeRound(game);
+        }
+      }
+    } else if (mode.raise && game.clock.leaderId !== bot.id && Math.random() < BOT_RAISE_CHANCE) {
+      const amount = mode.minimumRaise(game.clock);
+      const before = { ...game.bets };
+      if (amount <= plan && !mode.raise(game, bot, { amount: amount }, now).error) {
+        recordBetChanges(game, before, now);
+        log.info(`Bot ${bot.name} raised to ${amount} in game ${game.id}`, { gameId: game.id });
+        acted = true;
+      }
+    }
+  });
+  
+  return acted;
+}
+
+// Helper function to give a sealed-bid round its time limit, if the game has one
+function startBidDeadline(game) {
+  if (!game.settings.bidTimeLimit) {
+    game.bidDeadline = null;
+    return;
+  }
+  
+  game.bidDeadline = Date.now() + game.settings.bidTimeLimit * 1000;
+  scheduleGameTimer(game.id, 'bidDeadline', game.bidDeadline, expireBidDeadline);
+  log.info(`Bids for round ${game.currentRound} of game ${game.id} close in ${game.settings.bidTimeLimit}s`, { gameId: game.id });
+}
+
+// Helper function to close a sealed-bid round when time runs out. Anyone who
+// hasn't bet gets the automatic bid (capped at what they have left).
+function expireBidDeadline(game) {
+  if (game.status !== 'betting') {
+    return;
+  }
+  
+  const before = { ...game.bets };
+  game.autoBidPlayers = game.autoBidPlayers || [];
+  game.players.forEach(p => {
+    if (game.bets[p.id] === undefined) {
+      game.bets[p.id] = automaticBid(game, p);
+      game.autoBidPlayers.push(p.id);
+      log.info(`Player ${p.name} missed the deadline in game ${game.id}, automatic bid ${game.bets[p.id]}`, { gameId: game.id });
+    }
+  });
+  recordBetChanges(game, before);
+  
+  completeRound(game);
+  notifyGameUpdated(game);
+}
+
+// Helper function to start the next round by itself after the configured delay
+function scheduleAutoAdvance(game) {
+  if (!game.settings.autoAdvanceDelay || game.status !== 'roundComplete') {
+    return;
+  }
+  
+  game.nextRoundAt = Date.now() + game.settings.autoAdvanceDelay * 1000;
+  scheduleGameTimer(game.id, 'autoAdvance', game.nextRoundAt, autoAdvanceRound);
+}
+
+function autoAdvanceRound(game) {
+  if (game.status !== 'roundComplete') {
+    return;
+  }
+  
+  log.info(`Automatically advancing game ${game.id}`, { gameId: game.id });
+  advanceRound(game);
+  notifyGameUpdated(game);
+}
+
+// Helper functions for one-off game timers. The callback gets the game as it
+// is in the store when the timer fires, and is skipped if the game is gone.
+function scheduleGameTimer(gameId, name, at, callback) {
+  clearGameTimer(gameId, name);
+  
+  if (!gameTimers[gameId]) {
+    gameTimers[gameId] = {};
+  }
+  gameTimers[gameId][name] = setTimeout(() => {
+    delete gameTimers[gameId][name];
+    const game = getGame(gameId);
+    if (game) {
+      callback(game);
+    }
+  }, Math.max(0, at - Date.now()));
+}
+
+function clearGameTimer(gameId, name) {
+  if (gameTimers[gameId] && gameTimers[gameId][name]) {
+    clearTimeout(gameTimers[gameId][name]);
+    delete gameTimers[gameId][name];
+  }
+}
+
+function clearGameTimers(gameId) {
+  if (gameTimers[gameId]) {
+    Object.values(gameTimers[gameId]).forEach(timer => clearTimeout(timer));
+    delete gameTimers[gameId];
+  }
+}
+
+// Helper function to start the clock of a live auction round
+function startRoundClock(game) {
+  const mode = getMode(game.gameMode);
+  if (!mode.liveRound) {
+    return;
   }
   
-  // For all modes: if no player has 3 wins, determine by most wins then money
-  // Find player(s) with most wins
-  const maxWins = Math.max(...game.players.map(p => p.roundsWon));
-  const playersWithMostWins = game.players.filter(p => p.roundsWon === maxWins);
+  mode.startRound(game, Date.now());
+  runRoundClock(game.id);
+}
+
+// Helper function to drive a running clock until the round is over. Clock
+// state lives on the game, so this also resumes a clock after a restart.
+function runRoundClock(gameId) {
+  stopRoundClock(gameId);
+  
+  clockTimers[gameId] = setInterval(() => {
+    const game = getGame(gameId);
+    if (!game || game.status !== 'betting' || !game.clock) {
+      stopRoundClock(gameId);
+      return;
+    }
+    
+    const result = getMode(game.gameMode).tick(game, Date.now());
+    let botsBid = false;
+    
+    if (!result.roundOver && runLiveBots(game)) {
+      if (game.status !== 'betting') {
+        // A bot's claim ended the round
+        notifyGameUpdated(game);
+        return;
+      }
+      botsBid = true;
+    }
+    
+    if (result.roundOver) {
+      log.info(`Clock ran out in game ${gameId}, round ${game.currentRound}`, { gameId: gameId });
+      stopRoundClock(gameId);
+      completeRound(game);
+      notifyGameUpdated(game);
+    } else if (botsBid) {
+      notifyGameUpdated(game);
+    } else if (result.changed) {
+      // Only the clock moved
+      notifyGameUpdated(game, { save: false });
+    }
+  }, CLOCK_INTERVAL_MS);
+}
+
+function stopRoundClock(gameId) {
+  if (clockTimers[gameId]) {
+    clearInterval(clockTimers[gameId]);
+    delete clockTimers[gameId];
+  }
+}
+
+// Helper function to check if game should end
+function shouldEndGame(game) {
+  return getMode(game.gameMode).shouldEndGame(game);
+}
+
+// Helper function to determine the overall winner. If the leaders can't be
+// told apart by the scoring rule the game is a draw between them.
+function determineOverallWinner(game) {
+  game.overallWinner = pickOverallWinner(game);
+  game.drawnWith = game.overallWinner ? [] : overallLeaders(game).map(p => p.id);
   
-  if (playersWithMostWins.length === 1) {
-    // Only one player has the most wins
-    game.overallWinner = playersWithMostWins[0];
-    console.log(`${game.overallWinner.name} won with ${maxWins} wins and $${game.overallWinner.money}`);
+  if (game.overallWinner) {
+    log.info(`Game ${game.id} complete - ${game.overallWinner.name} won with ${game.overallWinner.roundsWon} wins and $${game.overallWinner.money}`, { gameId: game.id });
   } else {
-    // Multiple players tied for wins, determine by money
-    const winnerByMoney = playersWithMostWins.reduce((prev, current) => 
-      (prev.money > current.money) ? prev : current
-    );
-    game.overallWinner = winnerByMoney;
-    console.log(`${game.overallWinner.name} won with ${maxWins} wins and $${game.overallWinner.money} (tiebreaker by money)`);
+    log.info(`Game ${game.id} complete - a draw between ${game.drawnWith.length} players`, { gameId: game.id });
+  }
+}
+
+// Helper function to send a tied sealed-bid round back to the tied bidders
+// under the rebid tie policy. Their bids are cleared for them to bid again,
+// at least as much; everyone else's stand. After MAX_TIEBREAKS re-bids the
+// tie is split. Returns true if the round goes to a re-bid.
+function startTiebreak(game) {
+  const attempt = game.tiebreak ? game.tiebreak.attempt + 1 : 1;
+  const { highestBid, highestBidders } = rankBids(game.bets);
+  if (getMode(game.gameMode).liveRound || tiePolicy(game) !== 'rebid' || highestBidders.length < 2 || attempt > MAX_TIEBREAKS) {
+    game.tiebreak = null;
+    return false;
   }
+  
+  highestBidders.forEach(playerId => {
+    delete game.bets[playerId];
+  });
+  game.autoBidPlayers = (game.autoBidPlayers || []).filter(playerId => !highestBidders.includes(playerId));
+  game.tiebreak = { playerIds: highestBidders, amount: highestBid, attempt: attempt };
+  recordEvent(game, 'tiebreak', { playerIds: highestBidders, amount: highestBid });
+  log.info(`Tie at ${highestBid} between ${highestBidders.length} players in game ${game.id}, re-bid ${attempt} of ${MAX_TIEBREAKS}`, { gameId: game.id });
+  
+  startBidDeadline(game);
+  scheduleBotBets(game);
+  placeAwayBets(game);
+  return true;
 }
 
 // Helper function to complete a round
 function completeRound(game) {
-  console.log(`Completing round ${game.currentRound} for game ${game.id}, mode: ${game.gameMode}`);
+  log.info(`Completing round ${game.currentRound} for game ${game.id}, mode: ${game.gameMode}`, { gameId: game.id });
+  
+  // Whatever ended the round, its deadline no longer applies
+  clearGameTimer(game.id, 'bidDeadline');
+  game.bidDeadline = null;
+  if (startTiebreak(game)) {
+    return;
+  }
+  recordEvent(game, 'roundClosed');
+  roundsCompleted.inc({ mode: game.gameMode });
   
   // Store last round's bets before updating money
   game.lastRoundBets = { ...game.bets };
   game.showRoundResults = true;
   
-  // Set a timer to hide round results after 5 seconds
-  setTimeout(() => {
-    if (games[game.id]) {
-      games[game.id].showRoundResults = false;
-      console.log(`Round results hidden for game ${game.id}`);
-    }
-  }, 5000);
-  
-  // Find the highest and second highest bids
-  let bids = Object.entries(game.bets)
-    .map(([playerId, amount]) => ({ playerId, amount }))
-    .sort((a, b) => b.amount - a.amount); // Sort by amount descending
+  scheduleHideResults(game);
   
-  if (bids.length === 0) {
-    console.log(`No bids placed in round ${game.currentRound}`);
+  if (Object.keys(game.bets).length === 0) {
+    log.info(`No bids placed in round ${game.currentRound}`, { gameId: game.id });
     game.status = 'roundComplete';
     game.roundWinners = [];
+    settleRound(game, { winners: [], winFraction: 0, payments: {} });
+    recordRoundHistory(game, { winners: [], winFraction: 0, payments: {} });
+    scheduleAutoAdvance(game);
     return;
   }
   
-  const highestBid = bids[0].amount;
-  const highestBidders = bids.filter(bid => bid.amount === highestBid).map(bid => bid.playerId);
-  
-  // Find second highest bid (for Vickrey)
-  let secondHighestBid = bids.length > 1 ? bids.find(bid => bid.amount < highestBid)?.amount : undefined;
-  game.secondHighestBid = secondHighestBid;
+  // Let the auction mode work out who won and what everyone pays
+  const result = getMode(game.gameMode).resolveRound(game);
+  game.secondHighestBid = result.secondHighestBid;
+  game.thirdHighestBid = result.thirdHighestBid;
+  game.actualPayments = result.payments;
+  
+  // Payments, wins, value won and what everyone made on the round (for
+  // surplus scoring and the reveal), the same way a replay of the log does
+  settleRound(game, result);
+  result.winners.forEach(winnerId => {
+    const winner = game.players.find(p => p.id === winnerId);
+    log.info(`Player ${winner.name} won round ${game.currentRound} with bet of ${result.highestBid}, gets ${result.winFraction} wins, pays ${result.payments[winnerId]}`, { gameId: game.id });
+  });
   
-  // Find third highest bid (for Vickrey ties)
-  let thirdHighestBid;
-  if (bids.length > 2 && highestBidders.length > 1) {
-    // When there's a tie for highest, we need to find the next highest after the tied players
-    const nonWinnerBids = bids.filter(bid => !highestBidders.includes(bid.playerId));
-    thirdHighestBid = nonWinnerBids.length > 0 ? nonWinnerBids[0].amount : undefined;
-  }
-  game.thirdHighestBid = thirdHighestBid;
+  // Store the round winners
+  game.roundWinners = result.winners;
+  recordRoundHistory(game, result);
   
-  // Store actual payments
-  game.actualPayments = {};
+  // Update game status
+  game.status = 'roundComplete';
   
-  // Calculate fractional win amount based on number of winners
-  const fractionalWinAmount = getFractionalWinAmount(highestBidders.length);
+  // Check if the game is over
+  if (shouldEndGame(game)) {
+    finishGame(game);
+  } else {
+    scheduleAutoAdvance(game);
+  }
+}
+
+// Helper function to close the results popup a while after the round ended.
+// The timer is one of the game's, so undo, pause and reset cancel it; it also
+// checks it still has the round it was set for.
+function scheduleHideResults(game) {
+  const gameNumber = game.gameNumber;
+  const round = game.currentRound;
+  scheduleGameTimer(game.id, 'hideResults', Date.now() + RESULTS_DISPLAY_MS, storedGame => {
+    if (!storedGame.showRoundResults || storedGame.gameNumber !== gameNumber || storedGame.currentRound !== round) {
+      return;
+    }
+    storedGame.showRoundResults = false;
+    recordEvent(storedGame, 'resultsHidden');
+    log.debug(`Round results hidden for game ${storedGame.id}`, { gameId: storedGame.id });
+    notifyGameUpdated(storedGame);
+  });
+}
+
+// Helper function to end a game: pick the overall winner and score the game
+// for the series or tournament it belongs to
+function finishGame(game) {
+  log.info(`Game ${game.id} complete after ${game.currentRound} rounds`, { gameId: game.id });
+  game.status = 'gameComplete';
+  
+  // Determine the overall winner
+  determineOverallWinner(game);
+  recordAccountStats(game);
+  
+  if (game.series) {
+    recordSeriesResult(game);
+  }
+  if (game.tournamentId) {
+    recordTournamentResult(game);
+  }
+}
+
+// Helper function to add a finished game to the lifetime stats of every player
+// with an account (guest or registered)
+function recordAccountStats(game) {
+  const placings = rankGame(game);
+  const rounds = game.history.filter(round => round.gameNumber === game.gameNumber);
+  const now = Date.now();
   
-  // Update player balances and determine winners based on game mode
-  if (game.gameMode === 'all-pay') {
-    // All-Pay auction: all players pay their bids
-    game.players.forEach(player => {
-      const betAmount = game.bets[player.id] || 0;
-      player.money -= betAmount;
-      game.actualPayments[player.id] = betAmount;
+  game.players.filter(p => p.accountId).forEach(p => {
+    const account = getAccount(p.accountId);
+    if (!account) {
+      return;
+    }
+    
+    recordFinishedGame(account, {
+      gameId: game.id,
+      gameMode: game.gameMode,
+      finishedAt: now,
+      place: placings.find(placing => placing.playerId === p.id).place,
+      players: game.players.length,
+      won: Boolean(game.overallWinner && game.overallWinner.id === p.id),
+      roundsWon: p.roundsWon,
+      startingMoney: game.settings.startingMoney,
+      finalMoney: p.money,
+      bidFractions: bidFractions(rounds, p.id, game.settings.startingMoney)
+    });
+    account.lastSeenAt = now;
+    saveAccount(account);
+  });
+}
+
+// Helper function to score a finished game of a series and line up the next one
+function recordSeriesResult(game) {
+  const series = game.series;
+  series.results.push({
+    gameNumber: game.gameNumber,
+    gameMode: game.gameMode,
+    placings: awardPoints(rankGame(game), series.points)
+  });
+  series.complete = series.results.length >= series.schedule.length;
+  log.info(`Game ${series.results.length} of ${series.schedule.length} in series at table ${game.id} complete`, { gameId: game.id });
+}
+
+// Helper function to seat the given entrants (best seeds first) at the tables of
+// the next stage. The top seed at each table hosts it.
+function startTournamentStage(tournament, entrantIds) {
+  const number = tournament.stages.length + 1;
+  
+  const tables = splitIntoTables(entrantIds, tournament.tableSize).map(tableEntrantIds => {
+    const seated = tableEntrantIds.map(id => tournament.entrants.find(e => e.id === id));
+    const settings = JSON.parse(JSON.stringify(tournament.settings));
+    const game = createGame(tournament.gameMode, settings, seated[0].name);
+    seated.slice(1).forEach(entrant => {
+      const player = createPlayer(entrant.name, settings.startingMoney, false);
+      game.players.push(player);
+      recordJoin(game, player);
     });
+    game.totalRounds = getTotalRounds(game);
+    game.tournamentId = tournament.id;
+    game.tournamentStage = number;
     
-    // Single winner
-    if (highestBidders.length === 1) {
-      const winner = game.players.find(p => p.id === highestBidders[0]);
-      winner.roundsWon += 1; // Full win
-      console.log(`Player ${winner.name} won round ${game.currentRound} with bet of ${highestBid}`);
-    } 
-    // Multiple winners (tie)
-    else if (highestBidders.length > 1) {
-      highestBidders.forEach(winnerId => {
-        const winner = game.players.find(p => p.id === winnerId);
-        winner.roundsWon += fractionalWinAmount; // Fractional win
-        console.log(`Player ${winner.name} tied for win in round ${game.currentRound} with bet of ${highestBid}, gets ${fractionalWinAmount} wins`);
-      });
-    }
-  } 
-  else if (game.gameMode === 'standard') {
-    // Standard auction: only the winner pays their bid
-    game.players.forEach(player => {
-      // By default, no one pays anything
-      game.actualPayments[player.id] = 0;
+    seated.forEach((entrant, index) => {
+      game.players[index].accountId = entrant.accountId;
+      entrant.seat = {
+        gameId: game.id,
+        playerId: game.players[index].id,
+        rejoinToken: game.players[index].rejoinToken
+      };
     });
     
-    // Single winner
-    if (highestBidders.length === 1) {
-      const winner = game.players.find(p => p.id === highestBidders[0]);
-      
-      // Winner pays their bid amount
-      winner.money -= highestBid;
-      game.actualPayments[winner.id] = highestBid;
+    saveGame(game);
+    return { gameId: game.id, entrantIds: tableEntrantIds, complete: false, placings: null };
+  });
+  
+  tournament.stages.push({ number: number, tables: tables });
+  tournament.status = 'playing';
+  log.info(`Tournament ${tournament.id} stage ${number} seated at ${tables.length} tables`, { tournamentId: tournament.id });
+}
+
+// Helper function to score a finished tournament table. Once every table in the
+// stage is done, the top players move on, or the last table crowns the champion.
+function recordTournamentResult(game) {
+  const tournament = getTournament(game.tournamentId);
+  const stage = tournament ? tournament.stages.find(s => s.number === game.tournamentStage) : null;
+  const table = stage ? stage.tables.find(t => t.gameId === game.id) : null;
+  if (!table || table.complete) {
+    return;
+  }
+  
+  table.placings = awardPoints(rankGame(game), tournament.points).map(placing => {
+    const entrant = tournament.entrants.find(e => e.seat && e.seat.gameId === game.id && e.seat.playerId === placing.playerId);
+    return Object.assign(placing, { entrantId: entrant ? entrant.id : null });
+  }).filter(placing => placing.entrantId);
+  table.complete = true;
+  tournament.results.push({ stage: stage.number, gameId: game.id, placings: table.placings });
+  log.info(`Tournament ${tournament.id} table ${game.id} finished`, { gameId: game.id });
+  
+  if (stage.tables.every(t => t.complete)) {
+    const advancing = [];
+    stage.tables.forEach(t => {
+      // At the final only the winner is left (a drawn final is played again
+      // between the players who drew); elsewhere someone always drops out,
+      // even at a table smaller than the organiser planned for
+      const advanceCount = stage.tables.length === 1 ? 1 :
+        Math.max(1, Math.min(tournament.advancePerTable, t.placings.length - 1));
+      advancing.push(...t.placings.filter(placing => placing.place <= advanceCount));
       
-      winner.roundsWon += 1; // Full win
-      console.log(`Player ${winner.name} won round ${game.currentRound} with bet of ${highestBid}, pays ${highestBid}`);
-    } 
-    // Multiple winners (tie)
-    else if (highestBidders.length > 1) {
-      highestBidders.forEach(winnerId => {
-        const winner = game.players.find(p => p.id === winnerId);
-        
-        // In case of a tie, each winner pays their full bid
-        winner.money -= highestBid;
-        game.actualPayments[winner.id] = highestBid;
-        
-        winner.roundsWon += fractionalWinAmount; // Fractional win
-        console.log(`Player ${winner.name} tied for win in round ${game.currentRound} with bet of ${highestBid}, gets ${fractionalWinAmount} wins, pays ${highestBid}`);
+      // Players kicked from the table are out too
+      t.entrantIds.forEach(id => {
+        if (!advancing.some(placing => placing.entrantId === id)) {
+          tournament.entrants.find(e => e.id === id).eliminatedInStage = stage.number;
+        }
       });
-    }
-  }
-  else {
-    // Vickrey mode: payment logic for winners
-    game.players.forEach(player => {
-      // By default, no one pays anything
-      game.actualPayments[player.id] = 0;
     });
     
-    // Single winner
-    if (highestBidders.length === 1) {
-      const winner = game.players.find(p => p.id === highestBidders[0]);
-      
-      // Winner pays second highest bid, or their own bid if they're the only bidder
-      const payment = secondHighestBid !== undefined ? secondHighestBid : highestBid;
-      winner.money -= payment;
-      game.actualPayments[winner.id] = payment;
-      
-      winner.roundsWon += 1; // Full win
-      console.log(`Player ${winner.name} won round ${game.currentRound} with bet of ${highestBid}, pays ${payment}`);
-    } 
-    // Multiple winners (tie)
-    else if (highestBidders.length > 1) {
-      // In ties, winners each get fractional win and pay the third highest bid amount
-      // If no third highest (everyone tied for highest or only 2 bids total),
-      // they pay the second highest bid amount
-      const payment = thirdHighestBid !== undefined ? thirdHighestBid : 
-                     (secondHighestBid !== undefined ? secondHighestBid : 0);
-      
-      highestBidders.forEach(winnerId => {
-        const winner = game.players.find(p => p.id === winnerId);
-        winner.money -= payment;
-        game.actualPayments[winner.id] = payment;
-        winner.roundsWon += fractionalWinAmount; // Fractional win
-        console.log(`Player ${winner.name} tied for win in round ${game.currentRound} with bet of ${highestBid}, gets ${fractionalWinAmount} wins, pays ${payment}`);
-      });
+    if (advancing.length < 2) {
+      tournament.status = 'complete';
+      tournament.championId = advancing.length > 0 ? advancing[0].entrantId : null;
+      log.info(`Tournament ${tournament.id} complete`, { tournamentId: tournament.id });
+    } else {
+      // Table winners are the top seeds of the next stage, then the runners-up, and so on
+      advancing.sort((a, b) => (a.place - b.place) || (b.money - a.money));
+      startTournamentStage(tournament, advancing.map(placing => placing.entrantId));
     }
   }
   
-  // Store the round winners
-  game.roundWinners = highestBidders;
-  
-  // Update game status
-  game.status = 'roundComplete';
+  saveTournament(tournament);
+}
+
+// Helper function to build what the tournament page shows. Only the viewer's
+// own seat link is included.
+function buildTournamentState(tournament, entrantId) {
+  const me = tournament.entrants.find(e => e.id === entrantId);
+  const champion = tournament.entrants.find(e => e.id === tournament.championId);
+  
+  return {
+    id: tournament.id,
+    name: tournament.name,
+    status: tournament.status,
+    gameMode: tournament.gameMode,
+    tableSize: tournament.tableSize,
+    advancePerTable: tournament.advancePerTable,
+    entrants: tournament.entrants.map(e => ({
+      id: e.id,
+      name: e.name,
+      organiser: e.id === tournament.organiserId,
+      eliminatedInStage: e.eliminatedInStage || null
+    })),
+    stages: tournament.stages.map(stage => ({
+      number: stage.number,
+      tables: stage.tables.map(table => {
+        const game = getGame(table.gameId);
+        return {
+          gameId: table.gameId,
+          players: table.entrantIds.map(id => tournament.entrants.find(e => e.id === id).name),
+          status: game ? game.status : 'gameComplete',
+          currentRound: game ? game.currentRound : null,
+          totalRounds: game ? game.totalRounds : null,
+          complete: table.complete,
+          placings: table.placings
+        };
+      })
+    })),
+    standings: cumulativeStandings(tournament.results, placing => placing.entrantId),
+    champion: champion ? champion.name : null,
+    me: me ? {
+      id: me.id,
+      name: me.name,
+      organiser: me.id === tournament.organiserId,
+      eliminated: Boolean(me.eliminatedInStage),
+      seatLink: me.seat && !me.eliminatedInStage ? `/game/${me.seat.gameId}/rejoin/${me.seat.rejoinToken}` : null
+    } : null
+  };
+}
+
+// Helper function to get the viewer's entrant ID in a tournament, if they're in it
+function getTournamentEntrantId(req, tournament) {
+  const entry = req.session.tournament;
+  return entry && entry.tournamentId === tournament.id ? entry.entrantId : null;
+}
+
+// Helper function to append a finished round to the game's history. Entries
+// are never changed or removed, including by a reset, so every round of every
+// game played at this table can be looked at afterwards. The one exception is
+// a round the host undoes before the next one starts.
+function recordRoundHistory(game, result) {
+  const balances = {};
+  const roundsWon = {};
+  const valueWon = {};
+  const points = {};
+  game.players.forEach(p => {
+    balances[p.id] = p.money;
+    roundsWon[p.id] = p.roundsWon;
+    valueWon[p.id] = p.valueWon || 0;
+    points[p.id] = p.points || 0;
+  });
   
-  // Check if the game is over
-  if (shouldEndGame(game)) {
-    console.log(`Game ${game.id} complete after ${game.currentRound} rounds`);
-    game.status = 'gameComplete';
-    
-    // Determine the overall winner
-    determineOverallWinner(game);
-  }
+  game.history.push({
+    gameNumber: game.gameNumber,
+    round: game.currentRound,
+    gameMode: game.gameMode,
+    completedAt: Date.now(),
+    bids: { ...game.bets },
+    autoBids: game.autoBidPlayers ? [...game.autoBidPlayers] : [],
+    payments: { ...result.payments },
+    winners: [...result.winners],
+    winFraction: result.winFraction,
+    balances: balances,
+    roundsWon: roundsWon,
+    itemValues: { ...game.itemValues },
+    signals: game.itemSignals ? { ...game.itemSignals } : null,
+    surplus: { ...game.roundSurplus },
+    valueWon: valueWon,
+    points: points
+  });
+}
+
+// Helpers for reading and writing games in the store
+function getGame(gameId) {
+  return store.get('games', gameId);
+}
+
+function saveGame(game) {
+  store.set('games', game.id, game);
+}
+
+// Helper function to end a game for good: remove it, stop its timers and
+// tell everyone who has it open
+function closeGame(gameId) {
+  deleteGame(gameId);
+  closeGameStreams(gameId);
+  stopRoundClock(gameId);
+  clearGameTimers(gameId);
+}
+
+function deleteGame(gameId) {
+  store.delete('games', gameId);
+}
+
+function listGames() {
+  return store.values('games');
+}
+
+// Helpers for reading and writing accounts in the store
+function getAccount(accountId) {
+  return accountId ? store.get('accounts', accountId) : null;
 }
 
-// Helper function to calculate fractional win amount based on number of winners
-function getFractionalWinAmount(numWinners) {
-  if (numWinners <= 1) return 1;  // Solo winner gets full point
+function saveAccount(account) {
+  store.set('accounts', account.id, account);
+}
+
+function deleteAccount(accountId) {
+  store.delete('accounts', accountId);
+}
+
+function listAccounts() {
+  return store.values('accounts');
+}
+
+function findAccountByUsername(username) {
+  return listAccounts().find(account => account.username && accountKey(account.username) === accountKey(username));
+}
+
+// Helpers for reading and writing tournaments in the store
+function getTournament(tournamentId) {
+  return store.get('tournaments', tournamentId);
+}
+
+function saveTournament(tournament) {
+  store.set('tournaments', tournament.id, tournament);
+}
+
+function deleteTournament(tournamentId) {
+  store.delete('tournaments', tournamentId);
+}
+
+function listTournaments() {
+  return store.values('tournaments');
+}
+
+// Helper function to tidy up games loaded from a previous run. Timers don't
+// survive a restart, so anything they were due to do is done now.
+function recoverGames() {
+  const recovered = listGames();
+  recovered.forEach(game => {
+    // Fill in settings and fields added since the game was saved
+    game.settings = Object.assign(defaultSettings(), game.settings);
+    game.gameNumber = game.gameNumber || 1;
+    game.history = game.history || [];
+    game.formerPlayers = game.formerPlayers || [];
+    game.chat = game.chat || createChat();
+    game.log = game.log || [];
+    game.players.forEach(p => {
+      if (p.surplus === undefined) {
+        p.surplus = roundValue((p.valueWon || 0) - (game.settings.startingMoney - p.money));
+      }
+      p.points = p.points || 0;
+    });
+    saveGame(game);
+    
+    if (game.showRoundResults) {
+      game.showRoundResults = false;
+      saveGame(game);
+    }
+    
+    // A paused game waits for its host to resume it
+    if (game.pausedAt) {
+      return;
+    }
+    
+    if (game.status === 'betting' && game.clock) {
+      runRoundClock(game.id);
+    }
+    
+    // Deadlines that passed while we were down fire straight away
+    if (game.status === 'betting' && game.bidDeadline) {
+      scheduleGameTimer(game.id, 'bidDeadline', game.bidDeadline, expireBidDeadline);
+    }
+    
+    if (game.status === 'betting' && !getMode(game.gameMode).liveRound) {
+      scheduleBotBets(game);
+    }
+    
+    if (game.status === 'roundComplete' && game.nextRoundAt) {
+      scheduleGameTimer(game.id, 'autoAdvance', game.nextRoundAt, autoAdvanceRound);
+    }
+  });
   
-  switch(numWinners) {
-    case 2: return 0.5;  // Two-way tie
-    case 3: return 0.4;  // Three-way tie
-    case 4: return 0.3;  // Four-way tie
-    default: return 0.2; // Five or more
+  if (recovered.length > 0) {
+    log.info(`Recovered ${recovered.length} games from storage`);
   }
 }
 
-// Helper functions to generate unique IDs
+// Helper function to count items by the labels picked for each, for metrics gauges
+function countBy(items, pickLabels) {
+  const counts = new Map();
+  items.forEach(item => {
+    const labels = pickLabels(item);
+    const key = JSON.stringify(labels);
+    counts.set(key, { labels: labels, value: (counts.has(key) ? counts.get(key).value : 0) + 1 });
+  });
+  return [...counts.values()];
+}
+
+// Helper functions to generate unique IDs. Game codes are short enough to read
+// out in a classroom; player IDs are never shown, so they can be long.
+const GAME_ID_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
 function generateGameId() {
-  return Math.random().toString(36).substring(2, 8).toUpperCase();
+  return generateCode();
+}
+
+// Games and tournaments share one code space so a code is never ambiguous
+function generateCode() {
+  let code;
+  do {
+    code = '';
+    for (let i = 0; i < 6; i++) {
+      code += GAME_ID_CHARS[crypto.randomInt(GAME_ID_CHARS.length)];
+    }
+  } while (getGame(code) || getTournament(code));
+  return code;
 }
 
 function generatePlayerId() {
-  return Math.random().toString(36).substring(2, 10);
+  return crypto.randomBytes(8).toString('hex');
 }
 
-app.listen(port, () => {
-  console.log(`Bidding Game app listening at http://localhost:${port}`);
-});
+// Rejoin links are the only proof of a seat, so these must not be guessable
+function generateRejoinToken() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+// Same for the bearer tokens API clients act with
+function generateApiToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
 
 // Clean up inactive games (in a real app, you'd use a more robust cleanup mechanism)
-setInterval(() => {
+function cleanUpOldGames() {
   const now = Date.now();
   let removedCount = 0;
   
-  for (const gameId in games) {
+  listGames().forEach(game => {
     // Remove games older than 24 hours
-    if (games[gameId].createdAt && now - games[gameId].createdAt > 24 * 60 * 60 * 1000) {
-      delete games[gameId];
+    if (game.createdAt && now - game.createdAt > 24 * 60 * 60 * 1000) {
+      closeGame(game.id);
       removedCount++;
     }
-  }
+  });
   
   if (removedCount > 0) {
-    console.log(`Cleaned up ${removedCount} inactive games`);
+    log.info(`Cleaned up ${removedCount} inactive games`);
+    notifyLobby();
+  }
+  
+  let removedGuests = 0;
+  listAccounts().forEach(account => {
+    if (account.guest && now - account.lastSeenAt > GUEST_ACCOUNT_TTL_MS) {
+      deleteAccount(account.id);
+      removedGuests++;
+    }
+  });
+  if (removedGuests > 0) {
+    log.info(`Cleaned up ${removedGuests} guest profiles`);
   }
-}, 60 * 60 * 1000); // Check every hour
+  
+  listTournaments().forEach(tournament => {
+    if (now - tournament.createdAt > 24 * 60 * 60 * 1000) {
+      deleteTournament(tournament.id);
+      log.info(`Cleaned up tournament ${tournament.id}`, { tournamentId: tournament.id });
+    }
+  });
+  
+  const expiredSessions = sessionStore.clearExpired();
+  if (expiredSessions > 0) {
+    log.info(`Cleaned up ${expiredSessions} expired sessions`);
+  }
+}
+
+// Bring back saved games and start serving. Only when run as the server
+// (node app.js); tests require this file for the app and its helpers without
+// listening or starting timers.
+function start() {
+  recoverGames();
+  
+  app.listen(port, () => {
+    ready = true;
+    log.info(`Bidding Game app listening at http://localhost:${port}`);
+  });
+  
+  setInterval(cleanUpOldGames, 60 * 60 * 1000); // Check every hour
+  
+  // Write pending changes to disk before the process exits (e.g. on redeploy)
+  ['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, () => {
+      log.info(`Received ${signal}, saving games before exit`);
+      ready = false;
+      store.flush();
+      process.exit(0);
+    });
+  });
+}
+
+if (require.main === module) {
+  start();
+}
 
-module.exports = app;
\ No newline at end of file
+// The app stays the default export; the game functions ride along for tests
+module.exports = app;
+Object.assign(module.exports, {
+  store,
+  gameTimers,
+  createGame,
+  joinGame,
+  startGame,
+  placeBet,
+  placeAwayBets,
+  removePlayer,
+  transferHost,
+  pauseGame,
+  resumeGame,
+  undoLastRound,
+  advanceRound,
+  resetGame,
+  buildGameState,
+  buildTimedGameState,
+  notifyGameUpdated,
+  buildLobbyList,
+  getGame,
+  saveGame,
+  clearGameTimers,
+  startTournamentStage,
+  saveTournament,
+  startFacilitatedGames
+});
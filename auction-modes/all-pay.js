@@ -0,0 +1,41 @@
+// auction-modes/all-pay.js - Every bidder pays; first to the target number of wins takes the game
+
+const { getWinFraction, settleTie, rankBids, endAfterAllRounds, winnerByWinsThenMoney } = require('./common');
+
+function resolveRound(game) {
+  const ranking = rankBids(game.bets);
+  const winners = settleTie(game, ranking.highestBidders);
+  
+  // All players pay their bids, win or lose
+  const payments = {};
+  game.players.forEach(player => {
+    payments[player.id] = game.bets[player.id] || 0;
+  });
+  
+  return {
+    winners: winners,
+    winFraction: getWinFraction(game, winners.length),
+    payments: payments,
+    highestBid: ranking.highestBid,
+    secondHighestBid: ranking.secondHighestBid,
+    thirdHighestBid: ranking.thirdHighestBid
+  };
+}
+
+function shouldEndGame(game) {
+  return game.players.some(p => p.roundsWon >= game.roundsToWin) || endAfterAllRounds(game);
+}
+
+// Anyone who reached the target has the most wins, so the game goes to the
+// most wins, then the most money (or is a draw), whether or not someone did
+function determineOverallWinner(game) {
+  return winnerByWinsThenMoney(game);
+}
+
+module.exports = {
+  name: 'all-pay',
+  label: 'All-Pay Auction',
+  resolveRound,
+  shouldEndGame,
+  determineOverallWinner
+};
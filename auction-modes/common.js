@@ -0,0 +1,114 @@
+// auction-modes/common.js - Helpers shared by the auction modes
+
+const crypto = require('crypto');
+const { DEFAULT_SETTINGS } = require('../game-settings');
+
+// Share of a win each tied bidder receives, by number of tied bidders. The
+// table holds the shares for 2-, 3-, 4- and 5+-way ties.
+function getFractionalWinAmount(numWinners, tieSplits = DEFAULT_SETTINGS.tieSplits) {
+  if (numWinners <= 1) return 1;  // Solo winner gets full point
+  
+  return tieSplits[Math.min(numWinners, tieSplits.length + 1) - 2];
+}
+
+// Share of a win for each of a game's tied bidders, using the game's tie table
+function getWinFraction(game, numWinners) {
+  if (numWinners === 0) {
+    return 0;
+  }
+  return getFractionalWinAmount(numWinners, game.settings ? game.settings.tieSplits : undefined);
+}
+
+// Games saved before tie policies existed split every tie
+function tiePolicy(game) {
+  return (game.settings && game.settings.tiePolicy) || 'split';
+}
+
+// Who wins a round when the highest bidders tied, under the game's tie policy
+// (see TIE_POLICIES in game-settings.js). A re-bid happens before the round is
+// resolved, so a tie that is still there afterwards is split.
+function settleTie(game, highestBidders) {
+  if (highestBidders.length < 2) {
+    return highestBidders;
+  }
+  
+  switch (tiePolicy(game)) {
+    case 'random':
+      return [pickSeeded(game.settings.tieSeed, `${game.gameNumber}:${game.currentRound}`, highestBidders)];
+    case 'none':
+      return [];
+    default:
+      return highestBidders;
+  }
+}
+
+// Pick one of `ids` from a hash of the seed, so the same seed, round and
+// players always give the same pick (a replay of the game picks it again)
+function pickSeeded(seed, key, ids) {
+  const sorted = [...ids].sort();
+  const digest = crypto.createHash('sha256').update(`${seed || ''}:${key}:${sorted.join(',')}`).digest();
+  return sorted[digest.readUInt32BE(0) % sorted.length];
+}
+
+// Sort a round's bets and pick out the amounts the payment rules refer to
+function rankBids(bets) {
+  const bids = Object.entries(bets)
+    .map(([playerId, amount]) => ({ playerId, amount }))
+    .sort((a, b) => b.amount - a.amount); // Sort by amount descending
+  
+  if (bids.length === 0) {
+    return { bids, highestBid: undefined, highestBidders: [], secondHighestBid: undefined, thirdHighestBid: undefined };
+  }
+  
+  const highestBid = bids[0].amount;
+  const highestBidders = bids.filter(bid => bid.amount === highestBid).map(bid => bid.playerId);
+  
+  // Second highest distinct amount
+  const secondHighestBid = bids.length > 1 ? bids.find(bid => bid.amount < highestBid)?.amount : undefined;
+  
+  // When there's a tie for highest, the next highest bid after the tied players
+  let thirdHighestBid;
+  if (bids.length > 2 && highestBidders.length > 1) {
+    const nonWinnerBids = bids.filter(bid => !highestBidders.includes(bid.playerId));
+    thirdHighestBid = nonWinnerBids.length > 0 ? nonWinnerBids[0].amount : undefined;
+  }
+  
+  return { bids, highestBid, highestBidders, secondHighestBid, thirdHighestBid };
+}
+
+// Build a payment table where every player pays nothing
+function noPayments(players) {
+  const payments = {};
+  players.forEach(player => {
+    payments[player.id] = 0;
+  });
+  return payments;
+}
+
+// End condition for modes that always play every round
+function endAfterAllRounds(game) {
+  return game.currentRound >= game.totalRounds;
+}
+
+// Pick the player with the most wins, using money as the tiebreaker. Players
+// level on both are a draw, and there is no winner (null).
+function winnerByWinsThenMoney(game) {
+  const maxWins = Math.max(...game.players.map(p => p.roundsWon));
+  const playersWithMostWins = game.players.filter(p => p.roundsWon === maxWins);
+  
+  const maxMoney = Math.max(...playersWithMostWins.map(p => p.money));
+  const leaders = playersWithMostWins.filter(p => p.money === maxMoney);
+  return leaders.length === 1 ? leaders[0] : null;
+}
+
+module.exports = {
+  getFractionalWinAmount,
+  getWinFraction,
+  tiePolicy,
+  settleTie,
+  pickSeeded,
+  rankBids,
+  noPayments,
+  endAfterAllRounds,
+  winnerByWinsThenMoney
+};
@@ -0,0 +1,73 @@
+// auction-modes/dutch.js - Descending clock: the price falls until someone claims the item
+//
+// The round opens at the largest bankroll at the table and drops every tick.
+// The first player to claim wins the round and pays the price on the clock.
+// If the clock reaches $0 and stays there for a full tick, nobody wins.
+
+const standard = require('./standard');
+const { endAfterAllRounds, winnerByWinsThenMoney } = require('./common');
+
+const TICK_MS = 1000;
+const STEPS_TO_ZERO = 20;
+
+function startRound(game, now) {
+  const startPrice = Math.max(...game.players.map(p => p.money));
+  game.clock = {
+    type: 'dutch',
+    price: startPrice,
+    decrement: Math.max(1, Math.ceil(startPrice / STEPS_TO_ZERO)),
+    tickMs: TICK_MS,
+    nextTickAt: now + TICK_MS
+  };
+}
+
+// Lower the price for every tick that has passed (several if the server was busy)
+function tick(game, now) {
+  const clock = game.clock;
+  let changed = false;
+  
+  while (now >= clock.nextTickAt) {
+    if (clock.price === 0) {
+      return { changed: true, roundOver: true };
+    }
+    clock.price = Math.max(0, clock.price - clock.decrement);
+    clock.nextTickAt += clock.tickMs;
+    changed = true;
+  }
+  
+  return { changed, roundOver: false };
+}
+
+// Nothing was lowered while the game was paused, so the next tick is just as far off
+function resumeRound(game, pausedMs) {
+  game.clock.nextTickAt += pausedMs;
+}
+
+function claim(game, player, body, now) {
+  const result = tick(game, now);
+  if (result.roundOver) {
+    return { error: 'The clock has run out' };
+  }
+  
+  if (player.money < game.clock.price) {
+    return { error: 'You cannot afford the current price' };
+  }
+  
+  // The claim is the only bid of the round
+  game.bets = { [player.id]: game.clock.price };
+  return { roundOver: true };
+}
+
+module.exports = {
+  name: 'dutch',
+  label: 'Dutch Auction',
+  liveRound: true,
+  startRound,
+  tick,
+  claim,
+  resumeRound,
+  // With a single claimed bid, first-price rules charge the claimer the clock price
+  resolveRound: standard.resolveRound,
+  shouldEndGame: endAfterAllRounds,
+  determineOverallWinner: winnerByWinsThenMoney
+};
@@ -0,0 +1,97 @@
+// auction-modes/english.js - Ascending open outcry: players raise until the countdown runs out
+//
+// Every raise must beat the current high bid by at least the minimum increment
+// and puts the countdown back up to RAISE_COUNTDOWN_MS. When it runs out the
+// high bidder wins the round and pays their bid; everyone else pays nothing.
+
+const standard = require('./standard');
+const { endAfterAllRounds, winnerByWinsThenMoney } = require('./common');
+
+const OPENING_COUNTDOWN_MS = 20000;
+const RAISE_COUNTDOWN_MS = 10000;
+const MIN_INCREMENT = 5;
+
+function startRound(game, now) {
+  game.clock = {
+    type: 'english',
+    price: 0,
+    leaderId: null,
+    minIncrement: MIN_INCREMENT,
+    endsAt: now + OPENING_COUNTDOWN_MS
+  };
+}
+
+function tick(game, now) {
+  return { changed: false, roundOver: now >= game.clock.endsAt };
+}
+
+// Smallest raise the next bid has to reach
+function minimumRaise(clock) {
+  return clock.leaderId ? clock.price + clock.minIncrement : 1;
+}
+
+function raise(game, player, body, now) {
+  const clock = game.clock;
+  const amount = parseInt(body.amount, 10);
+  
+  if (now >= clock.endsAt) {
+    return { error: 'Bidding has closed' };
+  }
+  
+  if (clock.leaderId === player.id) {
+    return { error: 'You already have the highest bid' };
+  }
+  
+  if (isNaN(amount) || amount < minimumRaise(clock) || amount > player.money) {
+    return { error: `Raise must be between $${minimumRaise(clock)} and $${player.money}` };
+  }
+  
+  // Each player's latest raise is their bid for the round
+  game.bets[player.id] = amount;
+  clock.price = amount;
+  clock.leaderId = player.id;
+  clock.endsAt = Math.max(clock.endsAt, now + RAISE_COUNTDOWN_MS);
+  
+  return { roundOver: false };
+}
+
+// The countdown stood still while the game was paused
+function resumeRound(game, pausedMs) {
+  game.clock.endsAt += pausedMs;
+}
+
+// A player leaving mid-round takes their bid with them; the best remaining
+// bid (if any) becomes the one to beat
+function removePlayer(game, playerId) {
+  const clock = game.clock;
+  delete game.bets[playerId];
+  
+  if (clock.leaderId !== playerId) {
+    return;
+  }
+  
+  clock.leaderId = null;
+  clock.price = 0;
+  Object.keys(game.bets).forEach(id => {
+    if (game.bets[id] > clock.price) {
+      clock.leaderId = id;
+      clock.price = game.bets[id];
+    }
+  });
+}
+
+module.exports = {
+  name: 'english',
+  label: 'English Auction',
+  liveRound: true,
+  startRound,
+  tick,
+  raise,
+  minimumRaise,
+  removePlayer,
+  resumeRound,
+  // Raises are strictly increasing, so first-price rules charge only the leader
+  resolveRound: standard.resolveRound,
+  shouldEndGame: endAfterAllRounds,
+  determineOverallWinner: winnerByWinsThenMoney
+};
@@ -0,0 +1,70 @@
+// auction-modes/index.js - Registry of the auction modes a game can be played in
+//
+// Every mode is an object with:
+//   name                          - key stored in game.gameMode
+//   label                         - display name
+//   resolveRound(game)            - work out winners and payments from game.bets
+//                                   without changing the game. Ties for the
+//                                   highest bid go through settleTie() from
+//                                   ./common for the game's tie policy. Returns
+//                                   { winners, winFraction, payments, highestBid,
+//                                     secondHighestBid, thirdHighestBid }
+//   shouldEndGame(game)           - true once the game is over
+//   determineOverallWinner(game)  - the player who won the game, or null for a draw
+//
+// Live modes, where bids are made against a running clock instead of once per
+// round, also set liveRound: true and provide:
+//   startRound(game, now)         - set up game.clock for a new round
+//   tick(game, now)               - move the clock on; returns { changed, roundOver }
+//   claim / raise(game, player, body, now)
+//                                 - handle a player's action; returns { error } or
+//                                   { roundOver }. Bids go into game.bets as usual.
+//
+// Optional:
+//   removePlayer(game, playerId)  - drop a player who left mid-round from the
+//                                   round in progress (their bid and the clock).
+//                                   Without it, only their bid is dropped.
+//   resumeRound(game, pausedMs)   - move the clock's deadlines on by the time a
+//                                   live round spent paused. Without it, live
+//                                   rounds can't be paused.
+
+const modes = {};
+
+function registerMode(mode) {
+  const required = ['name', 'label', 'resolveRound', 'shouldEndGame', 'determineOverallWinner'];
+  if (mode.liveRound) {
+    required.push('startRound', 'tick');
+  }
+  
+  required.forEach(key => {
+    if (!mode[key]) {
+      throw new Error(`Auction mode ${mode.name || '(unnamed)'} is missing ${key}`);
+    }
+  });
+  modes[mode.name] = mode;
+}
+
+function getMode(name) {
+  return modes[name];
+}
+
+function hasMode(name) {
+  return Object.prototype.hasOwnProperty.call(modes, name);
+}
+
+function listModes() {
+  return Object.values(modes);
+}
+
+registerMode(require('./all-pay'));
+registerMode(require('./standard'));
+registerMode(require('./vickrey'));
+registerMode(require('./dutch'));
+registerMode(require('./english'));
+
+module.exports = {
+  registerMode,
+  getMode,
+  hasMode,
+  listModes
+};
@@ -0,0 +1,31 @@
+// auction-modes/standard.js - First-price sealed bid: only the highest bidder pays their bid
+
+const { getWinFraction, settleTie, rankBids, noPayments, endAfterAllRounds, winnerByWinsThenMoney } = require('./common');
+
+function resolveRound(game) {
+  const ranking = rankBids(game.bets);
+  const payments = noPayments(game.players);
+  const winners = settleTie(game, ranking.highestBidders);
+  
+  // Winners pay their own bid, including every player in a split tie
+  winners.forEach(winnerId => {
+    payments[winnerId] = ranking.highestBid;
+  });
+  
+  return {
+    winners: winners,
+    winFraction: getWinFraction(game, winners.length),
+    payments: payments,
+    highestBid: ranking.highestBid,
+    secondHighestBid: ranking.secondHighestBid,
+    thirdHighestBid: ranking.thirdHighestBid
+  };
+}
+
+module.exports = {
+  name: 'standard',
+  label: 'Standard Auction',
+  resolveRound,
+  shouldEndGame: endAfterAllRounds,
+  determineOverallWinner: winnerByWinsThenMoney
+};
@@ -0,0 +1,45 @@
+// auction-modes/vickrey.js - Second-price sealed bid: the winner pays the next highest bid
+
+const { getWinFraction, settleTie, rankBids, noPayments, endAfterAllRounds, winnerByWinsThenMoney } = require('./common');
+
+function resolveRound(game) {
+  const ranking = rankBids(game.bets);
+  const payments = noPayments(game.players);
+  const winners = settleTie(game, ranking.highestBidders);
+  let payment;
+  
+  if (ranking.highestBidders.length === 1) {
+    // Winner pays second highest bid, or their own bid if they're the only bidder
+    payment = ranking.secondHighestBid !== undefined ? ranking.secondHighestBid : ranking.highestBid;
+  } else if (winners.length === 1) {
+    // A tie settled for one player: the bid they beat was as high as their own
+    payment = ranking.highestBid;
+  } else {
+    // In ties, winners pay the third highest bid amount. If there isn't one
+    // (everyone tied for highest or only 2 bids total), they pay the second
+    // highest bid amount, or nothing at all.
+    payment = ranking.thirdHighestBid !== undefined ? ranking.thirdHighestBid :
+             (ranking.secondHighestBid !== undefined ? ranking.secondHighestBid : 0);
+  }
+  
+  winners.forEach(winnerId => {
+    payments[winnerId] = payment;
+  });
+  
+  return {
+    winners: winners,
+    winFraction: getWinFraction(game, winners.length),
+    payments: payments,
+    highestBid: ranking.highestBid,
+    secondHighestBid: ranking.secondHighestBid,
+    thirdHighestBid: ranking.thirdHighestBid
+  };
+}
+
+module.exports = {
+  name: 'vickrey',
+  label: 'Vickrey Auction',
+  resolveRound,
+  shouldEndGame: endAfterAllRounds,
+  determineOverallWinner: winnerByWinsThenMoney
+};
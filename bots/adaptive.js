@@ -0,0 +1,30 @@
+// bots/adaptive.js - Tries to just beat what the strongest opponent bid last round
+//
+// Without a previous round to learn from it bids its valuation. It never goes
+// above twice its even share of the bankroll, so it can't be baited into
+// spending everything on one round, nor above what the item is worth to it.
+
+const { roundsLeft, knownItemValue, valuation, clampBid } = require('./common');
+
+function decideBid(game, player, random) {
+  const itemValue = knownItemValue(game, player);
+  const cap = Math.min(2 * player.money / roundsLeft(game), itemValue === null ? Infinity : itemValue);
+  const lastBets = game.lastRoundBets || {};
+  const opponentBids = Object.entries(lastBets)
+    .filter(([playerId]) => playerId !== player.id)
+    .map(([, amount]) => amount);
+  
+  if (opponentBids.length === 0) {
+    return clampBid(Math.min(cap, valuation(game, player, random)), player);
+  }
+  
+  // Outbid the strongest opponent by a small random margin
+  const target = Math.max(...opponentBids) + 1 + Math.floor(random() * 5);
+  return clampBid(Math.min(cap, target), player);
+}
+
+module.exports = {
+  name: 'adaptive',
+  label: 'Adaptive',
+  decideBid
+};
@@ -0,0 +1,40 @@
+// bots/common.js - Helpers shared by the bot strategies
+
+const { usesItemValues, itemValueFor } = require('../item-values');
+
+// Rounds still to be played, counting the current one
+function roundsLeft(game) {
+  return Math.max(1, game.totalRounds - game.currentRound + 1);
+}
+
+// What this round's item is worth as far as a bot can tell: its own value,
+// or with signals its noisy estimate. null when items have no values.
+function knownItemValue(game, player) {
+  if (!game.settings || !usesItemValues(game.settings) || !game.itemValues) {
+    return null;
+  }
+  return game.itemSignals ? game.itemSignals[player.id] : itemValueFor(game, player.id);
+}
+
+// What winning this round is worth to a bot: the item's value when it has
+// one, otherwise an even share of its bankroll over the rounds left, scaled
+// by a private random draw between 0.5 and 1.5
+function valuation(game, player, random) {
+  const itemValue = knownItemValue(game, player);
+  if (itemValue !== null) {
+    return itemValue;
+  }
+  return (player.money / roundsLeft(game)) * (0.5 + random());
+}
+
+// Round to a whole bid the player can afford
+function clampBid(amount, player) {
+  return Math.max(0, Math.min(player.money, Math.round(amount)));
+}
+
+module.exports = {
+  roundsLeft,
+  knownItemValue,
+  valuation,
+  clampBid
+};
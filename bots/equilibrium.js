@@ -0,0 +1,32 @@
+// bots/equilibrium.js - Shades its valuation the way textbook equilibria do for each mode
+//
+// With n bidders and a private value v for the round:
+//   all-pay  - symmetric mixed strategy, bid v * U^(n-1) for U uniform on [0, 1]
+//   standard - first-price equilibrium, bid v * (n-1)/n
+//   dutch    - strategically the same as first price, claim at v * (n-1)/n
+//   vickrey  - truthful bidding is dominant, bid v
+//   english  - stay in until the price passes v
+// Modes it doesn't know get the first-price shading.
+
+const { valuation, clampBid } = require('./common');
+
+function decideBid(game, player, random) {
+  const value = valuation(game, player, random);
+  const bidders = game.players.length;
+  
+  switch (game.gameMode) {
+    case 'all-pay':
+      return clampBid(value * Math.pow(random(), bidders - 1), player);
+    case 'vickrey':
+    case 'english':
+      return clampBid(value, player);
+    default:
+      return clampBid(value * (bidders - 1) / bidders, player);
+  }
+}
+
+module.exports = {
+  name: 'equilibrium',
+  label: 'Equilibrium',
+  decideBid
+};
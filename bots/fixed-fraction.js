@@ -0,0 +1,19 @@
+// bots/fixed-fraction.js - Always bids the same share of its current bankroll,
+// and never more than the item is worth to it
+
+const { knownItemValue, clampBid } = require('./common');
+
+const FRACTION = 0.2;
+
+function decideBid(game, player) {
+  const itemValue = knownItemValue(game, player);
+  const bid = player.money * FRACTION;
+  return clampBid(itemValue === null ? bid : Math.min(bid, itemValue), player);
+}
+
+module.exports = {
+  name: 'fixed-fraction',
+  label: 'Fixed 20%',
+  FRACTION,
+  decideBid
+};
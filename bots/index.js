@@ -0,0 +1,62 @@
+// bots/index.js - Registry of the strategies computer-controlled players can use
+//
+// Every strategy is an object with:
+//   name                             - key stored in player.strategy
+//   label                            - display name
+//   decideBid(game, player, random)  - the most the bot will pay this round, as
+//                                      a whole number it can afford. random()
+//                                      returns a number in [0, 1). When items
+//                                      have values, it goes by the value the
+//                                      player can see (knownItemValue).
+//
+// Sealed-bid rounds use the amount as the bot's bet. In a Dutch round the bot
+// claims once the price falls to it, and in an English round it keeps raising
+// while the next raise stays within it.
+
+const strategies = {};
+
+// Names given to bots as they are seated
+const BOT_NAMES = ['Ada', 'Blaise', 'Carl', 'Dora', 'Emil', 'Fiona', 'Gauss', 'Hedy', 'Ivan', 'Joan'];
+
+function registerStrategy(strategy) {
+  ['name', 'label', 'decideBid'].forEach(key => {
+    if (!strategy[key]) {
+      throw new Error(`Bot strategy ${strategy.name || '(unnamed)'} is missing ${key}`);
+    }
+  });
+  strategies[strategy.name] = strategy;
+}
+
+function getStrategy(name) {
+  return Object.prototype.hasOwnProperty.call(strategies, name) ? strategies[name] : undefined;
+}
+
+function listStrategies() {
+  return Object.values(strategies);
+}
+
+// Pick a bot name nobody at the table is using yet
+function pickBotName(takenNames) {
+  const free = BOT_NAMES.find(name => !takenNames.includes(`${name} (Bot)`));
+  if (free) {
+    return `${free} (Bot)`;
+  }
+  
+  let number = 1;
+  while (takenNames.includes(`Bot ${number}`)) {
+    number++;
+  }
+  return `Bot ${number}`;
+}
+
+registerStrategy(require('./random'));
+registerStrategy(require('./fixed-fraction'));
+registerStrategy(require('./equilibrium'));
+registerStrategy(require('./adaptive'));
+
+module.exports = {
+  registerStrategy,
+  getStrategy,
+  listStrategies,
+  pickBotName
+};
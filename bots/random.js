@@ -0,0 +1,16 @@
+// bots/random.js - Bids a uniformly random amount of whatever it has left,
+// and never more than the item is worth to it
+
+const { knownItemValue, clampBid } = require('./common');
+
+function decideBid(game, player, random) {
+  const itemValue = knownItemValue(game, player);
+  const most = itemValue === null ? player.money : Math.min(player.money, itemValue);
+  return clampBid(random() * most, player);
+}
+
+module.exports = {
+  name: 'random',
+  label: 'Random',
+  decideBid
+};
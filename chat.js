@@ -0,0 +1,147 @@
+// chat.js - Table chat and quick reactions to the round reveal
+//
+// Each game keeps its own chat (game.chat) so it survives a restart and reaches
+// everyone at the table with the rest of the game state. The host can mute
+// players, and can turn on "no collusion" mode, which closes the chat while
+// bets are being placed.
+
+const MAX_MESSAGE_LENGTH = 200;
+
+// Messages kept on the game; older ones drop off the top
+const MAX_MESSAGES = 100;
+
+// Preset reactions players can send once a round's bids are revealed
+const REACTIONS = ['👏', '😮', '😂', '😬', '🔥', '💸'];
+
+// Messages (and reactions) one player can send per window
+const CHAT_RATE = { windowMs: 10 * 1000, max: 5 };
+
+function createChat() {
+  return {
+    messages: [],
+    muted: [], // Player IDs the host has muted
+    noCollusion: false, // Chat is closed during betting
+    nextId: 1
+  };
+}
+
+// Tidy up a message: no control characters, no runs of blank lines.
+// Returns { text } or { error }.
+function sanitizeMessage(input) {
+  if (typeof input !== 'string') {
+    return { error: 'Please enter a message' };
+  }
+  
+  const text = input
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\u0000-\u0009\u000b-\u001f\u007f]/g, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  
+  if (text === '') {
+    return { error: 'Please enter a message' };
+  }
+  
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    return { error: `Messages can be at most ${MAX_MESSAGE_LENGTH} characters` };
+  }
+  
+  return { text };
+}
+
+// Whether a player may post (a message, or a reaction when reaction is true)
+// right now. Returns { error, code } or {}.
+function checkCanChat(game, player, reaction = false) {
+  if (game.chat.muted.includes(player.id)) {
+    return { error: 'The host has muted you', code: 'forbidden' };
+  }
+  
+  if (reaction) {
+    if (game.status !== 'roundComplete' && game.status !== 'gameComplete') {
+      return { error: 'Reactions open when a round\'s bids are revealed', code: 'conflict' };
+    }
+  } else if (game.chat.noCollusion && game.status === 'betting') {
+    return { error: 'Chat is closed while bets are placed', code: 'conflict' };
+  }
+  
+  return {};
+}
+
+// Add a message or reaction ({ text } or { reaction }) from a player to the game's chat
+function addMessage(game, player, content, now = Date.now()) {
+  const chat = game.chat;
+  const message = Object.assign({
+    id: chat.nextId++,
+    playerId: player.id,
+    name: player.name,
+    gameNumber: game.gameNumber,
+    round: game.currentRound,
+    at: now
+  }, content);
+  
+  chat.messages.push(message);
+  if (chat.messages.length > MAX_MESSAGES) {
+    chat.messages.splice(0, chat.messages.length - MAX_MESSAGES);
+  }
+  return message;
+}
+
+// Count how many players gave each reaction to one round
+function countReactions(chat, gameNumber, round) {
+  const reactors = {};
+  chat.messages
+    .filter(m => m.reaction && m.gameNumber === gameNumber && m.round === round)
+    .forEach(m => {
+      reactors[m.reaction] = reactors[m.reaction] || new Set();
+      reactors[m.reaction].add(m.playerId);
+    });
+  
+  const counts = {};
+  Object.keys(reactors).forEach(reaction => {
+    counts[reaction] = reactors[reaction].size;
+  });
+  return counts;
+}
+
+// Per-player limit on messages. Unlike the IP-based limits in security.js,
+// players sharing a classroom network each get their own allowance.
+// Returns a function taking a key that gives the milliseconds to wait, or 0.
+function createChatLimiter({ windowMs, max } = CHAT_RATE) {
+  const sent = new Map();
+  let nextSweep = Date.now() + windowMs;
+  
+  return (key, now = Date.now()) => {
+    // Forget players who have gone quiet so the map doesn't grow forever
+    if (now >= nextSweep) {
+      sent.forEach((times, otherKey) => {
+        if (times[times.length - 1] <= now - windowMs) {
+          sent.delete(otherKey);
+        }
+      });
+      nextSweep = now + windowMs;
+    }
+    
+    const recent = (sent.get(key) || []).filter(at => at > now - windowMs);
+    
+    if (recent.length >= max) {
+      sent.set(key, recent);
+      return recent[0] + windowMs - now;
+    }
+    
+    recent.push(now);
+    sent.set(key, recent);
+    return 0;
+  };
+}
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  REACTIONS,
+  CHAT_RATE,
+  createChat,
+  sanitizeMessage,
+  checkCanChat,
+  addMessage,
+  countReactions,
+  createChatLimiter
+};
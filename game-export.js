@@ -0,0 +1,123 @@
+// game-export.js - Turns a game and its round history into downloadable results
+
+const { compareStandings, playerScore } = require('./item-values');
+
+// Build the full export: settings, every recorded round and current standings
+function buildExport(game, exportedAt = Date.now()) {
+  return {
+    exportedAt: new Date(exportedAt).toISOString(),
+    gameId: game.id,
+    gameMode: game.gameMode,
+    gameNumber: game.gameNumber,
+    status: game.status,
+    currentRound: game.currentRound,
+    totalRounds: game.totalRounds,
+    settings: game.settings,
+    players: game.players.map(p => ({
+      id: p.id,
+      name: p.name,
+      bot: Boolean(p.bot),
+      strategy: p.bot ? p.strategy : null,
+      host: Boolean(p.host)
+    })).concat((game.formerPlayers || []).map(p => ({
+      id: p.id,
+      name: p.name,
+      bot: p.bot,
+      strategy: null,
+      host: false,
+      removed: true
+    }))),
+    rounds: game.history,
+    standings: buildStandings(game),
+    series: game.series || null, // Earlier games' placings and points, if the table is playing a series
+    tournamentId: game.tournamentId || null
+  };
+}
+
+// Rank the players of the game in progress by the game's scoring rule (wins,
+// then money, by default). Only a finished game has a winner; until then the
+// standings are provisional.
+function buildStandings(game) {
+  const ranked = [...game.players].sort(compareStandings(game));
+  
+  return ranked.map((p, index) => ({
+    rank: index + 1,
+    playerId: p.id,
+    name: p.name,
+    bot: Boolean(p.bot),
+    money: p.money,
+    roundsWon: p.roundsWon,
+    valueWon: p.valueWon || 0,
+    score: playerScore(game, p),
+    winner: Boolean(game.status === 'gameComplete' && game.overallWinner && game.overallWinner.id === p.id)
+  }));
+}
+
+// One row per player per round, which is the shape spreadsheets and data frames want
+function roundsToCsv(data) {
+  const names = {};
+  data.players.forEach(p => {
+    names[p.id] = p;
+  });
+  
+  const header = [
+    'game_id', 'game_number', 'game_mode', 'round', 'player_id', 'player_name', 'is_bot',
+    'bid', 'auto_bid', 'payment', 'won_round', 'win_share', 'money_after', 'rounds_won_after',
+    'starting_money', 'total_rounds', 'rounds_to_win', 'tie_splits', 'item_value', 'value_won_after',
+    'signal', 'round_surplus'
+  ];
+  
+  const rows = [];
+  data.rounds.forEach(round => {
+    Object.keys(round.balances).forEach(playerId => {
+      const player = names[playerId] || { name: '', bot: false };
+      const won = round.winners.includes(playerId);
+      rows.push([
+        data.gameId, round.gameNumber, round.gameMode, round.round, playerId, player.name, player.bot,
+        round.bids[playerId] !== undefined ? round.bids[playerId] : '',
+        round.autoBids.includes(playerId),
+        round.payments[playerId] || 0,
+        won,
+        won ? round.winFraction : 0,
+        round.balances[playerId],
+        round.roundsWon[playerId],
+        data.settings.startingMoney, data.totalRounds, data.settings.roundsToWin, data.settings.tieSplits.join(' '),
+        round.itemValues ? round.itemValues[playerId] : '',
+        round.valueWon ? round.valueWon[playerId] : '',
+        round.signals ? round.signals[playerId] : '',
+        round.surplus ? round.surplus[playerId] : ''
+      ]);
+    });
+  });
+  
+  return toCsv(header, rows);
+}
+
+function standingsToCsv(data) {
+  const header = ['game_id', 'game_number', 'game_mode', 'status', 'rank', 'player_id', 'player_name', 'is_bot', 'money', 'rounds_won', 'winner', 'value_won', 'score'];
+  const rows = data.standings.map(s => [
+    data.gameId, data.gameNumber, data.gameMode, data.status, s.rank, s.playerId, s.name, s.bot, s.money, s.roundsWon, s.winner, s.valueWon, s.score
+  ]);
+  return toCsv(header, rows);
+}
+
+function toCsv(header, rows) {
+  return [header].concat(rows).map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Quote a field if it needs it. Fields that a spreadsheet would run as a
+// formula get a leading quote mark so player names can't inject formulas.
+function csvField(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = {
+  buildExport,
+  buildStandings,
+  roundsToCsv,
+  standingsToCsv
+};
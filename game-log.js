@@ -0,0 +1,418 @@
+// game-log.js - Each game's ordered log of events, and rebuilding a game from it
+//
+// Route handlers and timers change a game in place. So that a game can be
+// reconstructed afterwards (a disputed result, a payment that looks wrong),
+// every change is also appended to game.log as an event:
+//
+//   created        { gameMode, settings }       the table was opened
+//   joined         { playerId, name, host, bot, strategy }
+//   left           { playerId }                 kicked, or a bot taken off
+//   settingsChanged{ settings }
+//   modeChanged    { gameMode }                 a series picked the mode
+//   hostChanged    { playerId }
+//   started        { totalRounds, itemValues, signals }
+//   bet            { playerId, amount, auto }   every bid, live raises included
+//   tiebreak       { playerIds, amount }        the tied bidders bid again (rebid tie policy)
+//   roundClosed    {}                           all bets in, deadline or clock ran out
+//   resultsHidden  {}                           the results popup timed out
+//   nextRound      { itemValues, signals }      (no values when the game ended instead)
+//   roundUndone    {}
+//   paused, resumed{}
+//   reset          { gameMode }
+//   archived       { gameMode, settings, players, formerPlayers, finishedGames }
+//                                               the games before this one, folded up
+//
+// Each event also has seq (1, 2, ...), at (milliseconds since the epoch) and
+// the gameNumber it belongs to. Random draws (item values, signals, bot bids)
+// are logged as their outcome, so replayLog() can rebuild the game from the
+// log alone. It settles every round again with the auction mode, through the
+// same settleRound() live play uses.
+//
+// A table can be played again and again, so only the last few games keep
+// their events; archiveEarlyGames() folds the older ones into the table as
+// they left it, finished games' summaries included.
+
+const { getMode } = require('./auction-modes');
+const { itemValueFor, addValueWon, roundPoints, roundSurplus, roundValue, scoringRule, overallLeaders } = require('./item-values');
+
+function recordEvent(game, type, data = {}, now = Date.now()) {
+  const last = game.log[game.log.length - 1];
+  const event = Object.assign({ seq: last ? last.seq + 1 : 1, at: now, type: type, gameNumber: game.gameNumber }, data);
+  game.log.push(event);
+  return event;
+}
+
+function recordJoin(game, player, now) {
+  return recordEvent(game, 'joined', {
+    playerId: player.id,
+    name: player.name,
+    host: Boolean(player.host),
+    bot: Boolean(player.bot),
+    strategy: player.strategy || null
+  }, now);
+}
+
+// Log every bid that is new or changed since `before` (a copy of game.bets),
+// for actions that may place several, like live bots or automatic bids
+function recordBetChanges(game, before, now) {
+  Object.keys(game.bets).forEach(playerId => {
+    if (before[playerId] !== game.bets[playerId]) {
+      recordEvent(game, 'bet', {
+        playerId: playerId,
+        amount: game.bets[playerId],
+        auto: Boolean(game.autoBidPlayers && game.autoBidPlayers.includes(playerId))
+      }, now);
+    }
+  });
+}
+
+// Apply an auction mode's result for the round: payments, wins, value won,
+// points and surplus. Live play and replay both settle rounds here.
+function settleRound(game, result) {
+  const points = roundPoints(game, result);
+  game.players.forEach(player => {
+    player.money -= result.payments[player.id] || 0;
+    player.points = (player.points || 0) + points[player.id];
+  });
+  
+  result.winners.forEach(winnerId => {
+    const winner = game.players.find(p => p.id === winnerId);
+    winner.roundsWon += result.winFraction;
+    winner.valueWon = addValueWon(winner.valueWon, itemValueFor(game, winnerId), result.winFraction);
+  });
+  
+  game.roundSurplus = roundSurplus(game, result);
+  game.players.forEach(player => {
+    player.surplus = roundValue((player.surplus || 0) + game.roundSurplus[player.id]);
+  });
+}
+
+// The player who won the game, or null if it was a draw. Scoring by wins
+// leaves it to the auction mode; the other rules replace the mode's own.
+function pickOverallWinner(game) {
+  const leaders = overallLeaders(game);
+  if (leaders.length !== 1) {
+    return null;
+  }
+  return scoringRule(game) === 'wins' ? getMode(game.gameMode).determineOverallWinner(game) : leaders[0];
+}
+
+// Fold the events of every game numbered below keepFrom into one 'archived'
+// event after 'created'. The log still replays to the same table; only the
+// rounds and bids of the folded games are gone.
+function archiveEarlyGames(events, keepFrom) {
+  const firstKept = events.findIndex(event => event.gameNumber >= keepFrom);
+  if (firstKept <= 1 || events[0].type !== 'created' || (firstKept === 2 && events[1].type === 'archived')) {
+    return events;
+  }
+  
+  const folded = events.slice(0, firstKept);
+  const last = folded[folded.length - 1];
+  const table = replayLog(folded);
+  return [events[0], {
+    seq: last.seq,
+    at: last.at,
+    type: 'archived',
+    gameNumber: last.gameNumber,
+    gameMode: table.gameMode,
+    settings: table.settings,
+    players: table.players,
+    formerPlayers: table.formerPlayers,
+    finishedGames: table.finishedGames
+  }].concat(events.slice(firstKept));
+}
+
+// Rebuild a game from its log. Returns null if the log doesn't start with the
+// table being created (games saved before there was a log).
+function replayLog(events) {
+  if (events.length === 0 || events[0].type !== 'created') {
+    return null;
+  }
+  
+  const game = {
+    gameMode: events[0].gameMode,
+    settings: JSON.parse(JSON.stringify(events[0].settings)),
+    players: [],
+    formerPlayers: [],
+    status: 'waiting',
+    currentRound: 0,
+    totalRounds: 0,
+    roundsToWin: events[0].settings.roundsToWin,
+    gameNumber: events[0].gameNumber,
+    bets: {},
+    bidLog: [], // Bids of the round in progress, in the order they came in
+    tiebreakPlayers: null, // Tied bidders bidding again, if the round has gone to a re-bid
+    roundOpenedAt: null,
+    itemValues: null,
+    itemSignals: null,
+    roundSurplus: null,
+    roundWinners: null,
+    lastRoundBets: {},
+    showRoundResults: false,
+    paused: false,
+    overallWinnerId: null,
+    rounds: [], // One per settled round, see closeRound
+    finishedGames: [] // One per game played to the end at this table, see finish
+  };
+  
+  events.slice(1).forEach(event => applyEvent(game, event));
+  return game;
+}
+
+function applyEvent(game, event) {
+  switch (event.type) {
+    case 'joined':
+      game.players.push({
+        id: event.playerId,
+        name: event.name,
+        money: game.settings.startingMoney,
+        roundsWon: 0,
+        valueWon: 0,
+        surplus: 0,
+        points: 0,
+        host: event.host,
+        bot: event.bot,
+        strategy: event.strategy
+      });
+      break;
+    case 'left': {
+      const player = game.players.find(p => p.id === event.playerId);
+      if (player) {
+        game.players = game.players.filter(p => p !== player);
+        game.formerPlayers.push({ id: player.id, name: player.name, bot: player.bot });
+        delete game.bets[player.id];
+      }
+      break;
+    }
+    case 'settingsChanged':
+      game.settings = JSON.parse(JSON.stringify(event.settings));
+      game.roundsToWin = game.settings.roundsToWin;
+      game.players.forEach(p => {
+        p.money = game.settings.startingMoney;
+      });
+      break;
+    case 'modeChanged':
+      game.gameMode = event.gameMode;
+      break;
+    case 'hostChanged':
+      game.players.forEach(p => {
+        p.host = p.id === event.playerId;
+      });
+      break;
+    case 'started':
+      game.totalRounds = event.totalRounds;
+      game.currentRound = 1;
+      startRound(game, event);
+      break;
+    case 'bet':
+      game.bets[event.playerId] = event.amount;
+      game.bidLog.push({
+        playerId: event.playerId,
+        amount: event.amount,
+        at: event.at,
+        auto: event.auto,
+        rebid: Boolean(game.tiebreakPlayers && game.tiebreakPlayers.includes(event.playerId))
+      });
+      break;
+    case 'tiebreak':
+      game.tiebreakPlayers = event.playerIds;
+      event.playerIds.forEach(playerId => {
+        delete game.bets[playerId];
+      });
+      break;
+    case 'roundClosed':
+      closeRound(game, event);
+      break;
+    case 'resultsHidden':
+      game.showRoundResults = false;
+      break;
+    case 'nextRound':
+      if (getMode(game.gameMode).shouldEndGame(game)) {
+        finish(game);
+      } else {
+        game.currentRound++;
+        startRound(game, event);
+      }
+      break;
+    case 'roundUndone':
+      undoRound(game, event);
+      break;
+    case 'paused':
+      game.paused = true;
+      break;
+    case 'resumed':
+      game.paused = false;
+      break;
+    case 'reset':
+      game.gameNumber = event.gameNumber;
+      game.gameMode = event.gameMode;
+      game.players.forEach(p => {
+        p.money = game.settings.startingMoney;
+        p.roundsWon = 0;
+        p.valueWon = 0;
+        p.surplus = 0;
+        p.points = 0;
+      });
+      Object.assign(game, {
+        status: 'waiting',
+        currentRound: 0,
+        bets: {},
+        bidLog: [],
+        tiebreakPlayers: null,
+        itemValues: null,
+        itemSignals: null,
+        roundSurplus: null,
+        roundWinners: null,
+        lastRoundBets: {},
+        showRoundResults: false,
+        paused: false,
+        overallWinnerId: null
+      });
+      break;
+    case 'archived':
+      Object.assign(game, JSON.parse(JSON.stringify({
+        gameNumber: event.gameNumber,
+        gameMode: event.gameMode,
+        settings: event.settings,
+        roundsToWin: event.settings.roundsToWin,
+        players: event.players,
+        formerPlayers: event.formerPlayers,
+        finishedGames: event.finishedGames
+      })));
+      break;
+    default:
+      // Events this version doesn't know about change nothing
+      break;
+  }
+}
+
+function startRound(game, event) {
+  game.status = 'betting';
+  game.bets = {};
+  game.bidLog = [];
+  game.tiebreakPlayers = null;
+  game.roundOpenedAt = event.at;
+  game.itemValues = event.itemValues;
+  game.itemSignals = event.signals || null;
+  game.roundSurplus = null;
+  game.roundWinners = null;
+  game.showRoundResults = false;
+}
+
+// Settle the round as completeRound does, and keep what the replay page shows of it
+function closeRound(game, event) {
+  const before = game.players.map(p => ({ id: p.id, money: p.money, roundsWon: p.roundsWon, valueWon: p.valueWon, surplus: p.surplus, points: p.points }));
+  const hasBids = Object.keys(game.bets).length > 0;
+  const result = hasBids ? getMode(game.gameMode).resolveRound(game) : { winners: [], winFraction: 0, payments: {} };
+  
+  settleRound(game, result);
+  game.tiebreakPlayers = null;
+  game.lastRoundBets = { ...game.bets };
+  game.roundWinners = result.winners;
+  game.showRoundResults = true;
+  game.status = 'roundComplete';
+  
+  const balances = {};
+  const roundsWon = {};
+  game.players.forEach(p => {
+    balances[p.id] = p.money;
+    roundsWon[p.id] = p.roundsWon;
+  });
+  
+  game.rounds.push({
+    gameNumber: game.gameNumber,
+    round: game.currentRound,
+    gameMode: game.gameMode,
+    openedAt: game.roundOpenedAt,
+    closedAt: event.at,
+    itemValues: game.itemValues,
+    signals: game.itemSignals,
+    bids: game.bidLog,
+    winners: result.winners,
+    winFraction: result.winFraction,
+    payments: result.payments,
+    surplus: game.roundSurplus,
+    balances: balances,
+    roundsWon: roundsWon,
+    before: before
+  });
+  
+  // As in completeRound, a round nobody bid in never ends the game by itself
+  if (hasBids && getMode(game.gameMode).shouldEndGame(game)) {
+    finish(game);
+  }
+}
+
+function undoRound(game, event) {
+  const last = game.rounds.pop();
+  last.before.forEach(saved => {
+    const player = game.players.find(p => p.id === saved.id);
+    if (player) {
+      Object.assign(player, { money: saved.money, roundsWon: saved.roundsWon, valueWon: saved.valueWon, surplus: saved.surplus, points: saved.points });
+    }
+  });
+  
+  game.status = 'betting';
+  game.bets = {};
+  game.bidLog = [];
+  game.tiebreakPlayers = null;
+  game.roundOpenedAt = event.at;
+  game.roundWinners = null;
+  game.lastRoundBets = {};
+  game.showRoundResults = false;
+  game.roundSurplus = null;
+}
+
+function finish(game) {
+  game.status = 'gameComplete';
+  const winner = pickOverallWinner(game);
+  game.overallWinnerId = winner ? winner.id : null;
+  game.finishedGames.push({
+    gameNumber: game.gameNumber,
+    gameMode: game.gameMode,
+    settings: JSON.parse(JSON.stringify(game.settings)),
+    winnerId: game.overallWinnerId,
+    drawnWith: winner ? [] : overallLeaders(game).map(p => p.id),
+    standings: game.players.map(p => ({ id: p.id, money: p.money, roundsWon: p.roundsWon, valueWon: p.valueWon, surplus: p.surplus, points: p.points }))
+  });
+}
+
+// Where a rebuilt game differs from the live one, as readable lines. An empty
+// list means the log accounts for everything.
+function compareWithGame(replayed, game) {
+  const differences = [];
+  ['status', 'currentRound', 'gameNumber', 'gameMode'].forEach(key => {
+    if (replayed[key] !== game[key]) {
+      differences.push(`${key}: log gives ${replayed[key]}, game has ${game[key]}`);
+    }
+  });
+  
+  game.players.forEach(p => {
+    const rebuilt = replayed.players.find(r => r.id === p.id);
+    if (!rebuilt) {
+      differences.push(`${p.name} is missing from the log`);
+      return;
+    }
+    ['money', 'roundsWon', 'valueWon', 'points'].forEach(key => {
+      if (rebuilt[key] !== (p[key] || 0)) {
+        differences.push(`${p.name} ${key}: log gives ${rebuilt[key]}, game has ${p[key]}`);
+      }
+    });
+  });
+  
+  if (replayed.players.length !== game.players.length) {
+    differences.push(`log seats ${replayed.players.length} players, game has ${game.players.length}`);
+  }
+  return differences;
+}
+
+module.exports = {
+  recordEvent,
+  recordJoin,
+  recordBetChanges,
+  settleRound,
+  pickOverallWinner,
+  archiveEarlyGames,
+  replayLog,
+  compareWithGame
+};
@@ -0,0 +1,194 @@
+// game-settings.js - Per-game rule settings the host can change before the game starts
+
+const { SCORING, RANDOM_VALUES, usesItemValues } = require('./item-values');
+
+// Used for any setting the host leaves alone
+const DEFAULT_SETTINGS = {
+  startingMoney: 100,
+  totalRounds: null, // null = decided by player count (see getTotalRoundsForPlayerCount)
+  roundsToWin: 3,
+  tieSplits: [0.5, 0.4, 0.3, 0.2], // Share of a win for a 2-, 3-, 4- and 5+-way tie
+  tiePolicy: 'split', // What happens when the highest bid is tied, see TIE_POLICIES
+  tieSeed: '', // Seed for 'random' tie-breaks, so they can be repeated; made up when the game is created
+  bidTimeLimit: 0, // Seconds to bet in a sealed-bid round, 0 = wait for everyone
+  autoBid: 0, // Bid placed for players who miss the time limit
+  autoAdvanceDelay: 0, // Seconds before the next round starts by itself, 0 = host starts it
+  maxPlayers: 10, // Seats at the table, bots included
+  visibility: 'private', // 'public' games are listed in the lobby, 'private' ones are joined by code
+  prizeValues: [], // Value of the item in each round (the last one repeats), [] = each round is worth 1
+  randomValues: 'off', // 'common', 'private' or 'signals' draws each round's value between valueMin and valueMax
+  valueMin: 0,
+  valueMax: 100,
+  signalNoise: 10, // With 'signals', how far a player's signal can be from the hidden value
+  scoring: 'wins' // 'wins', 'money', 'points', 'surplus' or 'budget', see item-values.js; 'surplus' once items have values
+};
+
+const VISIBILITIES = ['private', 'public'];
+
+// When the highest bid is tied:
+//   split  - every tied bidder wins a share, from tieSplits
+//   random - one of them wins, picked with tieSeed so the same tie always goes the same way
+//   rebid  - the tied bidders bid again, at least as much as before (sealed bids only)
+//   none   - nobody wins the round
+const TIE_POLICIES = ['split', 'random', 'rebid', 'none'];
+
+// Tie seeds are shown to the host and typed back in, so keep them plain
+const TIE_SEED_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+const LIMITS = {
+  startingMoney: { min: 1, max: 10000 },
+  totalRounds: { min: 1, max: 50 },
+  roundsToWin: { min: 1, max: 50 },
+  bidTimeLimit: { min: 0, max: 600 },
+  autoBid: { min: 0, max: 10000 },
+  autoAdvanceDelay: { min: 0, max: 300 },
+  maxPlayers: { min: 2, max: 50 },
+  valueMin: { min: 0, max: 10000 },
+  valueMax: { min: 0, max: 10000 },
+  signalNoise: { min: 0, max: 10000 },
+  prizeValue: { min: 0, max: 10000 }
+};
+
+// Prize values the host can list, one per round
+const MAX_PRIZE_VALUES = 50;
+
+function defaultSettings() {
+  return JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+}
+
+// Helper function to read a whole number from a form or JSON field
+function parseWholeNumber(value) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? value : NaN;
+  }
+  return /^\s*\d+\s*$/.test(String(value)) ? parseInt(value, 10) : NaN;
+}
+
+// Check settings sent by the host and merge them over the current ones.
+// Fields that are missing or blank keep their current value, except
+// totalRounds where blank or 'auto' means "decided by player count".
+// Returns { settings } or { error }.
+function validateSettings(input, current = defaultSettings()) {
+  const settings = JSON.parse(JSON.stringify(current));
+  const isBlank = value => value === undefined || value === null || String(value).trim() === '';
+  
+  for (const key of ['startingMoney', 'roundsToWin', 'bidTimeLimit', 'autoBid', 'autoAdvanceDelay', 'maxPlayers', 'valueMin', 'valueMax', 'signalNoise']) {
+    if (isBlank(input[key])) {
+      continue;
+    }
+    const value = parseWholeNumber(input[key]);
+    if (isNaN(value) || value < LIMITS[key].min || value > LIMITS[key].max) {
+      return { error: `${describeSetting(key)} must be a whole number from ${LIMITS[key].min} to ${LIMITS[key].max}` };
+    }
+    settings[key] = value;
+  }
+  
+  if (input.totalRounds !== undefined) {
+    if (isBlank(input.totalRounds) || input.totalRounds === 'auto') {
+      settings.totalRounds = null;
+    } else {
+      const value = parseWholeNumber(input.totalRounds);
+      if (isNaN(value) || value < LIMITS.totalRounds.min || value > LIMITS.totalRounds.max) {
+        return { error: `Number of rounds must be a whole number from ${LIMITS.totalRounds.min} to ${LIMITS.totalRounds.max}, or blank for automatic` };
+      }
+      settings.totalRounds = value;
+    }
+  }
+  
+  if (settings.totalRounds !== null && settings.roundsToWin > settings.totalRounds) {
+    return { error: 'Rounds to win cannot be more than the number of rounds' };
+  }
+  
+  if (input.tieSplits !== undefined) {
+    const splits = Array.isArray(input.tieSplits) ? input.tieSplits : String(input.tieSplits).split(',');
+    if (splits.length !== DEFAULT_SETTINGS.tieSplits.length) {
+      return { error: `Tie splits need ${DEFAULT_SETTINGS.tieSplits.length} values (2-, 3-, 4- and 5+-way ties)` };
+    }
+    
+    const values = splits.map(value => isBlank(value) ? NaN : Number(value));
+    if (values.some(value => isNaN(value) || value < 0 || value > 1)) {
+      return { error: 'Tie splits must be numbers between 0 and 1' };
+    }
+    settings.tieSplits = values;
+  }
+  
+  if (!isBlank(input.tiePolicy)) {
+    if (!TIE_POLICIES.includes(input.tiePolicy)) {
+      return { error: 'Tie policy must be split, random, rebid or none' };
+    }
+    settings.tiePolicy = input.tiePolicy;
+  }
+  
+  if (!isBlank(input.tieSeed)) {
+    const seed = String(input.tieSeed).trim();
+    if (!TIE_SEED_PATTERN.test(seed)) {
+      return { error: 'Tie seed must be up to 32 letters, digits, dashes or underscores' };
+    }
+    settings.tieSeed = seed;
+  }
+  
+  if (!isBlank(input.visibility)) {
+    if (!VISIBILITIES.includes(input.visibility)) {
+      return { error: 'Visibility must be public or private' };
+    }
+    settings.visibility = input.visibility;
+  }
+  
+  if (input.prizeValues !== undefined) {
+    const values = Array.isArray(input.prizeValues) ? input.prizeValues : String(input.prizeValues).split(',');
+    const listed = values.filter(value => !isBlank(value)).map(value => Number(value));
+    if (listed.length > MAX_PRIZE_VALUES) {
+      return { error: `At most ${MAX_PRIZE_VALUES} prize values can be listed` };
+    }
+    if (listed.some(value => isNaN(value) || value < LIMITS.prizeValue.min || value > LIMITS.prizeValue.max)) {
+      return { error: `Prize values must be numbers from ${LIMITS.prizeValue.min} to ${LIMITS.prizeValue.max}` };
+    }
+    settings.prizeValues = listed;
+  }
+  
+  if (!isBlank(input.randomValues)) {
+    if (!RANDOM_VALUES.includes(input.randomValues)) {
+      return { error: 'Random values must be off, common, private or signals' };
+    }
+    settings.randomValues = input.randomValues;
+  }
+  
+  if (settings.valueMin > settings.valueMax) {
+    return { error: 'The lowest random value cannot be more than the highest' };
+  }
+  
+  if (!isBlank(input.scoring)) {
+    if (!SCORING.includes(input.scoring)) {
+      return { error: 'Scoring must be wins, money, points, surplus or budget' };
+    }
+    settings.scoring = input.scoring;
+  } else if (current.scoring === 'wins' && !usesItemValues(current) && usesItemValues(settings)) {
+    // Items that are worth something are scored by what they're worth, unless the host says otherwise
+    settings.scoring = 'surplus';
+  }
+  
+  return { settings };
+}
+
+function describeSetting(key) {
+  switch (key) {
+    case 'startingMoney': return 'Starting money';
+    case 'roundsToWin': return 'Rounds to win';
+    case 'bidTimeLimit': return 'Bid time limit';
+    case 'autoBid': return 'Automatic bid';
+    case 'autoAdvanceDelay': return 'Next round delay';
+    case 'maxPlayers': return 'Maximum players';
+    case 'valueMin': return 'Lowest random value';
+    case 'valueMax': return 'Highest random value';
+    case 'signalNoise': return 'Signal noise';
+    default: return key;
+  }
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  LIMITS,
+  TIE_POLICIES,
+  defaultSettings,
+  validateSettings
+};
@@ -0,0 +1,186 @@
+// item-values.js - What each round's item is worth, and scoring games by value
+//
+// Out of the box every round auctions one "win" and the game is decided by
+// rounds won. The host can instead give the items values: a list of prize
+// values (one per round, the last one repeating), or values drawn at random
+// each round, either one value for everyone ("common") or a value of its own
+// for each player ("private"). A tied win earns its share of the value.
+//
+// With "signals" the item has one hidden value for everyone, drawn the same
+// way, and each player only sees a noisy estimate of it: the true value plus
+// or minus up to signalNoise. Whoever wins tends to be whoever guessed too
+// high, which is the winner's curse. Values and signals are shown to everyone
+// once the round's bids are revealed.
+//
+// The game can then be scored by:
+//   wins    - rounds won, then money (the auction mode picks the winner)
+//   money   - money left at the end, and nothing else
+//   points  - points for each round by place: the round's winners first, then
+//             everyone else who bid, highest bid first (see PLACE_POINTS)
+//   surplus - value won minus money spent
+//   budget  - value won; money left at the end is worth nothing, so players
+//             have to pace their spending across the rounds
+//
+// Players still level after every tiebreak of the rule have drawn the game.
+
+const SCORING = ['wins', 'money', 'points', 'surplus', 'budget'];
+
+// Points for 1st, 2nd, 3rd... place in a round; lower places score nothing.
+// Series and tournaments score whole games the same way.
+const PLACE_POINTS = [10, 7, 5, 3, 2, 1];
+const RANDOM_VALUES = ['off', 'common', 'private', 'signals'];
+
+// Whether the game uses item values at all, so pages know to show them
+function usesItemValues(settings) {
+  return settings.scoring === 'surplus' || settings.scoring === 'budget' || settings.randomValues !== 'off' || settings.prizeValues.length > 0;
+}
+
+// The value of the current round's item to each player, as { playerId: value }
+function drawItemValues(game, random = Math.random) {
+  const settings = game.settings;
+  const draw = () => settings.valueMin + Math.floor(random() * (settings.valueMax - settings.valueMin + 1));
+  
+  let commonValue = 1;
+  if (settings.randomValues === 'common' || settings.randomValues === 'signals') {
+    commonValue = draw();
+  } else if (settings.prizeValues.length > 0) {
+    commonValue = settings.prizeValues[Math.min(game.currentRound, settings.prizeValues.length) - 1];
+  }
+  
+  const values = {};
+  game.players.forEach(p => {
+    values[p.id] = settings.randomValues === 'private' ? draw() : commonValue;
+  });
+  return values;
+}
+
+// Each player's noisy signal of this round's hidden value, as { playerId: signal },
+// or null when the game doesn't use signals. Signals never go below 0.
+function drawSignals(game, itemValues, random = Math.random) {
+  const settings = game.settings;
+  if (settings.randomValues !== 'signals') {
+    return null;
+  }
+  
+  const signals = {};
+  game.players.forEach(p => {
+    const noise = Math.floor(random() * (2 * settings.signalNoise + 1)) - settings.signalNoise;
+    signals[p.id] = Math.max(0, itemValues[p.id] + noise);
+  });
+  return signals;
+}
+
+// Points each player scored on a round. The winners share first place (with
+// no winner, first place is left empty); the other bidders are placed below
+// them by bid, equal bids sharing a place. Players who didn't bid score nothing.
+function roundPoints(game, result) {
+  const points = {};
+  game.players.forEach(p => {
+    points[p.id] = 0;
+  });
+  result.winners.forEach(id => {
+    points[id] = PLACE_POINTS[0];
+  });
+  
+  const firstPlaceTaken = Math.max(1, result.winners.length);
+  const others = Object.keys(game.bets).filter(id => points[id] !== undefined && !result.winners.includes(id));
+  others.forEach(id => {
+    const place = firstPlaceTaken + 1 + others.filter(other => game.bets[other] > game.bets[id]).length;
+    points[id] = PLACE_POINTS[place - 1] || 0;
+  });
+  return points;
+}
+
+// What each player made on a round: the value of their share of the item if
+// they won, minus whatever they paid (losers pay too in some auction modes)
+function roundSurplus(game, result) {
+  const surplus = {};
+  game.players.forEach(p => {
+    const won = result.winners.includes(p.id) ? itemValueFor(game, p.id) * result.winFraction : 0;
+    surplus[p.id] = roundValue(won - (result.payments[p.id] || 0));
+  });
+  return surplus;
+}
+
+// The value of this round's item to one player. Games saved before item
+// values existed have none, and every round was worth 1.
+function itemValueFor(game, playerId) {
+  return game.itemValues && game.itemValues[playerId] !== undefined ? game.itemValues[playerId] : 1;
+}
+
+// A round winner's value won so far plus their share of this round's item
+function addValueWon(total, itemValue, winFraction) {
+  return roundValue((total || 0) + itemValue * winFraction);
+}
+
+function moneySpent(game, player) {
+  return game.settings.startingMoney - player.money;
+}
+
+// Games saved before item values existed are scored by wins
+function scoringRule(game) {
+  return (game.settings && game.settings.scoring) || 'wins';
+}
+
+// A player's score under the game's scoring rule
+function playerScore(game, player) {
+  switch (scoringRule(game)) {
+    case 'surplus':
+      // Added up round by round in completeRound; older games work it out
+      if (player.surplus !== undefined) {
+        return player.surplus;
+      }
+      return roundValue((player.valueWon || 0) - moneySpent(game, player));
+    case 'budget':
+      return player.valueWon || 0;
+    case 'money':
+      return player.money;
+    case 'points':
+      return player.points || 0;
+    default:
+      return player.roundsWon;
+  }
+}
+
+// Sort order for players, best first, under the game's scoring rule. Players
+// it puts level (0) are level on every tiebreak the rule has.
+function compareStandings(game) {
+  switch (scoringRule(game)) {
+    case 'wins':
+      return (a, b) => (b.roundsWon - a.roundsWon) || (b.money - a.money);
+    case 'money':
+      return (a, b) => b.money - a.money;
+    default:
+      return (a, b) => (playerScore(game, b) - playerScore(game, a)) || (b.roundsWon - a.roundsWon) || (b.money - a.money);
+  }
+}
+
+// The players sharing first place under the scoring rule. More than one is a draw.
+function overallLeaders(game) {
+  const compare = compareStandings(game);
+  const ranked = [...game.players].sort(compare);
+  return ranked.filter(p => compare(ranked[0], p) === 0);
+}
+
+// Values are kept to the cent so tie shares don't pile up rounding errors
+function roundValue(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  SCORING,
+  RANDOM_VALUES,
+  PLACE_POINTS,
+  usesItemValues,
+  drawItemValues,
+  drawSignals,
+  roundPoints,
+  roundSurplus,
+  itemValueFor,
+  addValueWon,
+  roundValue,
+  scoringRule,
+  playerScore,
+  compareStandings,
+  overallLeaders
+};
@@ -0,0 +1,89 @@
+// logger.js - JSON log lines with levels, tagged with the request they came from
+//
+// Every line is one JSON object: time, level, msg, then any fields passed
+// along (gameId, player, ...). Lines written while handling a request also
+// carry its requestId, without it having to be passed down to every helper:
+// requestLogging() keeps it in an AsyncLocalStorage for the rest of the
+// request, timers and callbacks included. The ID comes from the X-Request-Id
+// header when a proxy in front of us set one, and is sent back in the response.
+//
+// LOG_LEVEL picks the most detailed level written: error, warn, info (the
+// default) or debug. Page loads, state polling and finished requests are
+// logged at debug, so they can be turned on without flooding production logs.
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const DEFAULT_LEVEL = 'info';
+
+// Request IDs we take from a proxy must be short and plain enough to log as they are
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,64}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+function parseLogLevel(value) {
+  const level = String(value || '').trim().toLowerCase();
+  return Object.prototype.hasOwnProperty.call(LEVELS, level) ? level : DEFAULT_LEVEL;
+}
+
+// A logger writing lines at `level` and above. `write` takes each finished
+// line, stdout by default.
+function createLogger({ level = process.env.LOG_LEVEL, write = line => process.stdout.write(line + '\n') } = {}) {
+  const threshold = parseLogLevel(level);
+  
+  const log = (entryLevel, msg, data) => {
+    if (LEVELS[entryLevel] > LEVELS[threshold]) {
+      return;
+    }
+    
+    const entry = Object.assign({ time: new Date().toISOString(), level: entryLevel, msg: msg }, requestContext.getStore());
+    Object.keys(data || {}).forEach(key => {
+      entry[key] = data[key] instanceof Error ? { message: data[key].message, stack: data[key].stack } : data[key];
+    });
+    write(JSON.stringify(entry));
+  };
+  
+  return {
+    level: threshold,
+    error: (msg, data) => log('error', msg, data),
+    warn: (msg, data) => log('warn', msg, data),
+    info: (msg, data) => log('info', msg, data),
+    debug: (msg, data) => log('debug', msg, data)
+  };
+}
+
+// Give each request an ID, keep it for the logs written while handling it, and
+// log the request once the response is sent
+function requestLogging(log) {
+  return (req, res, next) => {
+    const sent = req.get('X-Request-Id');
+    const requestId = sent && REQUEST_ID_PATTERN.test(sent) ? sent : crypto.randomBytes(8).toString('hex');
+    const startedAt = process.hrtime.bigint();
+    
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+    res.on('finish', () => {
+      log.debug('Request finished', {
+        requestId: requestId,
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100
+      });
+    });
+    
+    requestContext.run({ requestId: requestId }, next);
+  };
+}
+
+// The logger the app and its modules share
+const logger = createLogger();
+
+module.exports = {
+  LEVELS,
+  parseLogLevel,
+  createLogger,
+  requestLogging,
+  logger
+};
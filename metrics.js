@@ -0,0 +1,118 @@
+// metrics.js - Counters, gauges and histograms served in Prometheus text format
+//
+// Just enough of a Prometheus client for /metrics: counters and histograms
+// are updated as things happen, gauges are read when /metrics is scraped.
+// See https://prometheus.io/docs/instrumenting/exposition_formats/
+
+// Default histogram buckets, in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+
+function createRegistry() {
+  const metrics = [];
+  
+  // A count that only goes up, optionally split by labels: inc({ mode: 'vickrey' })
+  function counter(name, help) {
+    const values = new Map();
+    metrics.push({
+      name: name,
+      help: help,
+      type: 'counter',
+      samples: () => [...values.values()].map(({ labels, value }) => ({ name: name, labels: labels, value: value }))
+    });
+    
+    return {
+      inc(labels = {}, amount = 1) {
+        const key = labelKey(labels);
+        const entry = values.get(key) || { labels: labels, value: 0 };
+        entry.value += amount;
+        values.set(key, entry);
+      }
+    };
+  }
+  
+  // A value read when the metrics are scraped. collect() returns a number, or
+  // a list of { labels, value }.
+  function gauge(name, help, collect) {
+    metrics.push({
+      name: name,
+      help: help,
+      type: 'gauge',
+      samples: () => {
+        const result = collect();
+        const list = typeof result === 'number' ? [{ labels: {}, value: result }] : result;
+        return list.map(({ labels, value }) => ({ name: name, labels: labels, value: value }));
+      }
+    });
+  }
+  
+  // How long things take, counted into buckets: observe(seconds)
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const counts = buckets.map(() => 0);
+    let sum = 0;
+    let count = 0;
+    metrics.push({
+      name: name,
+      help: help,
+      type: 'histogram',
+      samples: () => buckets
+        .map((bound, i) => ({ name: name + '_bucket', labels: { le: String(bound) }, value: counts[i] }))
+        .concat([
+          { name: name + '_bucket', labels: { le: '+Inf' }, value: count },
+          { name: name + '_sum', labels: {}, value: sum },
+          { name: name + '_count', labels: {}, value: count }
+        ])
+    });
+    
+    return {
+      observe(value) {
+        buckets.forEach((bound, i) => {
+          if (value <= bound) {
+            counts[i]++;
+          }
+        });
+        sum += value;
+        count++;
+      }
+    };
+  }
+  
+  // Every metric in the text format, for the /metrics response
+  function render() {
+    return metrics.map(metric => [
+      `# HELP ${metric.name} ${metric.help}`,
+      `# TYPE ${metric.name} ${metric.type}`
+    ].concat(metric.samples().map(sample => `${sample.name}${formatLabels(sample.labels)} ${sample.value}`)).join('\n')).join('\n') + '\n';
+  }
+  
+  return { counter, gauge, histogram, render };
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(key => [key, labels[key]]));
+}
+
+function formatLabels(labels) {
+  const keys = Object.keys(labels);
+  if (keys.length === 0) {
+    return '';
+  }
+  return '{' + keys.map(key => `${key}="${escapeLabelValue(labels[key])}"`).join(',') + '}';
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// Time a request from now until its response is sent, in seconds
+function timeResponse(res, histogram) {
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    histogram.observe(Number(process.hrtime.bigint() - startedAt) / 1e9);
+  });
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  createRegistry,
+  timeResponse
+};
@@ -0,0 +1,66 @@
+// public/js/game-analytics.js - Per-player figures for the post-game analytics
+//
+// Works on the round history from /game/:id/history. The same file runs on the
+// server (require, for the tests) and in the game page (<script>, as
+// window.GameAnalytics), which turns the figures into a table and a chart.
+
+(function(exports) {
+  // The rounds of one game at the table, in the order they were played
+  function roundsOfGame(history, gameNumber) {
+    return history.rounds.filter(function(r) {
+      return r.gameNumber === gameNumber;
+    });
+  }
+  
+  // One row per round with a cell per player: what they bid and paid, whether
+  // the bid was placed for them and whether they won. Players with no bid in
+  // a round (not seated yet, or already removed) get null.
+  function roundRows(players, rounds) {
+    return rounds.map(function(r) {
+      return {
+        round: r.round,
+        winFraction: r.winners.length > 0 ? r.winFraction : null,
+        cells: players.map(function(p) {
+          if (r.bids[p.id] === undefined) {
+            return null;
+          }
+          return {
+            bid: r.bids[p.id],
+            paid: r.payments[p.id] || 0,
+            auto: r.autoBids.includes(p.id),
+            won: r.winners.includes(p.id)
+          };
+        })
+      };
+    });
+  }
+  
+  // Where each player finished: money left and rounds won after the last
+  // round, or null for a player who wasn't in it
+  function finalStandings(players, rounds) {
+    const last = rounds[rounds.length - 1];
+    return players.map(function(p) {
+      if (!last || last.balances[p.id] === undefined) {
+        return null;
+      }
+      return { money: last.balances[p.id], roundsWon: last.roundsWon[p.id] };
+    });
+  }
+  
+  // Each player's money at the start and after every round, for the chart
+  function bankrollSeries(players, rounds, startingMoney) {
+    return players.map(function(p) {
+      return {
+        name: p.name,
+        data: [startingMoney].concat(rounds.map(function(r) {
+          return r.balances[p.id];
+        }))
+      };
+    });
+  }
+  
+  exports.roundsOfGame = roundsOfGame;
+  exports.roundRows = roundRows;
+  exports.finalStandings = finalStandings;
+  exports.bankrollSeries = bankrollSeries;
+})(typeof module !== 'undefined' ? module.exports : (window.GameAnalytics = {}));
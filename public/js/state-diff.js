@@ -0,0 +1,45 @@
+// public/js/state-diff.js - Game state sent over event streams as differences
+//
+// The server sends each page its full state once, then only the top-level
+// fields that changed. The same file runs on the server (require) and in the
+// game and display pages (<script>, as window.StateDiff), so both sides agree
+// on what a diff looks like: { changes: { key: newValue }, removed: [key] }.
+
+(function(exports) {
+  // Compare two state snapshots key by key. A field that is gone, or now
+  // undefined, is listed in `removed`; nested values are compared whole.
+  function diffGameState(previous, next) {
+    const changes = {};
+    const removed = [];
+    
+    Object.keys(Object.assign({}, previous, next)).forEach(function(key) {
+      if (next[key] === undefined) {
+        if (previous[key] !== undefined) {
+          removed.push(key);
+        }
+      } else if (JSON.stringify(previous[key]) !== JSON.stringify(next[key])) {
+        changes[key] = next[key];
+      }
+    });
+    
+    return { changes: changes, removed: removed };
+  }
+  
+  // Whether a diff has anything in it worth sending
+  function isEmptyDiff(diff) {
+    return Object.keys(diff.changes).length === 0 && diff.removed.length === 0;
+  }
+  
+  // The state after a diff, as a new object (the old one is left as it was)
+  function applyStateDiff(state, diff) {
+    const merged = Object.assign({}, state, diff.changes);
+    diff.removed.forEach(function(key) {
+      delete merged[key];
+    });
+    return merged;
+  }
+  
+  exports.diffGameState = diffGameState;
+  exports.isEmptyDiff = isEmptyDiff;
+  exports.applyStateDiff = applyStateDiff;
+})(typeof module !== 'undefined' ? module.exports : (window.StateDiff = {}));
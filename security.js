@@ -0,0 +1,177 @@
+// security.js - Session secret, CORS, CSRF, rate limiting and username checks
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const MAX_USERNAME_LENGTH = 20;
+const CSRF_HEADER = 'x-csrf-token';
+
+// The session secret has to come from configuration in production. Elsewhere a
+// random one is made up, which logs everyone out when the server restarts.
+function loadSessionSecret(env = process.env) {
+  if (env.SESSION_SECRET) {
+    return env.SESSION_SECRET;
+  }
+  
+  if (env.NODE_ENV === 'production') {
+    throw new Error('SESSION_SECRET must be set in production');
+  }
+  
+  logger.warn('SESSION_SECRET is not set, using a random secret for this run');
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// Comma-separated list of origins allowed to call us from another site
+function parseAllowedOrigins(value) {
+  return (value || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(origin => origin !== '');
+}
+
+// CORS headers only for origins on the list. Same-origin requests don't need them.
+function corsMiddleware(allowedOrigins) {
+  return (req, res, next) => {
+    const origin = req.get('Origin');
+    
+    if (origin && allowedOrigins.includes(origin)) {
+      res.header('Access-Control-Allow-Origin', origin);
+      res.header('Access-Control-Allow-Credentials', 'true');
+      res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, X-CSRF-Token');
+      res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    }
+    res.header('Vary', 'Origin');
+    
+    if (req.method === 'OPTIONS') {
+      return res.sendStatus(204);
+    }
+    next();
+  };
+}
+
+// The CSRF token for this session, created on first use
+function getCsrfToken(req) {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(24).toString('hex');
+  }
+  return req.session.csrfToken;
+}
+
+function tokensMatch(expected, actual) {
+  if (typeof expected !== 'string' || typeof actual !== 'string' || expected.length !== actual.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual));
+}
+
+// Every state-changing request must carry the session's token, either as the
+// _csrf form field or the X-CSRF-Token header (for XHR JSON posts). The token
+// is also put in res.locals so views can add it to their forms.
+function csrfProtection(req, res, next) {
+  res.locals.csrfToken = getCsrfToken(req);
+  
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+    return next();
+  }
+  
+  const sent = req.get(CSRF_HEADER) || (req.body && req.body._csrf);
+  if (!tokensMatch(req.session.csrfToken, sent)) {
+    logger.warn('Rejected request: missing or invalid CSRF token', { method: req.method, path: req.path });
+    return rejectRequest(req, res, 403, 'Your session has expired. Please reload the page and try again.');
+  }
+  next();
+}
+
+// The address a request came from, as one key per client. Behind a proxy
+// Express takes it from X-Forwarded-For (see trust proxy in app.js), where
+// Azure's front end writes it with the client's port, which changes with
+// every connection; the port and any IPv4-in-IPv6 prefix are dropped.
+function clientAddress(req) {
+  const address = req.ip || (req.socket && req.socket.remoteAddress) || '';
+  return address
+    .replace(/^\[([^\]]+)\](:\d+)?$/, '$1')
+    .replace(/^(\d+\.\d+\.\d+\.\d+):\d+$/, '$1')
+    .replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/, '$1');
+}
+
+// Fixed-window limit on how often one client address may hit a route
+function rateLimit({ windowMs, max, message }) {
+  const hits = new Map();
+  let nextSweep = Date.now() + windowMs;
+  
+  return (req, res, next) => {
+    const now = Date.now();
+    
+    // Forget windows that have ended so the map doesn't grow forever
+    if (now >= nextSweep) {
+      hits.forEach((entry, key) => {
+        if (entry.resetAt <= now) {
+          hits.delete(key);
+        }
+      });
+      nextSweep = now + windowMs;
+    }
+    
+    const address = clientAddress(req);
+    let entry = hits.get(address);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(address, entry);
+    }
+    entry.count++;
+    
+    if (entry.count > max) {
+      logger.warn('Rate limit hit', { ip: address, path: req.path });
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return rejectRequest(req, res, 429, message);
+    }
+    next();
+  };
+}
+
+// JSON requests (and the API, which has no session) get a status and
+// { error, code }; form posts go back to the index with the message, the same
+// way the routes report their own errors
+function rejectRequest(req, res, status, message) {
+  if (!req.session || (req.get('Content-Type') || '').includes('application/json') || req.xhr) {
+    return res.status(status).json({ error: message, code: status === 429 ? 'rate_limited' : 'forbidden' });
+  }
+  req.session.error = message;
+  res.redirect('/');
+}
+
+// Trim a username and drop anything that could be taken for markup or control
+// characters. Returns { name } or { error }.
+function sanitizeUsername(input) {
+  if (typeof input !== 'string') {
+    return { error: 'Please enter a username' };
+  }
+  
+  const name = input
+    .replace(/[\u0000-\u001f\u007f<>]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  
+  if (name === '') {
+    return { error: 'Please enter a username' };
+  }
+  
+  if (name.length > MAX_USERNAME_LENGTH) {
+    return { error: `Usernames can be at most ${MAX_USERNAME_LENGTH} characters` };
+  }
+  
+  return { name };
+}
+
+module.exports = {
+  MAX_USERNAME_LENGTH,
+  loadSessionSecret,
+  parseAllowedOrigins,
+  corsMiddleware,
+  getCsrfToken,
+  tokensMatch,
+  csrfProtection,
+  clientAddress,
+  rateLimit,
+  sanitizeUsername
+};
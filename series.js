@@ -0,0 +1,100 @@
+// series.js - Scoring for multi-game series and tournament brackets
+//
+// A series is several games played in a row at one table, possibly in
+// different auction modes. A tournament splits a larger group into tables and
+// moves the top players at each table on to the next stage until one table is
+// left. Both score each finished game the same way: players are placed by the
+// game's overall winner, then by the game's scoring rule, and earn points by place.
+
+const { PLACE_POINTS, compareStandings } = require('./item-values');
+
+// Points for 1st, 2nd, 3rd... place in a game; lower places score nothing
+const DEFAULT_POINTS = PLACE_POINTS;
+
+// Helper function to place everyone in a finished game: the overall winner
+// first, then by the game's scoring rule (rounds won, then money, by default).
+// Players the rule can't separate share a place, so a drawn game has joint winners.
+function rankGame(game) {
+  const winnerId = game.overallWinner ? game.overallWinner.id : null;
+  const compare = (a, b) => ((b.id === winnerId) - (a.id === winnerId)) || compareStandings(game)(a, b);
+  const ranked = [...game.players].sort(compare);
+  
+  return ranked.map(p => ({
+    playerId: p.id,
+    name: p.name,
+    place: 1 + ranked.filter(other => compare(other, p) < 0).length,
+    roundsWon: p.roundsWon,
+    money: p.money
+  }));
+}
+
+// Add the points each place earns to a list of placings
+function awardPoints(placings, points = DEFAULT_POINTS) {
+  return placings.map(placing => Object.assign({}, placing, {
+    points: points[placing.place - 1] || 0
+  }));
+}
+
+// Total up results into a leaderboard. Each result is { placings: [...] }
+// and players are matched across games by keyOf(placing).
+function cumulativeStandings(results, keyOf = placing => placing.playerId) {
+  const totals = {};
+  
+  results.forEach(result => {
+    result.placings.forEach(placing => {
+      const key = keyOf(placing);
+      if (!totals[key]) {
+        totals[key] = { key: key, name: placing.name, points: 0, gamesPlayed: 0, wins: 0 };
+      }
+      totals[key].name = placing.name;
+      totals[key].points += placing.points;
+      totals[key].gamesPlayed++;
+      if (placing.place === 1) {
+        totals[key].wins++;
+      }
+    });
+  });
+  
+  return Object.values(totals)
+    .sort((a, b) => (b.points - a.points) || (b.wins - a.wins))
+    .map((entry, index) => Object.assign(entry, { rank: index + 1 }));
+}
+
+// Split entrants into as few tables as the table size allows, keeping the
+// tables within one player of each other. Entrants are dealt out in snake
+// order (1-2-3-3-2-1...) so the strongest seeds end up at different tables.
+// Nobody is left alone at a table: an odd group with tables of 2 gets one table of 3.
+function splitIntoTables(entrants, tableSize) {
+  const tableCount = Math.max(1, Math.min(Math.ceil(entrants.length / tableSize), Math.floor(entrants.length / 2)));
+  const tables = Array.from({ length: tableCount }, () => []);
+  
+  entrants.forEach((entrant, index) => {
+    const lap = Math.floor(index / tableCount);
+    const position = index % tableCount;
+    tables[lap % 2 === 0 ? position : tableCount - 1 - position].push(entrant);
+  });
+  
+  return tables;
+}
+
+// Check the organiser's tournament format. Returns { error } or {}.
+function validateBracket(tableSize, advancePerTable) {
+  if (!Number.isInteger(tableSize) || tableSize < 2 || tableSize > 20) {
+    return { error: 'Table size must be a whole number from 2 to 20' };
+  }
+  
+  if (!Number.isInteger(advancePerTable) || advancePerTable < 1 || advancePerTable >= tableSize) {
+    return { error: 'Players advancing from each table must be at least 1 and fewer than the table size' };
+  }
+  
+  return {};
+}
+
+module.exports = {
+  DEFAULT_POINTS,
+  rankGame,
+  awardPoints,
+  cumulativeStandings,
+  splitIntoTables,
+  validateBracket
+};
@@ -0,0 +1,188 @@
+// storage/file-store.js - Memory store that is mirrored to JSON files on disk
+//
+// Reads are served from memory. Each record is kept in a file of its own,
+// DATA_DIR/<collection>/<key>.json, so a bet only rewrites its own game and
+// a session touch only its session. Writes mark the record changed and are
+// written out together shortly afterwards, so a burst of bets only touches
+// the disk once. A write that fails (disk full, read-only volume) is logged
+// and tried again later; until one succeeds, check() reports it so /readyz
+// takes us out of rotation instead of the server crashing.
+//
+// Stores saved before records had files of their own are in DATA_DIR/store.json,
+// which is read once and removed after its records have been written out.
+
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./memory-store');
+const { logger } = require('../logger');
+
+const LEGACY_FILE = 'store.json';
+
+class FileStore extends MemoryStore {
+  constructor(dataDir, options = {}) {
+    super();
+    this.dataDir = dataDir;
+    this.writeDelay = options.writeDelay !== undefined ? options.writeDelay : 200;
+    this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 5000;
+    this.writeTimer = null;
+    this.changed = {}; // Keys written or deleted since the last write, by collection
+    this.legacyPath = null; // An old store.json still to be removed
+    this.writeError = null; // Why the last write failed, until one succeeds
+    this.load();
+  }
+  
+  recordPath(collection, key) {
+    return path.join(this.dataDir, collection, `${encodeURIComponent(key)}.json`);
+  }
+  
+  load() {
+    const legacyPath = path.join(this.dataDir, LEGACY_FILE);
+    if (fs.existsSync(legacyPath)) {
+      this.loadLegacy(legacyPath);
+    }
+    if (!fs.existsSync(this.dataDir)) {
+      return;
+    }
+    
+    let count = 0;
+    fs.readdirSync(this.dataDir, { withFileTypes: true }).filter(entry => entry.isDirectory()).forEach(entry => {
+      const dir = path.join(this.dataDir, entry.name);
+      fs.readdirSync(dir).filter(name => name.endsWith('.json')).forEach(name => {
+        const filePath = path.join(dir, name);
+        try {
+          this.collection(entry.name)[decodeURIComponent(name.slice(0, -'.json'.length))] = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+          count++;
+        } catch (err) {
+          // Keep the unreadable file around for inspection and carry on without it
+          const brokenPath = `${filePath}.broken-${Date.now()}`;
+          logger.error('Could not read a saved record, moving it aside', { file: filePath, movedTo: brokenPath, err: err });
+          fs.renameSync(filePath, brokenPath);
+        }
+      });
+    });
+    logger.info('Loaded saved state', { dir: this.dataDir, records: count });
+  }
+  
+  // Read a store.json from before records had files of their own. Every
+  // record in it is written out as a file with the next write.
+  loadLegacy(legacyPath) {
+    try {
+      this.collections = JSON.parse(fs.readFileSync(legacyPath, 'utf8'));
+      Object.keys(this.collections).forEach(collection => {
+        this.keys(collection).forEach(key => this.markChanged(collection, key));
+      });
+      this.legacyPath = legacyPath;
+      this.scheduleWrite();
+      logger.info('Loaded saved state from a single file, splitting it up', { file: legacyPath });
+    } catch (err) {
+      const brokenPath = `${legacyPath}.broken-${Date.now()}`;
+      logger.error('Could not read saved state, moving it aside', { file: legacyPath, movedTo: brokenPath, err: err });
+      fs.renameSync(legacyPath, brokenPath);
+      this.collections = {};
+    }
+  }
+  
+  set(collection, key, value) {
+    super.set(collection, key, value);
+    this.markChanged(collection, key);
+    this.scheduleWrite();
+  }
+  
+  delete(collection, key) {
+    super.delete(collection, key);
+    this.markChanged(collection, key);
+    this.scheduleWrite();
+  }
+  
+  markChanged(collection, key) {
+    if (!this.changed[collection]) {
+      this.changed[collection] = new Set();
+    }
+    this.changed[collection].add(key);
+  }
+  
+  get dirty() {
+    return Object.keys(this.changed).length > 0 || this.legacyPath !== null;
+  }
+  
+  scheduleWrite(delay = this.writeDelay) {
+    if (this.writeTimer) {
+      return;
+    }
+    this.writeTimer = setTimeout(() => this.flush(), delay);
+  }
+  
+  // Write the records that changed to disk now. Each goes to a temporary file
+  // first so a crash mid-write never leaves a half-written record behind.
+  // Returns false if a write failed; the records not yet written stay
+  // pending and another write is scheduled.
+  flush() {
+    if (this.writeTimer) {
+      clearTimeout(this.writeTimer);
+      this.writeTimer = null;
+    }
+    if (!this.dirty) {
+      return true;
+    }
+    
+    try {
+      Object.keys(this.changed).forEach(collection => {
+        fs.mkdirSync(path.join(this.dataDir, collection), { recursive: true });
+        this.changed[collection].forEach(key => {
+          this.writeRecord(collection, key);
+          this.changed[collection].delete(key);
+        });
+        delete this.changed[collection];
+      });
+      
+      if (this.legacyPath) {
+        fs.unlinkSync(this.legacyPath);
+        this.legacyPath = null;
+      }
+    } catch (err) {
+      if (!this.writeError) {
+        logger.error('Could not save state, will retry', { dir: this.dataDir, err: err });
+      }
+      this.writeError = err.message;
+      this.scheduleWrite(this.retryDelay);
+      return false;
+    }
+    
+    if (this.writeError) {
+      logger.info('Saving state works again', { dir: this.dataDir });
+    }
+    this.writeError = null;
+    return true;
+  }
+  
+  writeRecord(collection, key) {
+    const filePath = this.recordPath(collection, key);
+    const value = this.get(collection, key);
+    if (value === undefined) {
+      fs.rmSync(filePath, { force: true });
+      return;
+    }
+    
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(value));
+    fs.renameSync(tempPath, filePath);
+  }
+  
+  // A write that failed, or the next one failing because the data directory
+  // has gone or become read-only (e.g. the /home share on App Service is
+  // unavailable)
+  check() {
+    if (this.writeError) {
+      return `Could not save to ${this.dataDir}: ${this.writeError}`;
+    }
+    try {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+      fs.accessSync(this.dataDir, fs.constants.W_OK);
+      return null;
+    } catch (err) {
+      return `Cannot write to ${this.dataDir}: ${err.message}`;
+    }
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,43 @@
+// storage/index.js - Picks the store games and sessions are kept in
+//
+// GAME_STORE=file (default) keeps everything in DATA_DIR, a file per game,
+// account, session and tournament, so games and logins survive a restart.
+// GAME_STORE=memory keeps everything in memory only.
+
+const path = require('path');
+const MemoryStore = require('./memory-store');
+const FileStore = require('./file-store');
+const StoreSessionStore = require('./session-store');
+
+// Where the file store goes when DATA_DIR isn't set. On Azure App Service a
+// deploy replaces the app's folder, so it goes under %HOME%, the share that
+// persists across deploys and restarts; elsewhere next to the app.
+function defaultDataDir(env = process.env) {
+  if (env.WEBSITE_SITE_NAME && env.HOME) {
+    return path.join(env.HOME, 'data', 'betting-game');
+  }
+  return path.join(__dirname, '..', 'data');
+}
+
+function createStore(options = {}) {
+  const type = options.type || process.env.GAME_STORE || 'file';
+  
+  if (type === 'memory') {
+    return new MemoryStore();
+  }
+  
+  if (type === 'file') {
+    const dataDir = options.dataDir || process.env.DATA_DIR || defaultDataDir();
+    return new FileStore(dataDir);
+  }
+  
+  throw new Error(`Unknown GAME_STORE type: ${type}`);
+}
+
+module.exports = {
+  createStore,
+  defaultDataDir,
+  MemoryStore,
+  FileStore,
+  StoreSessionStore
+};
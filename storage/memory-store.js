@@ -0,0 +1,45 @@
+// storage/memory-store.js - Keeps every collection in process memory (lost on restart)
+
+class MemoryStore {
+  constructor() {
+    this.collections = {};
+  }
+  
+  collection(name) {
+    if (!this.collections[name]) {
+      this.collections[name] = {};
+    }
+    return this.collections[name];
+  }
+  
+  get(collection, key) {
+    const items = this.collection(collection);
+    return Object.prototype.hasOwnProperty.call(items, key) ? items[key] : undefined;
+  }
+  
+  set(collection, key, value) {
+    this.collection(collection)[key] = value;
+  }
+  
+  delete(collection, key) {
+    delete this.collection(collection)[key];
+  }
+  
+  keys(collection) {
+    return Object.keys(this.collection(collection));
+  }
+  
+  values(collection) {
+    return Object.values(this.collection(collection));
+  }
+  
+  // Nothing to write out for the memory store
+  flush() {}
+  
+  // Why the store can't be used right now, or null if it can. Memory is always there.
+  check() {
+    return null;
+  }
+}
+
+module.exports = MemoryStore;
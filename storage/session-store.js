@@ -0,0 +1,76 @@
+// storage/session-store.js - express-session store backed by one of our stores
+
+const session = require('express-session');
+
+const COLLECTION = 'sessions';
+
+// express-session touches the session on every request to push its expiry
+// back. Saving each of those would write the whole store to disk per request,
+// so an expiry is only saved once it has moved on by this much.
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+class StoreSessionStore extends session.Store {
+  constructor(store, options = {}) {
+    super();
+    this.store = store;
+    this.touchInterval = options.touchInterval !== undefined ? options.touchInterval : TOUCH_INTERVAL_MS;
+  }
+  
+  get(sid, callback) {
+    const sess = this.store.get(COLLECTION, sid);
+    
+    if (sess && isExpired(sess)) {
+      this.store.delete(COLLECTION, sid);
+      return callback(null, null);
+    }
+    
+    callback(null, sess ? JSON.parse(JSON.stringify(sess)) : null);
+  }
+  
+  set(sid, sess, callback) {
+    // Store a plain copy so later changes to the live session are not saved by accident
+    this.store.set(COLLECTION, sid, JSON.parse(JSON.stringify(sess)));
+    if (callback) callback(null);
+  }
+  
+  destroy(sid, callback) {
+    this.store.delete(COLLECTION, sid);
+    if (callback) callback(null);
+  }
+  
+  touch(sid, sess, callback) {
+    const existing = this.store.get(COLLECTION, sid);
+    if (existing && expiryMovedBy(existing, sess) >= this.touchInterval) {
+      existing.cookie = JSON.parse(JSON.stringify(sess.cookie));
+      this.store.set(COLLECTION, sid, existing);
+    }
+    if (callback) callback(null);
+  }
+  
+  // Remove every expired session, returning how many were removed
+  clearExpired() {
+    let removedCount = 0;
+    this.store.keys(COLLECTION).forEach(sid => {
+      if (isExpired(this.store.get(COLLECTION, sid))) {
+        this.store.delete(COLLECTION, sid);
+        removedCount++;
+      }
+    });
+    return removedCount;
+  }
+}
+
+// How far a touch pushes the saved expiry back, in milliseconds (Infinity when
+// either has none, so it is saved)
+function expiryMovedBy(saved, sess) {
+  if (!saved.cookie || !saved.cookie.expires || !sess.cookie || !sess.cookie.expires) {
+    return Infinity;
+  }
+  return new Date(sess.cookie.expires).getTime() - new Date(saved.cookie.expires).getTime();
+}
+
+function isExpired(sess) {
+  return Boolean(sess.cookie && sess.cookie.expires && new Date(sess.cookie.expires).getTime() <= Date.now());
+}
+
+module.exports = StoreSessionStore;
@@ -0,0 +1,117 @@
+// test/accounts.test.js - Passwords, lifetime stats and the leaderboard
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  hashPassword,
+  verifyPassword,
+  validatePassword,
+  createAccount,
+  bidFractions,
+  recordFinishedGame,
+  summarizeStats,
+  buildLeaderboard
+} = require('../accounts');
+
+function finished(overrides = {}) {
+  return Object.assign({
+    gameId: 'ABC123',
+    gameMode: 'vickrey',
+    finishedAt: 1000,
+    place: 1,
+    players: 3,
+    won: true,
+    roundsWon: 2,
+    startingMoney: 100,
+    finalMoney: 130,
+    bidFractions: [0.5, 0.25]
+  }, overrides);
+}
+
+function registered(username, results) {
+  const account = createAccount();
+  account.username = username;
+  account.guest = false;
+  results.forEach(result => recordFinishedGame(account, finished(result)));
+  return account;
+}
+
+test('hashPassword and verifyPassword', () => {
+  const stored = hashPassword('correct horse');
+  assert.notStrictEqual(stored, hashPassword('correct horse'), 'each hash gets its own salt');
+  assert.ok(verifyPassword('correct horse', stored));
+  assert.ok(!verifyPassword('wrong horse', stored));
+  assert.ok(!verifyPassword('correct horse', null));
+});
+
+test('validatePassword', () => {
+  assert.deepStrictEqual(validatePassword('long enough'), {});
+  assert.match(validatePassword('short').error, /at least 8/);
+  assert.match(validatePassword(undefined).error, /at least 8/);
+  assert.match(validatePassword('x'.repeat(201)).error, /at most 200/);
+});
+
+test('createAccount starts as a guest with no stats', () => {
+  const account = createAccount(5);
+  assert.strictEqual(account.guest, true);
+  assert.strictEqual(account.username, null);
+  assert.strictEqual(account.createdAt, 5);
+  assert.deepStrictEqual(summarizeStats(account.stats), { gamesPlayed: 0, wins: 0, winRate: 0, averageBidFraction: null, net: 0 });
+});
+
+test('bidFractions compares each bid with the money held going into the round', () => {
+  const rounds = [
+    { bids: { a: 50, b: 10 }, autoBids: [], balances: { a: 50, b: 90 } },
+    { bids: { a: 25, b: 0 }, autoBids: ['b'], balances: { a: 25, b: 90 } },
+    { bids: { b: 45 }, autoBids: [], balances: { a: 25, b: 45 } }
+  ];
+  assert.deepStrictEqual(bidFractions(rounds, 'a', 100), [0.5, 0.5]);
+  assert.deepStrictEqual(bidFractions(rounds, 'b', 100), [0.1, 0.5], 'auto bids are left out');
+});
+
+test('recordFinishedGame keeps per-mode totals and the newest games first', () => {
+  const account = createAccount();
+  recordFinishedGame(account, finished());
+  recordFinishedGame(account, finished({ gameId: 'DEF456', won: false, place: 2, finalMoney: 60, bidFractions: [0.75] }));
+  recordFinishedGame(account, finished({ gameId: 'GHJ789', gameMode: 'dutch', bidFractions: [] }));
+  
+  assert.deepStrictEqual(account.stats.byMode.vickrey, { gamesPlayed: 2, wins: 1, bids: 3, bidFractionTotal: 1.5, net: -10 });
+  assert.deepStrictEqual(account.stats.history.map(game => game.gameId), ['GHJ789', 'DEF456', 'ABC123']);
+  assert.strictEqual(account.stats.history[1].net, -40);
+  
+  assert.deepStrictEqual(summarizeStats(account.stats, 'vickrey'), { gamesPlayed: 2, wins: 1, winRate: 0.5, averageBidFraction: 0.5, net: -10 });
+  assert.strictEqual(summarizeStats(account.stats).gamesPlayed, 3);
+  assert.strictEqual(summarizeStats(account.stats, 'english').gamesPlayed, 0);
+});
+
+test('the winnings history is capped', () => {
+  const account = createAccount();
+  for (let i = 0; i < 60; i++) {
+    recordFinishedGame(account, finished({ gameId: 'G' + i }));
+  }
+  assert.strictEqual(account.stats.history.length, 50);
+  assert.strictEqual(account.stats.history[0].gameId, 'G59');
+});
+
+test('buildLeaderboard', async (t) => {
+  const accounts = [
+    registered('ann', [{}, {}, { won: false }]),
+    registered('bob', [{}, {}]),
+    registered('cat', [{ gameMode: 'dutch' }]),
+    registered('dan', []),
+    Object.assign(createAccount(), { stats: registered('guest', [{}, {}, {}]).stats })
+  ];
+  
+  await t.test('ranks registered players by wins, then win rate', () => {
+    assert.deepStrictEqual(buildLeaderboard(accounts).map(e => [e.rank, e.username]), [[1, 'bob'], [2, 'ann'], [3, 'cat']]);
+  });
+  
+  await t.test('filters by mode', () => {
+    assert.deepStrictEqual(buildLeaderboard(accounts, 'dutch').map(e => e.username), ['cat']);
+  });
+  
+  await t.test('limits the number of entries', () => {
+    assert.strictEqual(buildLeaderboard(accounts, null, 1).length, 1);
+  });
+});
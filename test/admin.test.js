@@ -0,0 +1,114 @@
+// test/admin.test.js - Dashboard sign-in, bulk table counts, table summaries,
+// pooled bids and starting the dashboard's tables
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { openGame } = require('./helpers');
+const { MAX_BULK_GAMES, loadAdminPassword, adminPasswordMatches, parseGameCount, summarizeGame, aggregateBids } = require('../admin');
+const { startFacilitatedGames } = require('../app');
+
+function makeRound(gameMode, bids, winners, payments, autoBids = []) {
+  return { gameNumber: 1, round: 1, gameMode, bids, autoBids, payments, winners, winFraction: 1 };
+}
+
+function makeGame(id, gameMode, history, startingMoney = 100) {
+  return {
+    id,
+    gameMode,
+    status: 'betting',
+    currentRound: 2,
+    totalRounds: 5,
+    gameNumber: 1,
+    settings: { startingMoney, visibility: 'private' },
+    bets: { a: 10 },
+    players: [
+      { id: 'a', name: 'Ann', host: true, money: 100, roundsWon: 0 },
+      { id: 'bot', name: 'Ada (Bot)', host: false, bot: true, money: 100, roundsWon: 0 }
+    ],
+    formerPlayers: [],
+    history
+  };
+}
+
+test('the dashboard is off without a password, and only the password opens it', () => {
+  assert.strictEqual(loadAdminPassword({}), null);
+  assert.strictEqual(loadAdminPassword({ ADMIN_PASSWORD: 'teach' }), 'teach');
+  
+  assert.strictEqual(adminPasswordMatches('teach', 'teach'), true);
+  assert.strictEqual(adminPasswordMatches('teach', 'teacher'), false);
+  assert.strictEqual(adminPasswordMatches('teach', undefined), false);
+  assert.strictEqual(adminPasswordMatches(null, ''), false);
+});
+
+test('parseGameCount', () => {
+  assert.deepStrictEqual(parseGameCount('8'), { count: 8 });
+  assert.deepStrictEqual(parseGameCount(MAX_BULK_GAMES), { count: MAX_BULK_GAMES });
+  assert.match(parseGameCount('0').error, /from 1 to/);
+  assert.match(parseGameCount(MAX_BULK_GAMES + 1).error, /from 1 to/);
+  assert.match(parseGameCount('2.5').error, /whole number/);
+});
+
+test('summarizeGame shows progress without seat secrets', () => {
+  const game = makeGame('ABC123', 'vickrey', []);
+  game.players[0].rejoinToken = 'secret';
+  const summary = summarizeGame(game);
+  assert.strictEqual(summary.betsIn, 1);
+  assert.deepStrictEqual(summary.players.map(p => p.hasBet), [true, false]);
+  assert.ok(!JSON.stringify(summary).includes('secret'));
+});
+
+test('aggregateBids pools people\'s bids by mode', () => {
+  const games = [
+    makeGame('G1', 'all-pay', [
+      makeRound('all-pay', { a: 40, bot: 90 }, ['bot'], { a: 40, bot: 90 }),
+      makeRound('all-pay', { a: 10, bot: 5 }, ['a'], { a: 10, bot: 5 })
+    ]),
+    makeGame('G2', 'all-pay', [
+      makeRound('all-pay', { a: 60 }, ['a'], { a: 60 }, ['a'])
+    ], 200),
+    makeGame('G3', 'vickrey', [
+      makeRound('vickrey', { a: 30, bot: 20 }, ['a'], { a: 20 })
+    ], 200)
+  ];
+  
+  assert.deepStrictEqual(aggregateBids(games), [
+    {
+      gameMode: 'all-pay',
+      tables: 2,
+      rounds: 3,
+      bids: 2,
+      averageBid: 25,
+      medianBid: 25,
+      averageBidShare: 0.25,
+      averageWinningBid: 53.33,
+      averageRevenue: 68.33
+    },
+    {
+      gameMode: 'vickrey',
+      tables: 1,
+      rounds: 1,
+      bids: 1,
+      averageBid: 30,
+      medianBid: 30,
+      averageBidShare: 0.15,
+      averageWinningBid: 30,
+      averageRevenue: 20
+    }
+  ]);
+  assert.deepStrictEqual(aggregateBids([makeGame('G4', 'vickrey', [])]), []);
+});
+
+test('starting the dashboard tables leaves games players opened alone', (t) => {
+  const table = openGame(t, { players: ['Ann', 'Ben'], facilitated: true });
+  const privateLobby = openGame(t, { players: ['Ann', 'Ben'], settings: { visibility: 'private' } });
+  const publicLobby = openGame(t, { players: ['Ann', 'Ben'], settings: { visibility: 'public' } });
+  const emptyTable = openGame(t, { players: [], facilitated: true });
+  
+  const { started, skipped } = startFacilitatedGames();
+  assert.deepStrictEqual(started, [table.id]);
+  assert.deepStrictEqual(skipped.map(s => s.gameId), [emptyTable.id]);
+  assert.strictEqual(table.status, 'betting');
+  assert.strictEqual(privateLobby.status, 'waiting');
+  assert.strictEqual(publicLobby.status, 'waiting');
+});
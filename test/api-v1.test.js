@@ -0,0 +1,210 @@
+// test/api-v1.test.js - API error format, bearer tokens and the OpenAPI
+// description, and playing a table through the API over HTTP
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { listen } = require('./helpers');
+const { getGame, clearGameTimers } = require('../app');
+const { ERROR_STATUS, sendApiError, readBearerToken, apiCors, apiErrorHandler, buildOpenApiSpec } = require('../api-v1');
+const { defaultSettings } = require('../game-settings');
+
+// Just enough of Express's req/res for the helpers
+function makeReq(options = {}) {
+  const headers = options.headers || {};
+  return {
+    method: options.method || 'GET',
+    originalUrl: '/api/v1/games',
+    get: name => headers[name.toLowerCase()]
+  };
+}
+
+function makeRes() {
+  const res = {
+    headers: {},
+    statusCode: 200,
+    header(name, value) { res.headers[name] = value; return res; },
+    set(name, value) { res.headers[name] = value; return res; },
+    status(code) { res.statusCode = code; return res; },
+    json(body) { res.body = body; return res; },
+    sendStatus(code) { res.statusCode = code; return res; }
+  };
+  return res;
+}
+
+// Call the API on a running app, as the seat the token is for if one is given
+function callApi(base, method, path, { token, body } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  return fetch(`${base}/api/v1${path}`, {
+    method: method,
+    headers: headers,
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+}
+
+// A table opened through the API by Ann, with Ben joined, and their seats
+async function apiTable(t, base) {
+  const created = await callApi(base, 'POST', '/games', { body: { username: 'Ann', gameMode: 'vickrey' } });
+  assert.strictEqual(created.status, 201);
+  const ann = await created.json();
+  t.after(() => clearGameTimers(ann.gameId));
+  
+  const joined = await callApi(base, 'POST', `/games/${ann.gameId}/players`, { body: { username: 'Ben' } });
+  assert.strictEqual(joined.status, 201);
+  return { ann, ben: await joined.json() };
+}
+
+test('sendApiError sends the status for the code with { error, code }', () => {
+  const res = makeRes();
+  sendApiError(res, 'conflict', 'It is not betting time');
+  assert.strictEqual(res.statusCode, 409);
+  assert.deepStrictEqual(res.body, { error: 'It is not betting time', code: 'conflict' });
+});
+
+test('sendApiError asks for a bearer token on 401 and treats unknown codes as internal', () => {
+  const unauthorized = makeRes();
+  sendApiError(unauthorized, 'unauthorized', 'No token');
+  assert.strictEqual(unauthorized.statusCode, 401);
+  assert.strictEqual(unauthorized.headers['WWW-Authenticate'], 'Bearer');
+  
+  const unknown = makeRes();
+  sendApiError(unknown, 'made_up', 'Oops');
+  assert.strictEqual(unknown.statusCode, 500);
+  assert.strictEqual(unknown.body.code, 'internal_error');
+});
+
+test('readBearerToken', () => {
+  assert.strictEqual(readBearerToken(makeReq({ headers: { authorization: 'Bearer abc123' } })), 'abc123');
+  assert.strictEqual(readBearerToken(makeReq({ headers: { authorization: 'bearer abc123' } })), 'abc123');
+  assert.strictEqual(readBearerToken(makeReq({ headers: { authorization: 'Basic abc123' } })), null);
+  assert.strictEqual(readBearerToken(makeReq()), null);
+});
+
+test('apiCors allows any origin and answers preflight requests', () => {
+  const res = makeRes();
+  let calledNext = false;
+  apiCors(makeReq({ method: 'OPTIONS' }), res, () => {
+    calledNext = true;
+  });
+  assert.strictEqual(calledNext, false);
+  assert.strictEqual(res.statusCode, 204);
+  assert.strictEqual(res.headers['Access-Control-Allow-Origin'], '*');
+  assert.match(res.headers['Access-Control-Allow-Headers'], /Authorization/);
+});
+
+test('apiErrorHandler reports bad JSON as invalid_request', () => {
+  const res = makeRes();
+  apiErrorHandler(Object.assign(new Error('Unexpected token'), { type: 'entity.parse.failed' }), makeReq(), res, () => {});
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(res.body.code, 'invalid_request');
+});
+
+test('buildOpenApiSpec describes every route and error code', () => {
+  const spec = buildOpenApiSpec(['all-pay', 'vickrey'], defaultSettings());
+  
+  assert.strictEqual(spec.openapi, '3.0.3');
+  assert.deepStrictEqual(Object.keys(spec.paths).sort(), [
+    '/games',
+    '/games/{gameId}/bets',
+    '/games/{gameId}/claim',
+    '/games/{gameId}/next-round',
+    '/games/{gameId}/pause',
+    '/games/{gameId}/players',
+    '/games/{gameId}/players/{playerId}/host',
+    '/games/{gameId}/raise',
+    '/games/{gameId}/reset',
+    '/games/{gameId}/start',
+    '/games/{gameId}/state',
+    '/games/{gameId}/undo'
+  ]);
+  assert.deepStrictEqual(spec.components.schemas.Error.properties.code.enum, Object.keys(ERROR_STATUS));
+  assert.deepStrictEqual(spec.components.schemas.GameState.properties.gameMode.enum, ['all-pay', 'vickrey']);
+  assert.strictEqual(spec.components.schemas.Settings.properties.startingMoney.default, defaultSettings().startingMoney);
+  
+  // Every error response a route lists is defined
+  Object.values(spec.paths).forEach(path => {
+    ['get', 'post'].filter(method => path[method]).forEach(method => {
+      Object.values(path[method].responses).filter(r => r.$ref).forEach(r => {
+        assert.ok(spec.components.responses[r.$ref.split('/').pop()], r.$ref);
+      });
+    });
+  });
+});
+
+test('a table is created, joined, started and bid at through the API', async (t) => {
+  const base = listen(t);
+  const { ann, ben } = await apiTable(t, base);
+  
+  assert.strictEqual(ben.gameId, ann.gameId);
+  assert.notStrictEqual(ben.token, ann.token, 'each seat has a token of its own');
+  assert.deepStrictEqual(ben.state.players.map(p => [p.name, p.host]), [['Ann', true], ['Ben', false]]);
+  
+  const refused = await callApi(base, 'POST', `/games/${ann.gameId}/start`, { token: ben.token });
+  assert.strictEqual(refused.status, 403);
+  assert.deepStrictEqual(await refused.json(), { error: 'Only the host can do this', code: 'forbidden' });
+  assert.strictEqual(getGame(ann.gameId).status, 'waiting');
+  
+  const started = await callApi(base, 'POST', `/games/${ann.gameId}/start`, { token: ann.token });
+  assert.strictEqual(started.status, 200);
+  assert.strictEqual((await started.json()).status, 'betting');
+  
+  // Each token bids for its own seat
+  const annBet = await callApi(base, 'POST', `/games/${ann.gameId}/bets`, { token: ann.token, body: { amount: 30 } });
+  assert.strictEqual(annBet.status, 200);
+  assert.deepStrictEqual(getGame(ann.gameId).bets, { [ann.playerId]: 30 });
+  
+  const benBet = await callApi(base, 'POST', `/games/${ann.gameId}/bets`, { token: ben.token, body: { amount: 20 } });
+  const state = await benBet.json();
+  assert.strictEqual(state.status, 'roundComplete');
+  assert.deepStrictEqual(state.roundWinners, [ann.playerId]);
+  assert.strictEqual(typeof state.serverTime, 'number');
+  
+  const late = await callApi(base, 'POST', `/games/${ann.gameId}/bets`, { token: ben.token, body: { amount: 50 } });
+  assert.strictEqual(late.status, 409);
+  assert.strictEqual((await late.json()).code, 'conflict');
+});
+
+test('API calls for a seat need that seat\'s token', async (t) => {
+  const base = listen(t);
+  const { ann } = await apiTable(t, base);
+  const other = await apiTable(t, base);
+  
+  const missing = await callApi(base, 'GET', `/games/${ann.gameId}/state`);
+  assert.strictEqual(missing.status, 401);
+  assert.strictEqual(missing.headers.get('www-authenticate'), 'Bearer');
+  assert.strictEqual((await missing.json()).code, 'unauthorized');
+  
+  const wrong = await callApi(base, 'GET', `/games/${ann.gameId}/state`, { token: 'not-a-token' });
+  assert.strictEqual(wrong.status, 401);
+  
+  const elsewhere = await callApi(base, 'GET', `/games/${ann.gameId}/state`, { token: other.ann.token });
+  assert.strictEqual(elsewhere.status, 401, 'a token only works at its own table');
+  
+  const own = await callApi(base, 'GET', `/games/${ann.gameId}/state`, { token: ann.token });
+  assert.strictEqual(own.status, 200);
+  assert.strictEqual(own.headers.get('cache-control'), 'no-store');
+  
+  const noGame = await callApi(base, 'GET', '/games/NOPE00/state', { token: ann.token });
+  assert.strictEqual(noGame.status, 404);
+  assert.deepStrictEqual(await noGame.json(), { error: 'Game not found', code: 'not_found' });
+});
+
+test('the API answers bad requests and unknown routes in JSON', async (t) => {
+  const base = listen(t);
+  
+  const badJson = await callApi(base, 'POST', '/games', { body: '{"username": "Ann",' });
+  assert.strictEqual(badJson.status, 400);
+  assert.deepStrictEqual(await badJson.json(), { error: 'Request body is not valid JSON', code: 'invalid_request' });
+  
+  const badName = await callApi(base, 'POST', '/games', { body: { username: '' } });
+  assert.strictEqual(badName.status, 400);
+  assert.strictEqual((await badName.json()).code, 'invalid_request');
+  
+  const unknown = await callApi(base, 'GET', '/no-such-route');
+  assert.strictEqual(unknown.status, 404);
+  assert.match(unknown.headers.get('content-type'), /application\/json/);
+  assert.deepStrictEqual(await unknown.json(), { error: 'No API route for GET /no-such-route', code: 'not_found' });
+});
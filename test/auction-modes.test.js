@@ -0,0 +1,393 @@
+// test/auction-modes.test.js - Payment, tie and scoring rules of every auction mode
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { registerMode, getMode, hasMode, listModes } = require('../auction-modes');
+const { getFractionalWinAmount, rankBids, settleTie, pickSeeded } = require('../auction-modes/common');
+
+// Build a minimal game with one player per bet (use null for a player who did not bet)
+function makeGame(bets, extra = {}) {
+  const players = Object.keys(bets).map(id => ({ id, name: id, money: 100, roundsWon: 0 }));
+  const placed = {};
+  Object.entries(bets).forEach(([id, amount]) => {
+    if (amount !== null) {
+      placed[id] = amount;
+    }
+  });
+  return Object.assign({
+    players,
+    bets: placed,
+    currentRound: 1,
+    totalRounds: 5,
+    roundsToWin: 3
+  }, extra);
+}
+
+test('registry', async (t) => {
+  await t.test('lists the built-in modes', () => {
+    assert.deepStrictEqual(listModes().map(m => m.name), ['all-pay', 'standard', 'vickrey', 'dutch', 'english']);
+  });
+  
+  await t.test('does not fall back to another mode for unknown names', () => {
+    assert.strictEqual(hasMode('japanese'), false);
+    assert.strictEqual(getMode('japanese'), undefined);
+    assert.strictEqual(hasMode('toString'), false);
+  });
+  
+  await t.test('rejects modes missing part of the interface', () => {
+    assert.throws(() => registerMode({ name: 'broken', label: 'Broken' }), /missing resolveRound/);
+    const sealed = getMode('standard');
+    assert.throws(() => registerMode(Object.assign({}, sealed, { name: 'live', liveRound: true })), /missing startRound/);
+  });
+});
+
+test('getFractionalWinAmount splits ties by number of winners', () => {
+  assert.strictEqual(getFractionalWinAmount(1), 1);
+  assert.strictEqual(getFractionalWinAmount(2), 0.5);
+  assert.strictEqual(getFractionalWinAmount(3), 0.4);
+  assert.strictEqual(getFractionalWinAmount(4), 0.3);
+  assert.strictEqual(getFractionalWinAmount(5), 0.2);
+  assert.strictEqual(getFractionalWinAmount(8), 0.2);
+});
+
+test('getFractionalWinAmount uses a game\'s own tie table', () => {
+  const splits = [0.6, 0.3, 0.25, 0.1];
+  assert.strictEqual(getFractionalWinAmount(2, splits), 0.6);
+  assert.strictEqual(getFractionalWinAmount(4, splits), 0.25);
+  assert.strictEqual(getFractionalWinAmount(9, splits), 0.1);
+  
+  const game = makeGame({ a: 10, b: 10, c: 5 }, { settings: { tieSplits: splits } });
+  assert.strictEqual(getMode('standard').resolveRound(game).winFraction, 0.6);
+});
+
+test('rankBids', async (t) => {
+  await t.test('finds the highest and second highest distinct bids', () => {
+    const ranking = rankBids({ a: 10, b: 40, c: 25 });
+    assert.strictEqual(ranking.highestBid, 40);
+    assert.deepStrictEqual(ranking.highestBidders, ['b']);
+    assert.strictEqual(ranking.secondHighestBid, 25);
+    assert.strictEqual(ranking.thirdHighestBid, undefined);
+  });
+  
+  await t.test('finds the bid after the tied players', () => {
+    const ranking = rankBids({ a: 50, b: 50, c: 30, d: 20 });
+    assert.deepStrictEqual(ranking.highestBidders.sort(), ['a', 'b']);
+    assert.strictEqual(ranking.secondHighestBid, 30);
+    assert.strictEqual(ranking.thirdHighestBid, 30);
+  });
+  
+  await t.test('has no lower bids when everyone ties', () => {
+    const ranking = rankBids({ a: 20, b: 20, c: 20 });
+    assert.strictEqual(ranking.secondHighestBid, undefined);
+    assert.strictEqual(ranking.thirdHighestBid, undefined);
+  });
+});
+
+test('tie policies', async (t) => {
+  const tie = (tiePolicy, extra = {}) => makeGame({ a: 50, b: 50, c: 20 }, Object.assign({ gameNumber: 1, settings: { tiePolicy, tieSeed: 'abc' } }, extra));
+  
+  await t.test('split and rebid leave every tied bidder a share', () => {
+    assert.deepStrictEqual(settleTie(tie('split'), ['a', 'b']), ['a', 'b']);
+    assert.deepStrictEqual(settleTie(tie('rebid'), ['a', 'b']), ['a', 'b'], 'a re-bid that stays tied is split');
+    assert.deepStrictEqual(settleTie(makeGame({}), ['a', 'b']), ['a', 'b'], 'games without the setting split');
+  });
+  
+  await t.test('random picks the same winner for the same seed and round', () => {
+    const [winner] = settleTie(tie('random'), ['a', 'b']);
+    assert.ok(['a', 'b'].includes(winner));
+    assert.deepStrictEqual(settleTie(tie('random'), ['b', 'a']), [winner], 'the order of the bids makes no difference');
+    
+    const picks = new Set();
+    for (let round = 1; round <= 20; round++) {
+      picks.add(pickSeeded('abc', `1:${round}`, ['a', 'b']));
+    }
+    assert.strictEqual(picks.size, 2, 'different rounds can go either way');
+  });
+  
+  await t.test('none means nobody wins or pays', () => {
+    for (const name of ['standard', 'vickrey']) {
+      const result = getMode(name).resolveRound(tie('none'));
+      assert.deepStrictEqual(result.winners, []);
+      assert.strictEqual(result.winFraction, 0);
+      assert.ok(Object.values(result.payments).every(amount => amount === 0), name);
+    }
+    assert.deepStrictEqual(getMode('all-pay').resolveRound(tie('none')).payments, { a: 50, b: 50, c: 20 });
+  });
+  
+  await t.test('a random winner takes a whole win', () => {
+    const result = getMode('standard').resolveRound(tie('random'));
+    assert.strictEqual(result.winners.length, 1);
+    assert.strictEqual(result.winFraction, 1);
+    assert.strictEqual(result.payments[result.winners[0]], 50);
+  });
+  
+  await t.test('a random Vickrey winner pays the tied bid, the second highest', () => {
+    const result = getMode('vickrey').resolveRound(tie('random'));
+    assert.strictEqual(result.winners.length, 1);
+    assert.strictEqual(result.payments[result.winners[0]], 50);
+  });
+});
+
+test('all-pay mode', async (t) => {
+  const mode = getMode('all-pay');
+  
+  await t.test('every bidder pays their bid and the highest bid wins', () => {
+    const result = mode.resolveRound(makeGame({ a: 30, b: 20, c: 0 }));
+    assert.deepStrictEqual(result.winners, ['a']);
+    assert.strictEqual(result.winFraction, 1);
+    assert.deepStrictEqual(result.payments, { a: 30, b: 20, c: 0 });
+  });
+  
+  await t.test('players without a bet pay nothing', () => {
+    const result = mode.resolveRound(makeGame({ a: 30, b: null }));
+    assert.deepStrictEqual(result.payments, { a: 30, b: 0 });
+  });
+  
+  await t.test('tied bidders share the win and still pay in full', () => {
+    const result = mode.resolveRound(makeGame({ a: 40, b: 40, c: 40, d: 10 }));
+    assert.deepStrictEqual(result.winners.sort(), ['a', 'b', 'c']);
+    assert.strictEqual(result.winFraction, 0.4);
+    assert.deepStrictEqual(result.payments, { a: 40, b: 40, c: 40, d: 10 });
+  });
+  
+  await t.test('ends as soon as someone reaches the target wins', () => {
+    const game = makeGame({ a: 0, b: 0 });
+    assert.strictEqual(mode.shouldEndGame(game), false);
+    game.players[1].roundsWon = 3;
+    assert.strictEqual(mode.shouldEndGame(game), true);
+  });
+  
+  await t.test('ends after the last round', () => {
+    assert.strictEqual(mode.shouldEndGame(makeGame({ a: 0, b: 0 }, { currentRound: 5 })), true);
+  });
+  
+  await t.test('the player who reached the target wins the game', () => {
+    const game = makeGame({ a: 0, b: 0 });
+    game.players[0].roundsWon = 2;
+    game.players[0].money = 90;
+    game.players[1].roundsWon = 3;
+    game.players[1].money = 10;
+    assert.strictEqual(mode.determineOverallWinner(game).id, 'b');
+  });
+  
+  await t.test('without the target, most wins then most money wins the game', () => {
+    const game = makeGame({ a: 0, b: 0, c: 0 }, { currentRound: 5 });
+    game.players[0].roundsWon = 2;
+    game.players[0].money = 30;
+    game.players[1].roundsWon = 2;
+    game.players[1].money = 50;
+    game.players[2].roundsWon = 1;
+    game.players[2].money = 90;
+    assert.strictEqual(mode.determineOverallWinner(game).id, 'b');
+  });
+});
+
+test('standard mode', async (t) => {
+  const mode = getMode('standard');
+  
+  await t.test('only the winner pays, and pays their own bid', () => {
+    const result = mode.resolveRound(makeGame({ a: 30, b: 20, c: null }));
+    assert.deepStrictEqual(result.winners, ['a']);
+    assert.strictEqual(result.winFraction, 1);
+    assert.deepStrictEqual(result.payments, { a: 30, b: 0, c: 0 });
+  });
+  
+  await t.test('tied winners each pay their full bid and share the win', () => {
+    const result = mode.resolveRound(makeGame({ a: 25, b: 25, c: 10 }));
+    assert.deepStrictEqual(result.winners.sort(), ['a', 'b']);
+    assert.strictEqual(result.winFraction, 0.5);
+    assert.deepStrictEqual(result.payments, { a: 25, b: 25, c: 0 });
+  });
+  
+  await t.test('always plays every round', () => {
+    const game = makeGame({ a: 0, b: 0 }, { currentRound: 4 });
+    game.players[0].roundsWon = 4;
+    assert.strictEqual(mode.shouldEndGame(game), false);
+    game.currentRound = 5;
+    assert.strictEqual(mode.shouldEndGame(game), true);
+  });
+  
+  await t.test('most wins then most money wins the game', () => {
+    const game = makeGame({ a: 0, b: 0 });
+    game.players[0].roundsWon = 2.5;
+    game.players[0].money = 10;
+    game.players[1].roundsWon = 2.5;
+    game.players[1].money = 20;
+    assert.strictEqual(mode.determineOverallWinner(game).id, 'b');
+  });
+  
+  await t.test('an exact tie on wins and money is a draw', () => {
+    const game = makeGame({ a: 0, b: 0 });
+    assert.strictEqual(mode.determineOverallWinner(game), null);
+  });
+});
+
+test('vickrey mode', async (t) => {
+  const mode = getMode('vickrey');
+  
+  await t.test('the winner pays the second highest bid', () => {
+    const result = mode.resolveRound(makeGame({ a: 50, b: 35, c: 20 }));
+    assert.deepStrictEqual(result.winners, ['a']);
+    assert.strictEqual(result.winFraction, 1);
+    assert.deepStrictEqual(result.payments, { a: 35, b: 0, c: 0 });
+    assert.strictEqual(result.secondHighestBid, 35);
+  });
+  
+  await t.test('a zero second bid means the winner pays nothing', () => {
+    const result = mode.resolveRound(makeGame({ a: 50, b: 0 }));
+    assert.deepStrictEqual(result.payments, { a: 0, b: 0 });
+  });
+  
+  await t.test('the only bidder pays their own bid', () => {
+    const result = mode.resolveRound(makeGame({ a: 50, b: null }));
+    assert.deepStrictEqual(result.payments, { a: 50, b: 0 });
+  });
+  
+  await t.test('tied winners pay the bid after the tied players', () => {
+    const result = mode.resolveRound(makeGame({ a: 50, b: 50, c: 30, d: 20 }));
+    assert.deepStrictEqual(result.winners.sort(), ['a', 'b']);
+    assert.strictEqual(result.winFraction, 0.5);
+    assert.deepStrictEqual(result.payments, { a: 30, b: 30, c: 0, d: 0 });
+  });
+  
+  await t.test('a two-way tie with no other bids is free', () => {
+    const result = mode.resolveRound(makeGame({ a: 40, b: 40 }));
+    assert.deepStrictEqual(result.payments, { a: 0, b: 0 });
+  });
+  
+  await t.test('a tie across every bidder is free', () => {
+    const result = mode.resolveRound(makeGame({ a: 40, b: 40, c: 40, d: 40 }));
+    assert.strictEqual(result.winFraction, 0.3);
+    assert.deepStrictEqual(result.payments, { a: 0, b: 0, c: 0, d: 0 });
+  });
+  
+  await t.test('always plays every round', () => {
+    const game = makeGame({ a: 0, b: 0 }, { currentRound: 3 });
+    game.players[0].roundsWon = 3;
+    assert.strictEqual(mode.shouldEndGame(game), false);
+  });
+});
+
+test('dutch mode', async (t) => {
+  const mode = getMode('dutch');
+  
+  function startedGame(moneys) {
+    const game = makeGame({ a: null, b: null, c: null });
+    game.players.forEach((p, i) => { p.money = moneys[i]; });
+    mode.startRound(game, 0);
+    return game;
+  }
+  
+  await t.test('opens at the largest bankroll', () => {
+    const game = startedGame([60, 100, 80]);
+    assert.strictEqual(game.clock.price, 100);
+    assert.strictEqual(game.clock.decrement, 5);
+  });
+  
+  await t.test('lowers the price once per elapsed tick', () => {
+    const game = startedGame([100, 100, 100]);
+    assert.deepStrictEqual(mode.tick(game, 999), { changed: false, roundOver: false });
+    assert.deepStrictEqual(mode.tick(game, 3000), { changed: true, roundOver: false });
+    assert.strictEqual(game.clock.price, 85);
+  });
+  
+  await t.test('the claimer wins and pays the clock price', () => {
+    const game = startedGame([100, 100, 100]);
+    assert.deepStrictEqual(mode.claim(game, game.players[1], {}, 2000), { roundOver: true });
+    assert.deepStrictEqual(game.bets, { b: 90 });
+    
+    const result = mode.resolveRound(game);
+    assert.deepStrictEqual(result.winners, ['b']);
+    assert.deepStrictEqual(result.payments, { a: 0, b: 90, c: 0 });
+  });
+  
+  await t.test('players cannot claim above their bankroll', () => {
+    const game = startedGame([100, 40, 100]);
+    assert.match(mode.claim(game, game.players[1], {}, 0).error, /afford/);
+  });
+  
+  await t.test('the round ends unsold one tick after reaching zero', () => {
+    const game = startedGame([20, 20, 20]);
+    assert.strictEqual(mode.tick(game, 20000).roundOver, false);
+    assert.strictEqual(game.clock.price, 0);
+    assert.strictEqual(mode.tick(game, 21000).roundOver, true);
+    assert.match(mode.claim(game, game.players[0], {}, 21000).error, /run out/);
+  });
+  
+  await t.test('resuming after a pause puts the next tick off by the paused time', () => {
+    const game = startedGame([100, 100, 100]);
+    mode.resumeRound(game, 5000);
+    assert.deepStrictEqual(mode.tick(game, 5999), { changed: false, roundOver: false });
+    assert.strictEqual(mode.tick(game, 6000).changed, true);
+    assert.strictEqual(game.clock.price, 95);
+  });
+});
+
+test('english mode', async (t) => {
+  const mode = getMode('english');
+  
+  function startedGame() {
+    const game = makeGame({ a: null, b: null, c: null });
+    mode.startRound(game, 0);
+    return game;
+  }
+  
+  await t.test('raises must beat the high bid by the minimum increment', () => {
+    const game = startedGame();
+    assert.deepStrictEqual(mode.raise(game, game.players[0], { amount: '10' }, 1000), { roundOver: false });
+    assert.match(mode.raise(game, game.players[1], { amount: '12' }, 1000).error, /between \$15 and \$100/);
+    assert.deepStrictEqual(mode.raise(game, game.players[1], { amount: '15' }, 1000), { roundOver: false });
+    assert.strictEqual(game.clock.leaderId, 'b');
+  });
+  
+  await t.test('the leader cannot raise against themselves or beyond their bankroll', () => {
+    const game = startedGame();
+    mode.raise(game, game.players[0], { amount: '10' }, 0);
+    assert.match(mode.raise(game, game.players[0], { amount: '20' }, 0).error, /already have/);
+    assert.ok(mode.raise(game, game.players[1], { amount: '101' }, 0).error);
+  });
+  
+  await t.test('a late raise extends the countdown', () => {
+    const game = startedGame();
+    mode.raise(game, game.players[0], { amount: '10' }, 15000);
+    assert.strictEqual(game.clock.endsAt, 25000);
+    assert.strictEqual(mode.tick(game, 24999).roundOver, false);
+    assert.strictEqual(mode.tick(game, 25000).roundOver, true);
+    assert.match(mode.raise(game, game.players[1], { amount: '50' }, 25000).error, /closed/);
+  });
+  
+  await t.test('resuming after a pause moves the countdown on by the paused time', () => {
+    const game = startedGame();
+    mode.resumeRound(game, 5000);
+    assert.strictEqual(game.clock.endsAt, 25000);
+    assert.strictEqual(mode.tick(game, 24999).roundOver, false);
+  });
+  
+  await t.test('only the final high bidder pays', () => {
+    const game = startedGame();
+    mode.raise(game, game.players[0], { amount: '10' }, 0);
+    mode.raise(game, game.players[1], { amount: '20' }, 0);
+    mode.raise(game, game.players[0], { amount: '30' }, 0);
+    
+    const result = mode.resolveRound(game);
+    assert.deepStrictEqual(result.winners, ['a']);
+    assert.strictEqual(result.winFraction, 1);
+    assert.deepStrictEqual(result.payments, { a: 30, b: 0, c: 0 });
+  });
+  
+  await t.test('removing the leader hands the lead back to the best remaining bid', () => {
+    const game = startedGame();
+    mode.raise(game, game.players[0], { amount: '10' }, 0);
+    mode.raise(game, game.players[1], { amount: '20' }, 0);
+    
+    mode.removePlayer(game, 'b');
+    assert.strictEqual(game.clock.leaderId, 'a');
+    assert.strictEqual(game.clock.price, 10);
+    assert.deepStrictEqual(game.bets, { a: 10 });
+    
+    mode.removePlayer(game, 'a');
+    assert.strictEqual(game.clock.leaderId, null);
+    assert.strictEqual(mode.minimumRaise(game.clock), 1);
+  });
+});
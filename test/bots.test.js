@@ -0,0 +1,142 @@
+// test/bots.test.js - Bot strategies stay within their bankroll and follow their rules
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { registerStrategy, getStrategy, listStrategies, pickBotName } = require('../bots');
+
+function makeGame(gameMode, extra = {}) {
+  const players = [
+    { id: 'bot', name: 'Ada (Bot)', money: 100, roundsWon: 0, bot: true },
+    { id: 'h1', name: 'Human 1', money: 100, roundsWon: 0 },
+    { id: 'h2', name: 'Human 2', money: 100, roundsWon: 0 }
+  ];
+  return Object.assign({ gameMode, players, currentRound: 1, totalRounds: 5, lastRoundBets: {} }, extra);
+}
+
+// A repeatable stand-in for Math.random
+function fixedRandom(value) {
+  return () => value;
+}
+
+test('registry', async (t) => {
+  await t.test('lists the built-in strategies', () => {
+    assert.deepStrictEqual(listStrategies().map(s => s.name), ['random', 'fixed-fraction', 'equilibrium', 'adaptive']);
+    assert.strictEqual(getStrategy('hasOwnProperty'), undefined);
+  });
+  
+  await t.test('rejects strategies missing part of the interface', () => {
+    assert.throws(() => registerStrategy({ name: 'lazy', label: 'Lazy' }), /missing decideBid/);
+  });
+  
+  await t.test('gives each bot a name nobody else has', () => {
+    assert.strictEqual(pickBotName(['alice']), 'Ada (Bot)');
+    assert.strictEqual(pickBotName(['Ada (Bot)', 'Blaise (Bot)']), 'Carl (Bot)');
+  });
+});
+
+test('every strategy bids a whole amount it can afford', () => {
+  ['all-pay', 'standard', 'vickrey', 'dutch', 'english'].forEach(gameMode => {
+    listStrategies().forEach(strategy => {
+      [0, 0.5, 0.999].forEach(value => {
+        const game = makeGame(gameMode, { lastRoundBets: { h1: 95 } });
+        const bot = game.players[0];
+        bot.money = 37;
+        const bid = strategy.decideBid(game, bot, fixedRandom(value));
+        assert.ok(Number.isInteger(bid) && bid >= 0 && bid <= 37, `${strategy.name} in ${gameMode} bid ${bid}`);
+      });
+    });
+  });
+});
+
+test('random strategy scales with the draw', () => {
+  const game = makeGame('standard');
+  assert.strictEqual(getStrategy('random').decideBid(game, game.players[0], fixedRandom(0.5)), 50);
+});
+
+test('fixed-fraction strategy bids a fifth of its bankroll', () => {
+  const game = makeGame('all-pay');
+  game.players[0].money = 60;
+  assert.strictEqual(getStrategy('fixed-fraction').decideBid(game, game.players[0], fixedRandom(0.9)), 12);
+});
+
+test('equilibrium strategy', async (t) => {
+  const strategy = getStrategy('equilibrium');
+  // With a draw of 0.5 the valuation is exactly an even share: 100 / 5 rounds = 20
+  
+  await t.test('bids its value in second-price and English auctions', () => {
+    ['vickrey', 'english'].forEach(gameMode => {
+      const game = makeGame(gameMode);
+      assert.strictEqual(strategy.decideBid(game, game.players[0], fixedRandom(0.5)), 20);
+    });
+  });
+  
+  await t.test('shades by (n-1)/n in first-price and Dutch auctions', () => {
+    ['standard', 'dutch'].forEach(gameMode => {
+      const game = makeGame(gameMode);
+      assert.strictEqual(strategy.decideBid(game, game.players[0], fixedRandom(0.5)), 13);
+    });
+  });
+  
+  await t.test('mixes in all-pay auctions', () => {
+    const game = makeGame('all-pay');
+    assert.strictEqual(strategy.decideBid(game, game.players[0], fixedRandom(0.5)), 5);
+  });
+});
+
+test('adaptive strategy', async (t) => {
+  const strategy = getStrategy('adaptive');
+  
+  await t.test('bids its valuation before it has seen a round', () => {
+    const game = makeGame('standard');
+    assert.strictEqual(strategy.decideBid(game, game.players[0], fixedRandom(0.5)), 20);
+  });
+  
+  await t.test('just beats the strongest opponent from last round', () => {
+    const game = makeGame('standard', { lastRoundBets: { bot: 30, h1: 12, h2: 7 } });
+    assert.strictEqual(strategy.decideBid(game, game.players[0], fixedRandom(0)), 13);
+  });
+  
+  await t.test('never chases past twice its even share', () => {
+    const game = makeGame('standard', { lastRoundBets: { h1: 90 } });
+    assert.strictEqual(strategy.decideBid(game, game.players[0], fixedRandom(0)), 40);
+  });
+});
+
+test('bots go by the value of the item when it has one', async (t) => {
+  // Item values on, as the game settings and the round's draw would leave them
+  const valuedGame = (gameMode, randomValues, extra = {}) => makeGame(gameMode, Object.assign({
+    settings: { randomValues, prizeValues: [], scoring: 'surplus' },
+    itemValues: { bot: 30, h1: 80, h2: 55 },
+    itemSignals: null
+  }, extra));
+  
+  await t.test('equilibrium bids its own private value', () => {
+    const game = valuedGame('vickrey', 'private');
+    assert.strictEqual(getStrategy('equilibrium').decideBid(game, game.players[0], fixedRandom(0.9)), 30);
+    assert.strictEqual(getStrategy('equilibrium').decideBid(game, game.players[1], fixedRandom(0.9)), 80);
+  });
+  
+  await t.test('with signals it goes by its signal, not the hidden value', () => {
+    const game = valuedGame('vickrey', 'signals', { itemValues: { bot: 50, h1: 50, h2: 50 }, itemSignals: { bot: 42, h1: 58, h2: 47 } });
+    assert.strictEqual(getStrategy('equilibrium').decideBid(game, game.players[0], fixedRandom(0.5)), 42);
+  });
+  
+  await t.test('no strategy bids more than the item is worth to it', () => {
+    ['all-pay', 'standard', 'vickrey', 'dutch', 'english'].forEach(gameMode => {
+      listStrategies().forEach(strategy => {
+        [0, 0.5, 0.999].forEach(value => {
+          const game = valuedGame(gameMode, 'private', { lastRoundBets: { h1: 95 } });
+          const bid = strategy.decideBid(game, game.players[0], fixedRandom(value));
+          assert.ok(bid <= 30, `${strategy.name} in ${gameMode} bid ${bid}`);
+        });
+      });
+    });
+  });
+  
+  await t.test('a value above the bankroll is capped by the money left', () => {
+    const game = valuedGame('vickrey', 'private');
+    game.players[0].money = 12;
+    assert.strictEqual(getStrategy('equilibrium').decideBid(game, game.players[0], fixedRandom(0.5)), 12);
+  });
+});
@@ -0,0 +1,77 @@
+// test/chat.test.js - Chat messages, reactions, mute, no collusion mode and the rate limit
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { MAX_MESSAGE_LENGTH, createChat, sanitizeMessage, checkCanChat, addMessage, countReactions, createChatLimiter } = require('../chat');
+
+function makeGame(status = 'betting') {
+  return { status, gameNumber: 1, currentRound: 2, chat: createChat() };
+}
+
+const ann = { id: 'a', name: 'Ann' };
+
+test('sanitizeMessage', () => {
+  assert.deepStrictEqual(sanitizeMessage('  hello  '), { text: 'hello' });
+  assert.deepStrictEqual(sanitizeMessage('a\u0007b\r\n\n\n\nc'), { text: 'ab\n\nc' });
+  assert.match(sanitizeMessage('   ').error, /enter a message/);
+  assert.match(sanitizeMessage(42).error, /enter a message/);
+  assert.match(sanitizeMessage('x'.repeat(MAX_MESSAGE_LENGTH + 1)).error, /at most/);
+});
+
+test('checkCanChat', async (t) => {
+  await t.test('muted players cannot post or react', () => {
+    const game = makeGame('roundComplete');
+    game.chat.muted.push('a');
+    assert.strictEqual(checkCanChat(game, ann).code, 'forbidden');
+    assert.strictEqual(checkCanChat(game, ann, true).code, 'forbidden');
+  });
+  
+  await t.test('no collusion mode closes the chat only while betting', () => {
+    const game = makeGame('betting');
+    assert.deepStrictEqual(checkCanChat(game, ann), {});
+    game.chat.noCollusion = true;
+    assert.match(checkCanChat(game, ann).error, /closed/);
+    game.status = 'roundComplete';
+    assert.deepStrictEqual(checkCanChat(game, ann), {});
+  });
+  
+  await t.test('reactions wait for the reveal', () => {
+    assert.strictEqual(checkCanChat(makeGame('betting'), ann, true).code, 'conflict');
+    assert.deepStrictEqual(checkCanChat(makeGame('gameComplete'), ann, true), {});
+  });
+});
+
+test('addMessage numbers messages and keeps the newest 100', () => {
+  const game = makeGame();
+  const first = addMessage(game, ann, { text: 'hi' }, 5);
+  assert.deepStrictEqual(first, { id: 1, playerId: 'a', name: 'Ann', gameNumber: 1, round: 2, at: 5, text: 'hi' });
+  
+  for (let i = 0; i < 120; i++) {
+    addMessage(game, ann, { text: 'm' + i });
+  }
+  assert.strictEqual(game.chat.messages.length, 100);
+  assert.strictEqual(game.chat.messages[99].id, 121);
+});
+
+test('countReactions counts only the given round', () => {
+  const game = makeGame('roundComplete');
+  addMessage(game, ann, { reaction: '👏' });
+  addMessage(game, { id: 'b', name: 'Bob' }, { reaction: '👏' });
+  addMessage(game, { id: 'b', name: 'Bob' }, { reaction: '👏' });
+  addMessage(game, ann, { text: 'nice' });
+  game.currentRound = 3;
+  addMessage(game, ann, { reaction: '😂' });
+  
+  assert.deepStrictEqual(countReactions(game.chat, 1, 2), { '👏': 2 });
+  assert.deepStrictEqual(countReactions(game.chat, 1, 3), { '😂': 1 });
+});
+
+test('createChatLimiter gives each player their own allowance', () => {
+  const limit = createChatLimiter({ windowMs: 1000, max: 2 });
+  assert.strictEqual(limit('a', 0), 0);
+  assert.strictEqual(limit('a', 100), 0);
+  assert.strictEqual(limit('a', 400), 600, 'waits until the oldest message leaves the window');
+  assert.strictEqual(limit('b', 400), 0);
+  assert.strictEqual(limit('a', 1000), 0);
+});
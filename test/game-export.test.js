@@ -0,0 +1,97 @@
+// test/game-export.test.js - CSV and JSON results exports
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { buildExport, roundsToCsv, standingsToCsv } = require('../game-export');
+
+function makeGame() {
+  return {
+    id: 'ABC123',
+    gameMode: 'vickrey',
+    gameNumber: 1,
+    status: 'roundComplete',
+    currentRound: 1,
+    totalRounds: 5,
+    settings: { startingMoney: 100, totalRounds: null, roundsToWin: 3, tieSplits: [0.5, 0.4, 0.3, 0.2] },
+    players: [
+      { id: 'p1', name: 'Alice', money: 80, roundsWon: 1, host: true },
+      { id: 'p2', name: 'Bob, "the bidder"', money: 100, roundsWon: 0 },
+      { id: 'p3', name: 'Ada (Bot)', money: 100, roundsWon: 0, bot: true, strategy: 'random' }
+    ],
+    history: [{
+      gameNumber: 1,
+      round: 1,
+      gameMode: 'vickrey',
+      completedAt: 0,
+      bids: { p1: 30, p2: 20, p3: 0 },
+      autoBids: ['p3'],
+      payments: { p1: 20, p2: 0, p3: 0 },
+      winners: ['p1'],
+      winFraction: 1,
+      balances: { p1: 80, p2: 100, p3: 100 },
+      roundsWon: { p1: 1, p2: 0, p3: 0 }
+    }],
+    overallWinner: null
+  };
+}
+
+test('buildExport includes the rules, rounds and provisional standings', () => {
+  const data = buildExport(makeGame(), 0);
+  assert.strictEqual(data.exportedAt, '1970-01-01T00:00:00.000Z');
+  assert.strictEqual(data.gameMode, 'vickrey');
+  assert.strictEqual(data.settings.startingMoney, 100);
+  assert.strictEqual(data.rounds.length, 1);
+  assert.deepStrictEqual(data.standings.map(s => s.playerId), ['p1', 'p2', 'p3']);
+  assert.ok(data.standings.every(s => s.winner === false));
+  assert.strictEqual(data.players[2].strategy, 'random');
+});
+
+test('standings mark the winner once the game is complete', () => {
+  const game = makeGame();
+  game.status = 'gameComplete';
+  game.overallWinner = game.players[0];
+  assert.strictEqual(buildExport(game).standings[0].winner, true);
+});
+
+test('roundsToCsv writes one row per player per round', () => {
+  const lines = roundsToCsv(buildExport(makeGame())).trim().split('\r\n');
+  assert.strictEqual(lines.length, 4);
+  assert.match(lines[0], /^game_id,game_number,game_mode,round,player_id/);
+  assert.strictEqual(lines[1], 'ABC123,1,vickrey,1,p1,Alice,false,30,false,20,true,1,80,1,100,5,3,0.5 0.4 0.3 0.2,,,,');
+  assert.match(lines[2], /,"Bob, ""the bidder""",/);
+  assert.match(lines[3], /,0,true,0,false,0,100,0,/);
+});
+
+test('roundsToCsv includes item values, signals and each round\'s surplus', () => {
+  const game = makeGame();
+  Object.assign(game.history[0], {
+    itemValues: { p1: 50, p2: 50, p3: 50 },
+    signals: { p1: 58, p2: 41, p3: 50 },
+    surplus: { p1: 30, p2: 0, p3: 0 },
+    valueWon: { p1: 50, p2: 0, p3: 0 }
+  });
+  const lines = roundsToCsv(buildExport(game)).trim().split('\r\n');
+  assert.match(lines[0], /,item_value,value_won_after,signal,round_surplus$/);
+  assert.match(lines[1], /,50,50,58,30$/);
+});
+
+test('players removed during the game are still named in the export', () => {
+  const game = makeGame();
+  game.formerPlayers = [{ id: 'p2', name: 'Bob', bot: false }];
+  game.players = game.players.filter(p => p.id !== 'p2');
+  const data = buildExport(game);
+  assert.deepStrictEqual(data.players[2], { id: 'p2', name: 'Bob', bot: false, strategy: null, host: false, removed: true });
+  assert.strictEqual(data.standings.length, 2);
+  assert.match(roundsToCsv(data), /,p2,Bob,false,20,/);
+});
+
+test('CSV fields that look like formulas are defused', () => {
+  const game = makeGame();
+  game.players[1].name = '=HYPERLINK("x")';
+  const csv = standingsToCsv(buildExport(game));
+  assert.match(csv, /"'=HYPERLINK\(""x""\)"/);
+  // Negative numbers are left alone
+  game.players[0].money = -5;
+  assert.match(standingsToCsv(buildExport(game)), /,-5,/);
+});
@@ -0,0 +1,188 @@
+// test/game-flow.test.js - Host controls during a game: pause and resume, undo,
+// host transfer, the timer that closes a round's results and the live clock
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { openGame, startedGame } = require('./helpers');
+const { store, placeBet, pauseGame, resumeGame, undoLastRound, transferHost, advanceRound, resetGame, startGame } = require('../app');
+const { replayLog, compareWithGame } = require('../game-log');
+
+function countEvents(game, type) {
+  return game.log.filter(e => e.type === type).length;
+}
+
+test('round results close after a while, and undo cancels the old timer', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1000000 });
+  const game = startedGame(t);
+  const [ann, ben] = game.players;
+  
+  placeBet(game, ann, 30);
+  placeBet(game, ben, 20);
+  assert.strictEqual(game.status, 'roundComplete');
+  assert.strictEqual(game.showRoundResults, true);
+  assert.strictEqual(ann.money, 70);
+  
+  t.mock.timers.tick(2000);
+  assert.deepStrictEqual(undoLastRound(game), {});
+  assert.strictEqual(game.status, 'betting');
+  assert.strictEqual(ann.money, 100, 'the payment is refunded');
+  assert.strictEqual(ann.roundsWon, 0);
+  
+  // Bid the round again straight away: its results get their full time
+  placeBet(game, ann, 10);
+  placeBet(game, ben, 40);
+  t.mock.timers.tick(3500);
+  assert.strictEqual(game.showRoundResults, true, 'the undone round\'s timer must not close the new results');
+  assert.strictEqual(countEvents(game, 'resultsHidden'), 0);
+  
+  t.mock.timers.tick(1500);
+  assert.strictEqual(game.showRoundResults, false);
+  assert.strictEqual(countEvents(game, 'resultsHidden'), 1);
+  assert.deepStrictEqual(compareWithGame(replayLog(game.log), game), []);
+});
+
+test('a results timer left over from an earlier round does nothing', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1000000 });
+  const game = startedGame(t, { settings: { totalRounds: 3 } });
+  const [ann, ben] = game.players;
+  
+  placeBet(game, ann, 30);
+  placeBet(game, ben, 20);
+  advanceRound(game);
+  assert.strictEqual(game.currentRound, 2);
+  
+  // The host started round 2 before round 1's results closed
+  game.showRoundResults = true;
+  t.mock.timers.tick(5000);
+  assert.strictEqual(game.showRoundResults, true);
+  assert.strictEqual(countEvents(game, 'resultsHidden'), 0);
+});
+
+test('pausing stops the clock on bids and results, and resuming gives the time back', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1000000 });
+  const game = startedGame(t, { settings: { bidTimeLimit: 30, autoBid: 5 } });
+  const [ann, ben] = game.players;
+  const deadline = game.bidDeadline;
+  
+  placeBet(game, ann, 30);
+  t.mock.timers.tick(10000);
+  assert.deepStrictEqual(pauseGame(game), {});
+  assert.deepStrictEqual(pauseGame(game), { error: 'The game is already paused', code: 'conflict' });
+  
+  // Long past the deadline, but nobody is bid for while paused
+  t.mock.timers.tick(60000);
+  assert.strictEqual(game.bets[ben.id], undefined);
+  assert.strictEqual(game.status, 'betting');
+  
+  assert.deepStrictEqual(resumeGame(game), {});
+  assert.strictEqual(game.bidDeadline, deadline + 60000);
+  assert.deepStrictEqual(resumeGame(game), { error: 'The game is not paused', code: 'conflict' });
+  
+  // Ben still has the 20 seconds he had left
+  t.mock.timers.tick(19000);
+  assert.strictEqual(game.status, 'betting');
+  t.mock.timers.tick(1000);
+  assert.strictEqual(game.status, 'roundComplete');
+  assert.strictEqual(game.lastRoundBets[ben.id], 5);
+  
+  // A pause while the results show keeps them up until the game resumes
+  pauseGame(game);
+  t.mock.timers.tick(10000);
+  assert.strictEqual(game.showRoundResults, true);
+  resumeGame(game);
+  t.mock.timers.tick(5000);
+  assert.strictEqual(game.showRoundResults, false);
+});
+
+test('pause and undo are refused when they make no sense', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1000000 });
+  const waiting = openGame(t);
+  assert.deepStrictEqual(pauseGame(waiting), { error: 'Only a game in progress can be paused', code: 'conflict' });
+  
+  const game = startedGame(t, { settings: { totalRounds: 1 } });
+  const [ann, ben] = game.players;
+  assert.deepStrictEqual(undoLastRound(game), { error: 'There is no finished round to undo', code: 'conflict' });
+  
+  placeBet(game, ann, 30);
+  placeBet(game, ben, 20);
+  assert.strictEqual(game.status, 'gameComplete');
+  assert.deepStrictEqual(undoLastRound(game), { error: 'There is no finished round to undo', code: 'conflict' });
+});
+
+test('undo is refused while paused', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1000000 });
+  const game = startedGame(t, { settings: { totalRounds: 3 } });
+  const [ann, ben] = game.players;
+  
+  placeBet(game, ann, 30);
+  placeBet(game, ben, 20);
+  pauseGame(game);
+  assert.deepStrictEqual(undoLastRound(game), { error: 'Resume the game before undoing a round', code: 'conflict' });
+});
+
+test('the host role can be handed to another person, but not to a bot', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1000000 });
+  const game = startedGame(t);
+  const [ann, ben] = game.players;
+  
+  assert.deepStrictEqual(transferHost(game, ben), {});
+  assert.strictEqual(ann.host, false);
+  assert.strictEqual(ben.host, true);
+  assert.strictEqual(game.players.filter(p => p.host).length, 1);
+  
+  assert.deepStrictEqual(transferHost(game, ben), { error: 'That player cannot be made host', code: 'invalid_request' });
+  assert.deepStrictEqual(transferHost(game, { id: 'x', bot: true }), { error: 'That player cannot be made host', code: 'invalid_request' });
+  assert.deepStrictEqual(transferHost(game, undefined), { error: 'Player not found', code: 'not_found' });
+  
+  // The log knows who hosts
+  assert.deepStrictEqual(replayLog(game.log).players.map(p => p.host), [false, true]);
+});
+
+test('a table played again and again keeps the events of its last few games only', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1000000 });
+  const game = startedGame(t, { settings: { totalRounds: 1 } });
+  const [ann, ben] = game.players;
+  const playAgain = () => {
+    placeBet(game, ann, 30);
+    placeBet(game, ben, 20);
+    assert.strictEqual(game.status, 'gameComplete');
+    resetGame(game);
+    startGame(game);
+  };
+  
+  for (let i = 0; i < 7; i++) {
+    playAgain();
+  }
+  assert.strictEqual(game.gameNumber, 8);
+  assert.strictEqual(game.log[1].type, 'archived');
+  const logLength = game.log.length;
+  
+  const replayed = replayLog(game.log);
+  assert.deepStrictEqual(compareWithGame(replayed, game), []);
+  assert.strictEqual(replayed.finishedGames.length, 7, 'every finished game keeps its summary');
+  assert.deepStrictEqual(replayed.rounds.map(r => r.gameNumber), [4, 5, 6, 7]);
+  assert.ok(game.log.every((event, i) => i === 0 || event.seq > game.log[i - 1].seq));
+  
+  playAgain();
+  playAgain();
+  assert.strictEqual(game.log.length, logLength);
+  assert.deepStrictEqual(compareWithGame(replayLog(game.log), game), []);
+});
+
+test('a live clock is only saved when the round ends, not on every tick', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: 1000000 });
+  const game = startedGame(t, { gameMode: 'dutch' });
+  const startPrice = game.clock.price;
+  const set = t.mock.method(store, 'set');
+  const gameSaves = () => set.mock.calls.filter(call => call.arguments[0] === 'games').length;
+  
+  t.mock.timers.tick(5000);
+  assert.ok(game.clock.price < startPrice);
+  assert.strictEqual(gameSaves(), 0);
+  
+  // Down to $0 and a tick more: nobody claimed, and the round is saved
+  t.mock.timers.tick(20000);
+  assert.strictEqual(game.status, 'roundComplete');
+  assert.ok(gameSaves() > 0);
+});
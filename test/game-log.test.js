@@ -0,0 +1,147 @@
+// test/game-log.test.js - Recording a game's events and rebuilding it from them
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { recordEvent, recordBetChanges, replayLog, compareWithGame } = require('../game-log');
+const { defaultSettings } = require('../game-settings');
+
+// A log with its sequence numbers and times filled in, one second apart
+function makeLog(events) {
+  return events.map((event, i) => Object.assign({ seq: i + 1, at: 1000 * (i + 1), gameNumber: 1 }, event));
+}
+
+function twoPlayerGame(gameMode, totalRounds) {
+  return [
+    { type: 'created', gameMode, settings: defaultSettings() },
+    { type: 'joined', playerId: 'a', name: 'Ann', host: true, bot: false, strategy: null },
+    { type: 'joined', playerId: 'b', name: 'Ben', host: false, bot: false, strategy: null },
+    { type: 'started', totalRounds, itemValues: { a: 1, b: 1 }, signals: null }
+  ];
+}
+
+test('recordEvent numbers events in order', () => {
+  const game = { gameNumber: 2, log: [] };
+  recordEvent(game, 'started', { totalRounds: 3 }, 500);
+  recordEvent(game, 'roundClosed', {}, 900);
+  assert.deepStrictEqual(game.log, [
+    { seq: 1, at: 500, type: 'started', gameNumber: 2, totalRounds: 3 },
+    { seq: 2, at: 900, type: 'roundClosed', gameNumber: 2 }
+  ]);
+});
+
+test('recordBetChanges logs only new or changed bids', () => {
+  const game = { gameNumber: 1, log: [], bets: { a: 10, b: 20, c: 5 }, autoBidPlayers: ['c'] };
+  recordBetChanges(game, { a: 10, b: 15 }, 100);
+  assert.deepStrictEqual(game.log.map(e => [e.playerId, e.amount, e.auto]), [['b', 20, false], ['c', 5, true]]);
+});
+
+test('replaying a log settles rounds with the auction mode and finishes the game', () => {
+  const replayed = replayLog(makeLog(twoPlayerGame('vickrey', 2).concat([
+    { type: 'bet', playerId: 'b', amount: 30, auto: false },
+    { type: 'bet', playerId: 'a', amount: 40, auto: false },
+    { type: 'bet', playerId: 'a', amount: 45, auto: false },
+    { type: 'roundClosed' },
+    { type: 'resultsHidden' },
+    { type: 'nextRound', itemValues: { a: 1, b: 1 }, signals: null },
+    { type: 'bet', playerId: 'a', amount: 10, auto: false },
+    { type: 'bet', playerId: 'b', amount: 50, auto: true },
+    { type: 'roundClosed' }
+  ])));
+  
+  assert.strictEqual(replayed.status, 'gameComplete');
+  assert.deepStrictEqual(replayed.players.map(p => [p.id, p.money, p.roundsWon]), [['a', 70, 1], ['b', 90, 1]]);
+  
+  // Every bid is kept in order, raises included, with when it came in
+  assert.strictEqual(replayed.rounds.length, 2);
+  assert.deepStrictEqual(replayed.rounds[0].bids.map(b => [b.playerId, b.amount, b.at]), [['b', 30, 5000], ['a', 40, 6000], ['a', 45, 7000]]);
+  assert.strictEqual(replayed.rounds[0].openedAt, 4000);
+  assert.deepStrictEqual(replayed.rounds[0].balances, { a: 70, b: 100 });
+  assert.strictEqual(replayed.rounds[1].bids[1].auto, true);
+  
+  // One win each, so Ben wins on the money he has left
+  assert.deepStrictEqual(replayed.finishedGames.map(g => [g.gameNumber, g.winnerId]), [[1, 'b']]);
+});
+
+test('undoing a round puts the money back, and a reset starts the next game', () => {
+  const replayed = replayLog(makeLog(twoPlayerGame('all-pay', 3).concat([
+    { type: 'bet', playerId: 'a', amount: 20, auto: false },
+    { type: 'bet', playerId: 'b', amount: 10, auto: false },
+    { type: 'roundClosed' },
+    { type: 'roundUndone' },
+    { type: 'bet', playerId: 'a', amount: 5, auto: false },
+    { type: 'bet', playerId: 'b', amount: 8, auto: false },
+    { type: 'roundClosed' }
+  ])));
+  
+  // All-pay: both pay what they bid
+  assert.deepStrictEqual(replayed.players.map(p => [p.money, p.roundsWon]), [[95, 0], [92, 1]]);
+  assert.strictEqual(replayed.rounds.length, 1);
+  assert.deepStrictEqual(replayed.rounds[0].bids.map(b => b.amount), [5, 8]);
+  
+  const reset = replayLog(makeLog(twoPlayerGame('all-pay', 1).concat([
+    { type: 'bet', playerId: 'a', amount: 20, auto: false },
+    { type: 'roundClosed' },
+    { type: 'reset', gameMode: 'vickrey', gameNumber: 2 }
+  ])));
+  assert.strictEqual(reset.status, 'waiting');
+  assert.strictEqual(reset.gameNumber, 2);
+  assert.strictEqual(reset.gameMode, 'vickrey');
+  assert.deepStrictEqual(reset.players.map(p => p.money), [100, 100]);
+  assert.deepStrictEqual(reset.finishedGames.map(g => g.winnerId), ['a']);
+});
+
+test('a re-bid replaces the tied bids, and an even finish is a draw', () => {
+  const log = twoPlayerGame('standard', 1);
+  log[0].settings.tiePolicy = 'rebid';
+  const replayed = replayLog(makeLog(log.concat([
+    { type: 'bet', playerId: 'a', amount: 20, auto: false },
+    { type: 'bet', playerId: 'b', amount: 20, auto: false },
+    { type: 'tiebreak', playerIds: ['a', 'b'], amount: 20 },
+    { type: 'bet', playerId: 'b', amount: 25, auto: false },
+    { type: 'bet', playerId: 'a', amount: 22, auto: false },
+    { type: 'roundClosed' }
+  ])));
+  
+  assert.deepStrictEqual(replayed.rounds[0].bids.map(b => [b.playerId, b.amount, b.rebid]), [['a', 20, false], ['b', 20, false], ['b', 25, true], ['a', 22, true]]);
+  assert.deepStrictEqual(replayed.rounds[0].winners, ['b']);
+  assert.deepStrictEqual(replayed.players.map(p => [p.money, p.points]), [[100, 7], [75, 10]]);
+  
+  const drawn = replayLog(makeLog(twoPlayerGame('standard', 1).concat([
+    { type: 'roundClosed' },
+    { type: 'nextRound' }
+  ])));
+  assert.strictEqual(drawn.status, 'gameComplete');
+  assert.deepStrictEqual(drawn.finishedGames.map(g => [g.winnerId, g.drawnWith]), [[null, ['a', 'b']]]);
+});
+
+test('players who leave are kept for naming their old bids', () => {
+  const replayed = replayLog(makeLog(twoPlayerGame('vickrey', 3).concat([
+    { type: 'left', playerId: 'b' }
+  ])));
+  assert.deepStrictEqual(replayed.players.map(p => p.id), ['a']);
+  assert.deepStrictEqual(replayed.formerPlayers, [{ id: 'b', name: 'Ben', bot: false }]);
+});
+
+test('games logged before the log existed cannot be replayed', () => {
+  assert.strictEqual(replayLog([]), null);
+  assert.strictEqual(replayLog(makeLog([{ type: 'bet', playerId: 'a', amount: 1 }])), null);
+});
+
+test('compareWithGame lists where the live game and its log disagree', () => {
+  const replayed = replayLog(makeLog(twoPlayerGame('vickrey', 3)));
+  const game = {
+    status: 'betting',
+    currentRound: 1,
+    gameNumber: 1,
+    gameMode: 'vickrey',
+    players: [
+      { id: 'a', name: 'Ann', money: 100, roundsWon: 0, valueWon: 0 },
+      { id: 'b', name: 'Ben', money: 100, roundsWon: 0, valueWon: 0 }
+    ]
+  };
+  assert.deepStrictEqual(compareWithGame(replayed, game), []);
+  
+  game.players[1].money = 90;
+  assert.deepStrictEqual(compareWithGame(replayed, game), ['Ben money: log gives 100, game has 90']);
+});
@@ -0,0 +1,126 @@
+// test/game-settings.test.js - Validation of the host's per-game settings
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { defaultSettings, validateSettings } = require('../game-settings');
+
+test('validateSettings', async (t) => {
+  await t.test('keeps the defaults when nothing is sent', () => {
+    assert.deepStrictEqual(validateSettings({}), { settings: defaultSettings() });
+  });
+  
+  await t.test('reads form fields sent as strings', () => {
+    const { settings } = validateSettings({
+      startingMoney: '250',
+      totalRounds: '8',
+      roundsToWin: '4',
+      tieSplits: ['0.5', '0.33', '0.25', '0.2']
+    });
+    assert.deepStrictEqual(settings, {
+      startingMoney: 250,
+      totalRounds: 8,
+      roundsToWin: 4,
+      tieSplits: [0.5, 0.33, 0.25, 0.2],
+      tiePolicy: 'split',
+      tieSeed: '',
+      bidTimeLimit: 0,
+      autoBid: 0,
+      autoAdvanceDelay: 0,
+      maxPlayers: 10,
+      visibility: 'private',
+      prizeValues: [],
+      randomValues: 'off',
+      valueMin: 0,
+      valueMax: 100,
+      signalNoise: 10,
+      scoring: 'wins'
+    });
+  });
+  
+  await t.test('timers can be switched off with zero', () => {
+    const { settings } = validateSettings({ bidTimeLimit: '0', autoBid: '0', autoAdvanceDelay: '0' });
+    assert.strictEqual(settings.bidTimeLimit, 0);
+    assert.strictEqual(settings.autoAdvanceDelay, 0);
+  });
+  
+  await t.test('blank or auto rounds means decided by player count', () => {
+    const current = Object.assign(defaultSettings(), { totalRounds: 6 });
+    assert.strictEqual(validateSettings({ totalRounds: '' }, current).settings.totalRounds, null);
+    assert.strictEqual(validateSettings({ totalRounds: 'auto' }, current).settings.totalRounds, null);
+    assert.strictEqual(validateSettings({}, current).settings.totalRounds, 6);
+  });
+  
+  await t.test('merges over the current settings', () => {
+    const current = Object.assign(defaultSettings(), { startingMoney: 40 });
+    assert.strictEqual(validateSettings({ roundsToWin: 2 }, current).settings.startingMoney, 40);
+  });
+  
+  await t.test('rejects values out of range or not whole numbers', () => {
+    assert.match(validateSettings({ startingMoney: '0' }).error, /Starting money/);
+    assert.match(validateSettings({ startingMoney: '12.5' }).error, /Starting money/);
+    assert.match(validateSettings({ startingMoney: 'lots' }).error, /Starting money/);
+    assert.match(validateSettings({ totalRounds: '51' }).error, /Number of rounds/);
+    assert.match(validateSettings({ roundsToWin: -1 }).error, /Rounds to win/);
+    assert.match(validateSettings({ bidTimeLimit: '601' }).error, /Bid time limit/);
+    assert.match(validateSettings({ autoBid: '-5' }).error, /Automatic bid/);
+    assert.match(validateSettings({ autoAdvanceDelay: '2.5' }).error, /Next round delay/);
+  });
+  
+  await t.test('rejects a target that can never be reached', () => {
+    assert.match(validateSettings({ totalRounds: '3', roundsToWin: '4' }).error, /cannot be more/);
+  });
+  
+  await t.test('rejects tie splits of the wrong shape or range', () => {
+    assert.match(validateSettings({ tieSplits: [0.5, 0.4] }).error, /4 values/);
+    assert.match(validateSettings({ tieSplits: [0.5, 0.4, 0.3, 1.5] }).error, /between 0 and 1/);
+    assert.match(validateSettings({ tieSplits: [0.5, '', 0.3, 0.2] }).error, /between 0 and 1/);
+  });
+  
+  await t.test('checks the seat cap and visibility', () => {
+    assert.strictEqual(validateSettings({ maxPlayers: '4' }).settings.maxPlayers, 4);
+    assert.match(validateSettings({ maxPlayers: '1' }).error, /Maximum players/);
+    assert.strictEqual(validateSettings({ visibility: 'public' }).settings.visibility, 'public');
+    assert.strictEqual(validateSettings({ visibility: '' }).settings.visibility, 'private');
+    assert.match(validateSettings({ visibility: 'secret' }).error, /public or private/);
+  });
+  
+  await t.test('reads the tie policy and its seed', () => {
+    const { settings } = validateSettings({ tiePolicy: 'random', tieSeed: ' class-3 ' });
+    assert.strictEqual(settings.tiePolicy, 'random');
+    assert.strictEqual(settings.tieSeed, 'class-3');
+    assert.strictEqual(validateSettings({ tieSeed: '' }, settings).settings.tieSeed, 'class-3', 'a blank seed keeps the current one');
+    
+    assert.match(validateSettings({ tiePolicy: 'coin' }).error, /split, random, rebid or none/);
+    assert.match(validateSettings({ tieSeed: 'no spaces' }).error, /Tie seed/);
+  });
+  
+  await t.test('reads item values and the scoring rule', () => {
+    const { settings } = validateSettings({ prizeValues: '10, 20,,5', randomValues: 'private', valueMin: '5', valueMax: '50', scoring: 'surplus' });
+    assert.deepStrictEqual(settings.prizeValues, [10, 20, 5]);
+    assert.strictEqual(settings.randomValues, 'private');
+    assert.strictEqual(settings.valueMax, 50);
+    assert.strictEqual(settings.scoring, 'surplus');
+    assert.deepStrictEqual(validateSettings({ prizeValues: '' }).settings.prizeValues, []);
+    
+    assert.match(validateSettings({ prizeValues: '10, -1' }).error, /Prize values/);
+    assert.match(validateSettings({ randomValues: 'hidden' }).error, /off, common, private or signals/);
+    assert.match(validateSettings({ valueMin: '60', valueMax: '50' }).error, /lowest random value/);
+    assert.match(validateSettings({ scoring: 'elo' }).error, /wins, money, points, surplus or budget/);
+    assert.strictEqual(validateSettings({ randomValues: 'signals', signalNoise: '25' }).settings.signalNoise, 25);
+    assert.match(validateSettings({ signalNoise: '-3' }).error, /Signal noise/);
+  });
+  
+  await t.test('ranks by surplus once items have values, unless told otherwise', () => {
+    assert.strictEqual(validateSettings({ randomValues: 'private' }).settings.scoring, 'surplus');
+    assert.strictEqual(validateSettings({ prizeValues: '10, 20' }).settings.scoring, 'surplus');
+    assert.strictEqual(validateSettings({ randomValues: 'common', scoring: 'wins' }).settings.scoring, 'wins', 'a rule the host picks is kept');
+    assert.strictEqual(validateSettings({ randomValues: 'off' }).settings.scoring, 'wins');
+    
+    // Items that already had values keep whatever rule the game has
+    const { settings } = validateSettings({ randomValues: 'common', scoring: 'money' });
+    assert.strictEqual(validateSettings({ randomValues: 'private' }, settings).settings.scoring, 'money');
+    const kept = validateSettings({ randomValues: 'common', scoring: 'wins' }).settings;
+    assert.strictEqual(validateSettings({ valueMax: '80' }, kept).settings.scoring, 'wins');
+  });
+});
@@ -0,0 +1,112 @@
+// test/game-state.test.js - What each person at a table is sent: players,
+// the host and spectators see different parts of the same game
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { startedGame, listen, visitorSession } = require('./helpers');
+const { placeBet, transferHost, buildGameState, notifyGameUpdated } = require('../app');
+
+// The events of a stream as they arrive, each as { event, data }
+async function* streamEvents(response) {
+  const decoder = new TextDecoder();
+  let buffered = '';
+  for await (const chunk of response.body) {
+    buffered += decoder.decode(chunk, { stream: true });
+    let end;
+    while ((end = buffered.indexOf('\n\n')) !== -1) {
+      const block = buffered.slice(0, end);
+      buffered = buffered.slice(end + 2);
+      const event = block.match(/^event: (.*)$/m);
+      if (event) {
+        yield { event: event[1], data: JSON.parse(block.match(/^data: (.*)$/m)[1]) };
+      }
+    }
+  }
+}
+
+test('only the host is sent the tie seed', (t) => {
+  const game = startedGame(t, { settings: { tiePolicy: 'random', tieSeed: 'class-3' } });
+  const [ann, ben] = game.players;
+  
+  assert.strictEqual(buildGameState(game, ann).settings.tieSeed, 'class-3');
+  assert.strictEqual(buildGameState(game, ben).settings.tieSeed, undefined);
+  assert.strictEqual(buildGameState(game, null).settings.tieSeed, undefined, 'nor are spectators');
+  assert.strictEqual(buildGameState(game, ben).settings.tiePolicy, 'random', 'the rest of the settings are public');
+  assert.strictEqual(game.settings.tieSeed, 'class-3', 'the game keeps its seed');
+  
+  transferHost(game, ben);
+  assert.strictEqual(buildGameState(game, ann).settings.tieSeed, undefined);
+  assert.strictEqual(buildGameState(game, ben).settings.tieSeed, 'class-3');
+});
+
+test('spectators see the table without a seat or anyone\'s secrets', (t) => {
+  const game = startedGame(t, { settings: { randomValues: 'private', valueMin: 10, valueMax: 90 } });
+  const [ann] = game.players;
+  placeBet(game, ann, 40);
+  
+  const state = buildGameState(game, null);
+  assert.strictEqual(state.spectator, true);
+  assert.strictEqual(state.players.length, 2);
+  assert.deepStrictEqual(state.players.map(p => p.hasBet), [true, false]);
+  assert.strictEqual(state.myBet, undefined);
+  assert.strictEqual(state.isMyTurn, false);
+  assert.strictEqual(state.amHost, false);
+  assert.strictEqual(state.itemValue, null, 'private values belong to their players');
+  assert.strictEqual(state.itemSignal, null);
+  assert.strictEqual(state.chat, null);
+  assert.deepStrictEqual(state.lastRoundBets, {}, 'Ann\'s bid stays hidden until the round ends');
+  assert.ok(!state.actualPayments || Object.keys(state.actualPayments).length === 0);
+});
+
+test('watching a game over HTTP takes no seat and can\'t bid', async (t) => {
+  const base = listen(t);
+  const game = startedGame(t, { settings: { tiePolicy: 'random' } });
+  placeBet(game, game.players[0], 35);
+  
+  // A visitor with a session of their own opens the display
+  const { cookie, csrfToken } = await visitorSession(base);
+  assert.strictEqual((await fetch(`${base}/game/${game.id}/watch`, { headers: { cookie } })).status, 200);
+  
+  const state = await (await fetch(`${base}/game/${game.id}/watch/state`, { headers: { cookie } })).json();
+  assert.strictEqual(state.spectator, true);
+  assert.strictEqual(state.players.length, 2, 'the spectator isn\'t counted as a player');
+  assert.strictEqual(state.settings.tieSeed, undefined);
+  assert.deepStrictEqual(state.lastRoundBets, {});
+  assert.strictEqual(state.myBet, undefined);
+  
+  const bet = await fetch(`${base}/game/${game.id}/bet`, {
+    method: 'POST',
+    headers: { cookie, 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken },
+    body: JSON.stringify({ amount: 50 })
+  });
+  assert.strictEqual(bet.status, 403);
+  assert.deepStrictEqual(await bet.json(), { error: 'You are not in this game' });
+  assert.strictEqual(game.players.length, 2);
+  assert.strictEqual(Object.keys(game.bets).length, 1);
+  assert.strictEqual(game.status, 'betting');
+});
+
+test('a stream sends nothing when nothing changed, and the server\'s clock beside each change', async (t) => {
+  const base = listen(t);
+  const game = startedGame(t);
+  const aborter = new AbortController();
+  t.after(() => aborter.abort());
+  
+  const events = streamEvents(await fetch(`${base}/game/${game.id}/watch/events`, { signal: aborter.signal }));
+  const { value: first } = await events.next();
+  assert.strictEqual(first.event, 'state');
+  assert.strictEqual(typeof first.data.serverTime, 'number');
+  assert.strictEqual(buildGameState(game, null).serverTime, undefined, 'the clock is no part of the state');
+  
+  // Were anything sent for this, it would arrive before the bet
+  notifyGameUpdated(game);
+  placeBet(game, game.players[0], 35);
+  notifyGameUpdated(game);
+  
+  const { value: next } = await events.next();
+  assert.strictEqual(next.event, 'diff');
+  assert.ok(Object.keys(next.data.changes).length > 0);
+  assert.strictEqual(next.data.changes.serverTime, undefined);
+  assert.strictEqual(typeof next.data.serverTime, 'number');
+});
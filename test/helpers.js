@@ -0,0 +1,63 @@
+// test/helpers.js - Set-up shared by the tests that drive app.js: tables in
+// the memory store, the app on a free port, and sessions to call it with.
+// Require it before app.js, so the app starts on the memory store.
+
+process.env.GAME_STORE = 'memory';
+process.env.LOG_LEVEL = 'error';
+
+const app = require('../app');
+const { defaultSettings } = require('../game-settings');
+
+// A waiting game in the store, hosted by the first of `players` with the rest
+// joined. A facilitated game is opened from the dashboard instead, and its
+// first player to join hosts it. Its timers are cleared when the test ends.
+function openGame(t, { players = ['Ann'], settings = {}, gameMode = 'standard', facilitated = false } = {}) {
+  const game = app.createGame(gameMode, Object.assign(defaultSettings(), settings), facilitated ? null : players[0]);
+  game.facilitated = facilitated;
+  app.saveGame(game);
+  players.slice(facilitated ? 0 : 1).forEach(name => app.joinGame(game, name));
+  t.after(() => app.clearGameTimers(game.id));
+  return game;
+}
+
+// The same, started, with Ann hosting and Ben joined unless told otherwise
+function startedGame(t, options = {}) {
+  const game = openGame(t, Object.assign({ players: ['Ann', 'Ben'] }, options));
+  app.startGame(game);
+  return game;
+}
+
+// Start the app on a free port for one test and give its base URL
+function listen(t) {
+  const server = app.listen(0);
+  t.after(() => server.close());
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+// The session cookie from a response, ready to send back
+function sessionCookie(response) {
+  return response.headers.get('set-cookie').split(';')[0];
+}
+
+// A session sitting in a player's seat, taken with their rejoin link
+async function seatSession(base, game, player) {
+  const rejoin = await fetch(`${base}/game/${game.id}/rejoin/${player.rejoinToken}`, { redirect: 'manual' });
+  return sessionCookie(rejoin);
+}
+
+// A visitor's session and its CSRF token, from the home page
+async function visitorSession(base) {
+  const home = await fetch(`${base}/`);
+  const cookie = sessionCookie(home);
+  const csrfToken = (await home.text()).match(/name="_csrf" value="([^"]+)"/)[1];
+  return { cookie, csrfToken };
+}
+
+module.exports = {
+  openGame,
+  startedGame,
+  listen,
+  sessionCookie,
+  seatSession,
+  visitorSession
+};
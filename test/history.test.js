@@ -0,0 +1,103 @@
+// test/history.test.js - The round history endpoint and the post-game
+// analytics worked out from it
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { startedGame, listen, seatSession } = require('./helpers');
+const { startGame, placeBet, placeAwayBets, removePlayer, advanceRound, resetGame } = require('../app');
+const { roundsOfGame, roundRows, finalStandings, bankrollSeries } = require('../public/js/game-analytics');
+
+// A table that has played a whole game of three rounds, and the first round
+// of the next. Cy is away for round 2 and removed after it.
+function finishedGame(t) {
+  const game = startedGame(t, { players: ['Ann', 'Ben', 'Cy'], settings: { totalRounds: 3, autoBid: 5 } });
+  const [ann, ben, cy] = game.players;
+  
+  placeBet(game, ann, 30);
+  placeBet(game, ben, 20);
+  placeBet(game, cy, 10);
+  advanceRound(game);
+  
+  cy.away = true;
+  placeAwayBets(game);
+  placeBet(game, ann, 10);
+  placeBet(game, ben, 40);
+  removePlayer(game, cy);
+  advanceRound(game);
+  
+  placeBet(game, ann, 25);
+  placeBet(game, ben, 15);
+  assert.strictEqual(game.status, 'gameComplete');
+  
+  resetGame(game);
+  startGame(game);
+  placeBet(game, ann, 50);
+  placeBet(game, ben, 0);
+  
+  return { game, ann, ben, cy };
+}
+
+test('the history endpoint gives every completed round to the players', async (t) => {
+  const base = listen(t);
+  const { game, ann, ben, cy } = finishedGame(t);
+  
+  const cookie = await seatSession(base, game, ben);
+  const response = await fetch(`${base}/game/${game.id}/history`, { headers: { cookie } });
+  assert.strictEqual(response.status, 200);
+  const history = await response.json();
+  
+  assert.strictEqual(history.gameId, game.id);
+  assert.strictEqual(history.gameNumber, 2);
+  assert.strictEqual(history.settings.startingMoney, 100);
+  assert.deepStrictEqual(history.players.map(p => p.name), ['Ann', 'Ben', 'Cy'], 'removed players keep their rounds');
+  assert.deepStrictEqual(history.rounds.map(r => [r.gameNumber, r.round]), [[1, 1], [1, 2], [1, 3], [2, 1]]);
+  
+  const [first, second] = history.rounds;
+  assert.deepStrictEqual(first.bids, { [ann.id]: 30, [ben.id]: 20, [cy.id]: 10 });
+  assert.deepStrictEqual(first.winners, [ann.id]);
+  assert.strictEqual(first.balances[ann.id], 70);
+  assert.deepStrictEqual(second.autoBids, [cy.id]);
+  assert.strictEqual(second.bids[cy.id], 5);
+  
+  assert.strictEqual((await fetch(`${base}/game/${game.id}/history`)).status, 403, 'outsiders get nothing');
+  assert.strictEqual((await fetch(`${base}/game/NOPE/history`)).status, 404);
+});
+
+test('the analytics break a finished game down by player', (t) => {
+  const { game } = finishedGame(t);
+  const players = game.players.concat(game.formerPlayers);
+  const rounds = roundsOfGame({ rounds: game.history }, 1);
+  assert.deepStrictEqual(rounds.map(r => r.round), [1, 2, 3], 'the next game\'s rounds are left out');
+  
+  const rows = roundRows(players, rounds);
+  assert.deepStrictEqual(rows[0], {
+    round: 1,
+    winFraction: 1,
+    cells: [
+      { bid: 30, paid: 30, auto: false, won: true },
+      { bid: 20, paid: 0, auto: false, won: false },
+      { bid: 10, paid: 0, auto: false, won: false }
+    ]
+  });
+  assert.deepStrictEqual(rows[1].cells[2], { bid: 5, paid: 0, auto: true, won: false }, 'Cy\'s bid was placed for him');
+  assert.strictEqual(rows[2].cells[2], null, 'Cy had left by round 3');
+  
+  assert.deepStrictEqual(finalStandings(players, rounds), [
+    { money: 45, roundsWon: 2 },
+    { money: 60, roundsWon: 1 },
+    null
+  ]);
+  
+  assert.deepStrictEqual(bankrollSeries(players, rounds, 100).slice(0, 2), [
+    { name: 'Ann', data: [100, 70, 70, 45] },
+    { name: 'Ben', data: [100, 100, 60, 60] }
+  ]);
+});
+
+test('analytics of a game with no rounds are empty', () => {
+  const players = [{ id: 'a', name: 'Ann' }];
+  assert.deepStrictEqual(roundRows(players, []), []);
+  assert.deepStrictEqual(finalStandings(players, []), [null]);
+  assert.deepStrictEqual(bankrollSeries(players, [], 100), [{ name: 'Ann', data: [100] }]);
+});
@@ -0,0 +1,130 @@
+// test/item-values.test.js - Item values per round and scoring by value
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { PLACE_POINTS, usesItemValues, drawItemValues, drawSignals, roundPoints, roundSurplus, addValueWon, playerScore, compareStandings, overallLeaders } = require('../item-values');
+const { defaultSettings } = require('../game-settings');
+
+function makeGame(settings = {}, players = []) {
+  return {
+    currentRound: 1,
+    settings: Object.assign(defaultSettings(), settings),
+    players: players.length > 0 ? players : [{ id: 'a' }, { id: 'b' }]
+  };
+}
+
+test('usesItemValues', () => {
+  assert.strictEqual(usesItemValues(defaultSettings()), false);
+  assert.strictEqual(usesItemValues(makeGame({ prizeValues: [5] }).settings), true);
+  assert.strictEqual(usesItemValues(makeGame({ scoring: 'budget' }).settings), true);
+  assert.strictEqual(usesItemValues(makeGame({ scoring: 'points' }).settings), false);
+});
+
+test('drawItemValues', async (t) => {
+  await t.test('every round is worth 1 by default', () => {
+    assert.deepStrictEqual(drawItemValues(makeGame()), { a: 1, b: 1 });
+  });
+  
+  await t.test('uses the prize value for the round, repeating the last one', () => {
+    const game = makeGame({ prizeValues: [10, 30] });
+    assert.deepStrictEqual(drawItemValues(game), { a: 10, b: 10 });
+    game.currentRound = 5;
+    assert.deepStrictEqual(drawItemValues(game), { a: 30, b: 30 });
+  });
+  
+  await t.test('draws one common value or one value per player', () => {
+    const draws = [0, 0.5, 0.999];
+    const random = () => draws.shift();
+    assert.deepStrictEqual(drawItemValues(makeGame({ randomValues: 'common', valueMin: 10, valueMax: 20 }), random), { a: 10, b: 10 });
+    assert.deepStrictEqual(drawItemValues(makeGame({ randomValues: 'private', valueMin: 10, valueMax: 20 }), random), { a: 15, b: 20 });
+  });
+});
+
+test('drawSignals', async (t) => {
+  await t.test('only games with signals get them', () => {
+    assert.strictEqual(drawSignals(makeGame({ randomValues: 'common' }), { a: 5, b: 5 }), null);
+  });
+  
+  await t.test('spreads each signal around the hidden value, never below 0', () => {
+    const draws = [0, 0.999, 0];
+    const random = () => draws.shift();
+    const game = makeGame({ randomValues: 'signals', signalNoise: 10 }, [{ id: 'a' }, { id: 'b' }, { id: 'c' }]);
+    assert.deepStrictEqual(drawSignals(game, { a: 50, b: 50, c: 50 }, random), { a: 40, b: 60, c: 40 });
+    
+    const low = [0, 0, 0];
+    assert.deepStrictEqual(drawSignals(game, { a: 5, b: 5, c: 5 }, () => low.shift()), { a: 0, b: 0, c: 0 });
+  });
+});
+
+test('roundSurplus is the value of the share won minus the payment', () => {
+  const game = makeGame({}, [{ id: 'a' }, { id: 'b' }, { id: 'c' }]);
+  game.itemValues = { a: 30, b: 40, c: 50 };
+  assert.deepStrictEqual(
+    roundSurplus(game, { winners: ['a', 'b'], winFraction: 0.5, payments: { a: 20, b: 20, c: 5 } }),
+    { a: -5, b: 0, c: -5 }
+  );
+});
+
+test('addValueWon gives tied winners their share, to the cent', () => {
+  assert.strictEqual(addValueWon(undefined, 30, 1), 30);
+  assert.strictEqual(addValueWon(0.1, 0.5, 0.4), 0.3);
+});
+
+test('scoring rules', async (t) => {
+  const players = [
+    { id: 'saver', roundsWon: 1, valueWon: 20, money: 90 },
+    { id: 'spender', roundsWon: 2, valueWon: 60, money: 20 },
+    { id: 'middle', roundsWon: 1, valueWon: 40, money: 60 }
+  ];
+  const order = game => [...game.players].sort(compareStandings(game)).map(p => p.id);
+  
+  await t.test('wins: rounds won, then money', () => {
+    assert.deepStrictEqual(order(makeGame({}, players)), ['spender', 'saver', 'middle']);
+  });
+  
+  await t.test('surplus: value won minus money spent', () => {
+    const game = makeGame({ scoring: 'surplus' }, players);
+    assert.deepStrictEqual(players.map(p => playerScore(game, p)), [10, -20, 0]);
+    assert.deepStrictEqual(order(game), ['saver', 'middle', 'spender']);
+    assert.strictEqual(playerScore(game, { valueWon: 20, money: 90, surplus: 7 }), 7, 'uses the surplus added up each round');
+  });
+  
+  await t.test('budget: value won, whatever was left unspent', () => {
+    assert.deepStrictEqual(order(makeGame({ scoring: 'budget' }, players)), ['spender', 'middle', 'saver']);
+  });
+  
+  await t.test('money: only the money left counts', () => {
+    assert.deepStrictEqual(order(makeGame({ scoring: 'money' }, players)), ['saver', 'middle', 'spender']);
+  });
+  
+  await t.test('points: points won each round by place', () => {
+    const game = makeGame({ scoring: 'points' }, players.map((p, i) => Object.assign({ points: [17, 15, 20][i] }, p)));
+    assert.deepStrictEqual(order(game), ['middle', 'saver', 'spender']);
+  });
+});
+
+test('roundPoints', async (t) => {
+  const game = bets => Object.assign(makeGame({}, ['a', 'b', 'c', 'd'].map(id => ({ id }))), { bets });
+  
+  await t.test('the winner is first and the other bidders are placed by bid', () => {
+    const points = roundPoints(game({ a: 30, b: 20, c: 10 }), { winners: ['a'] });
+    assert.deepStrictEqual(points, { a: PLACE_POINTS[0], b: PLACE_POINTS[1], c: PLACE_POINTS[2], d: 0 });
+  });
+  
+  await t.test('tied winners all score first place and equal bids share a place', () => {
+    const points = roundPoints(game({ a: 30, b: 30, c: 10, d: 10 }), { winners: ['a', 'b'] });
+    assert.deepStrictEqual(points, { a: PLACE_POINTS[0], b: PLACE_POINTS[0], c: PLACE_POINTS[2], d: PLACE_POINTS[2] });
+  });
+  
+  await t.test('when nobody wins, the bidders start from second place', () => {
+    const points = roundPoints(game({ a: 30, b: 30 }), { winners: [] });
+    assert.deepStrictEqual(points, { a: PLACE_POINTS[1], b: PLACE_POINTS[1], c: 0, d: 0 });
+  });
+});
+
+test('overallLeaders lists everyone level on first place', () => {
+  const players = [{ id: 'a', roundsWon: 2, money: 40 }, { id: 'b', roundsWon: 2, money: 40 }, { id: 'c', roundsWon: 1, money: 90 }];
+  assert.deepStrictEqual(overallLeaders(makeGame({}, players)).map(p => p.id), ['a', 'b']);
+  assert.deepStrictEqual(overallLeaders(makeGame({ scoring: 'money' }, players)).map(p => p.id), ['c']);
+});
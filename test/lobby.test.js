@@ -0,0 +1,59 @@
+// test/lobby.test.js - Which games the lobby lists, and joining them
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { openGame } = require('./helpers');
+const { joinGame, startGame, buildLobbyList } = require('../app');
+
+function listedIds() {
+  return buildLobbyList().map(entry => entry.id);
+}
+
+test('the lobby lists public games that are waiting for players', (t) => {
+  const open = openGame(t, { settings: { visibility: 'public', maxPlayers: 4 } });
+  const hidden = openGame(t, { settings: { visibility: 'private' } });
+  const started = openGame(t, { settings: { visibility: 'public' } });
+  joinGame(started, 'Ben');
+  startGame(started);
+  
+  const ids = listedIds();
+  assert.ok(ids.includes(open.id));
+  assert.ok(!ids.includes(hidden.id), 'private games are joined by code only');
+  assert.ok(!ids.includes(started.id), 'games under way can\'t be joined');
+  
+  const entry = buildLobbyList().find(e => e.id === open.id);
+  assert.strictEqual(entry.hostName, 'Ann');
+  assert.strictEqual(entry.playerCount, 1);
+  assert.strictEqual(entry.maxPlayers, 4);
+});
+
+test('a public game made private leaves the lobby', (t) => {
+  const game = openGame(t, { settings: { visibility: 'public' } });
+  assert.ok(listedIds().includes(game.id));
+  
+  game.settings.visibility = 'private';
+  assert.ok(!listedIds().includes(game.id));
+});
+
+test('joining stops at the player cap', (t) => {
+  const game = openGame(t, { settings: { visibility: 'public', maxPlayers: 3 } });
+  
+  assert.ok(joinGame(game, 'Ben').player);
+  assert.ok(joinGame(game, 'Cy').player);
+  assert.deepStrictEqual(joinGame(game, 'Dee'), { error: 'Game is full', code: 'conflict' });
+  assert.deepStrictEqual(game.players.map(p => p.name), ['Ann', 'Ben', 'Cy']);
+  
+  // A full game still shows in the lobby, as full
+  const entry = buildLobbyList().find(e => e.id === game.id);
+  assert.strictEqual(entry.playerCount, entry.maxPlayers);
+});
+
+test('joining is refused once the game has started or the name is taken', (t) => {
+  const game = openGame(t);
+  assert.deepStrictEqual(joinGame(game, 'Ann'), { error: 'Username already taken in this game', code: 'conflict' });
+  
+  joinGame(game, 'Ben');
+  startGame(game);
+  assert.deepStrictEqual(joinGame(game, 'Cy'), { error: 'Game has already started', code: 'conflict' });
+});
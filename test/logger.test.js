@@ -0,0 +1,85 @@
+// test/logger.test.js - Log levels, JSON lines and request IDs
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseLogLevel, createLogger, requestLogging } = require('../logger');
+
+// A logger whose lines are collected as parsed objects
+function collectingLogger(level) {
+  const lines = [];
+  const log = createLogger({ level, write: line => lines.push(JSON.parse(line)) });
+  return { log, lines };
+}
+
+// Just enough of a request and response for requestLogging
+function fakeExchange(headers = {}) {
+  const finishHandlers = [];
+  const req = { method: 'GET', originalUrl: '/game/ABC/state', get: name => headers[name] };
+  const res = {
+    statusCode: 200,
+    headers: {},
+    set(name, value) {
+      this.headers[name] = value;
+    },
+    on(event, handler) {
+      finishHandlers.push(handler);
+    },
+    finish: () => finishHandlers.forEach(handler => handler())
+  };
+  return { req, res };
+}
+
+test('parseLogLevel falls back to info', () => {
+  assert.strictEqual(parseLogLevel('DEBUG'), 'debug');
+  assert.strictEqual(parseLogLevel('warn'), 'warn');
+  assert.strictEqual(parseLogLevel('verbose'), 'info');
+  assert.strictEqual(parseLogLevel(undefined), 'info');
+});
+
+test('lines below the level are dropped, the rest are JSON with their fields', () => {
+  const { log, lines } = collectingLogger('warn');
+  log.info('Game ABC started', { gameId: 'ABC' });
+  log.warn('Game ABC not found', { gameId: 'ABC' });
+  log.error('Could not save', { err: new Error('disk full') });
+  
+  assert.deepStrictEqual(lines.map(l => [l.level, l.msg]), [['warn', 'Game ABC not found'], ['error', 'Could not save']]);
+  assert.strictEqual(lines[0].gameId, 'ABC');
+  assert.ok(!Number.isNaN(Date.parse(lines[0].time)));
+  assert.strictEqual(lines[1].err.message, 'disk full');
+  assert.match(lines[1].err.stack, /disk full/);
+});
+
+test('lines written while handling a request carry its ID', async () => {
+  const { log, lines } = collectingLogger('debug');
+  const { req, res } = fakeExchange({ 'X-Request-Id': 'front-door-42' });
+  
+  await new Promise(resolve => {
+    requestLogging(log)(req, res, () => {
+      // Timers started by the request keep its ID too
+      setTimeout(() => {
+        log.info('Bot bet', { gameId: 'ABC' });
+        resolve();
+      }, 1);
+    });
+  });
+  log.info('Cleaned up 2 inactive games');
+  res.finish();
+  
+  assert.strictEqual(req.id, 'front-door-42');
+  assert.strictEqual(res.headers['X-Request-Id'], 'front-door-42');
+  assert.deepStrictEqual(lines.map(l => [l.msg, l.requestId]), [
+    ['Bot bet', 'front-door-42'],
+    ['Cleaned up 2 inactive games', undefined],
+    ['Request finished', 'front-door-42']
+  ]);
+  assert.strictEqual(lines[2].status, 200);
+  assert.strictEqual(lines[2].path, '/game/ABC/state');
+});
+
+test('request IDs that are not plain are replaced', () => {
+  const { log } = collectingLogger('info');
+  const { req, res } = fakeExchange({ 'X-Request-Id': 'bad id\n{"level":"error"}' });
+  requestLogging(log)(req, res, () => {});
+  assert.match(req.id, /^[0-9a-f]{16}$/);
+});
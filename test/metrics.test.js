@@ -0,0 +1,56 @@
+// test/metrics.test.js - The Prometheus text format /metrics serves
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createRegistry } = require('../metrics');
+
+test('counters and gauges are written with their labels', () => {
+  const metrics = createRegistry();
+  const rounds = metrics.counter('rounds_total', 'Rounds completed');
+  let games = 3;
+  metrics.gauge('games', 'Games', () => games);
+  metrics.gauge('players', 'Players', () => [{ labels: { kind: 'bot' }, value: 2 }]);
+  
+  rounds.inc({ mode: 'vickrey' });
+  rounds.inc({ mode: 'vickrey' });
+  rounds.inc({ mode: 'all-pay' }, 3);
+  games = 4;
+  
+  assert.strictEqual(metrics.render(), [
+    '# HELP rounds_total Rounds completed',
+    '# TYPE rounds_total counter',
+    'rounds_total{mode="vickrey"} 2',
+    'rounds_total{mode="all-pay"} 3',
+    '# HELP games Games',
+    '# TYPE games gauge',
+    'games 4',
+    '# HELP players Players',
+    '# TYPE players gauge',
+    'players{kind="bot"} 2',
+    ''
+  ].join('\n'));
+});
+
+test('histograms count every observation into each bucket it fits', () => {
+  const metrics = createRegistry();
+  const latency = metrics.histogram('bet_seconds', 'Bet latency', [0.1, 1]);
+  latency.observe(0.05);
+  latency.observe(0.5);
+  latency.observe(2);
+  
+  const lines = metrics.render().split('\n');
+  assert.deepStrictEqual(lines.slice(2, 7), [
+    'bet_seconds_bucket{le="0.1"} 1',
+    'bet_seconds_bucket{le="1"} 2',
+    'bet_seconds_bucket{le="+Inf"} 3',
+    'bet_seconds_sum 2.55',
+    'bet_seconds_count 3'
+  ]);
+});
+
+test('label values are escaped', () => {
+  const metrics = createRegistry();
+  metrics.counter('odd_total', 'Odd labels').inc({ name: 'say "hi"\\now\n' });
+  assert.match(metrics.render(), /odd_total\{name="say \\"hi\\"\\\\now\\n"\} 1/);
+});
@@ -0,0 +1,99 @@
+// test/players.test.js - Seats over a game: taking one back with a rejoin link,
+// being kicked, and being away
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { startedGame, listen, sessionCookie } = require('./helpers');
+const { placeBet, placeAwayBets, removePlayer, advanceRound } = require('../app');
+
+test('a rejoin link gives the seat back in a new session', async (t) => {
+  const base = listen(t);
+  const game = startedGame(t);
+  const [, ben] = game.players;
+  placeBet(game, ben, 25);
+  ben.away = true;
+  
+  const rejoin = await fetch(`${base}/game/${game.id}/rejoin/${ben.rejoinToken}`, { redirect: 'manual' });
+  assert.strictEqual(rejoin.status, 302);
+  assert.strictEqual(rejoin.headers.get('location'), `/game/${game.id}`);
+  assert.strictEqual(ben.away, false, 'coming back ends being away');
+  
+  const cookie = sessionCookie(rejoin);
+  const state = await (await fetch(`${base}/game/${game.id}/state`, { headers: { cookie } })).json();
+  assert.strictEqual(state.myBet, 25, 'the new session is Ben\'s seat');
+  assert.strictEqual(state.amHost, false);
+  
+  const wrong = await fetch(`${base}/game/${game.id}/rejoin/not-a-token`, { redirect: 'manual' });
+  assert.strictEqual(wrong.headers.get('location'), '/');
+  
+  removePlayer(game, ben);
+  const kicked = await fetch(`${base}/game/${game.id}/rejoin/${ben.rejoinToken}`, { redirect: 'manual' });
+  assert.strictEqual(kicked.headers.get('location'), '/', 'a removed player\'s link stops working');
+});
+
+test('kicking the last player to bid finishes the round', (t) => {
+  const game = startedGame(t, { players: ['Ann', 'Ben', 'Cy'] });
+  const [ann, ben, cy] = game.players;
+  
+  placeBet(game, ann, 30);
+  placeBet(game, cy, 20);
+  assert.strictEqual(game.status, 'betting');
+  
+  removePlayer(game, ben);
+  assert.strictEqual(game.status, 'roundComplete');
+  assert.deepStrictEqual(game.roundWinners, [ann.id]);
+  assert.strictEqual(game.lastRoundBets[ben.id], undefined);
+  assert.deepStrictEqual(game.formerPlayers.map(p => p.name), ['Ben']);
+});
+
+test('kicking a player drops their bid and the round waits for the rest', (t) => {
+  const game = startedGame(t, { players: ['Ann', 'Ben', 'Cy'] });
+  const [ann, ben, cy] = game.players;
+  
+  placeBet(game, ben, 90);
+  removePlayer(game, ben);
+  assert.strictEqual(game.bets[ben.id], undefined);
+  assert.strictEqual(game.status, 'betting');
+  
+  placeBet(game, ann, 10);
+  placeBet(game, cy, 20);
+  assert.deepStrictEqual(game.roundWinners, [cy.id]);
+});
+
+test('away players get the automatic bid and are not waited for', (t) => {
+  const game = startedGame(t, { players: ['Ann', 'Ben', 'Cy'], settings: { autoBid: 5, totalRounds: 3 } });
+  const [ann, ben, cy] = game.players;
+  
+  cy.away = true;
+  placeAwayBets(game);
+  assert.strictEqual(game.bets[cy.id], 5);
+  assert.deepStrictEqual(game.autoBidPlayers, [cy.id]);
+  
+  placeBet(game, ann, 30);
+  placeBet(game, ben, 20);
+  assert.strictEqual(game.status, 'roundComplete', 'the round doesn\'t wait for Cy');
+  assert.strictEqual(game.lastRoundBets[cy.id], 5);
+  
+  // Still away when the next round starts: bid for straight away
+  advanceRound(game);
+  assert.strictEqual(game.currentRound, 2);
+  assert.strictEqual(game.bets[cy.id], 5);
+  assert.strictEqual(game.bets[ann.id], undefined);
+  
+  // Once back, Cy bids again in person
+  cy.away = false;
+  placeBet(game, ann, 10);
+  placeBet(game, ben, 10);
+  advanceRound(game);
+  assert.strictEqual(game.bets[cy.id], undefined);
+});
+
+test('an away player can\'t be bid for beyond their money', (t) => {
+  const game = startedGame(t, { settings: { autoBid: 500 } });
+  const [, ben] = game.players;
+  
+  ben.away = true;
+  placeAwayBets(game);
+  assert.strictEqual(game.bets[ben.id], ben.money);
+});
@@ -0,0 +1,105 @@
+// test/round-timers.test.js - The timers that move a round along without the
+// host: the bid deadline with its automatic bids, and the next round starting
+// by itself, and the countdowns players are sent for them
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { startedGame } = require('./helpers');
+const { gameTimers, placeBet, buildGameState, buildTimedGameState } = require('../app');
+
+const START = 1000000;
+
+function eventsOf(game, type) {
+  return game.log.filter(e => e.type === type);
+}
+
+test('when bids close, everyone who hasn\'t bid gets the automatic bid', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: START });
+  const game = startedGame(t, { players: ['Ann', 'Ben', 'Cat'], settings: { bidTimeLimit: 10, autoBid: 25, totalRounds: 3 } });
+  const [ann, ben, cat] = game.players;
+  cat.money = 15;
+  
+  placeBet(game, ann, 30);
+  t.mock.timers.tick(9999);
+  assert.strictEqual(game.status, 'betting');
+  assert.deepStrictEqual(game.autoBidPlayers, []);
+  
+  t.mock.timers.tick(1);
+  assert.strictEqual(game.status, 'roundComplete');
+  assert.deepStrictEqual(game.lastRoundBets, { [ann.id]: 30, [ben.id]: 25, [cat.id]: 15 }, 'no more than a player has left');
+  assert.deepStrictEqual(game.autoBidPlayers, [ben.id, cat.id]);
+  assert.deepStrictEqual(game.roundWinners, [ann.id]);
+  
+  assert.deepStrictEqual(eventsOf(game, 'bet').map(e => [e.playerId, e.amount, e.auto, e.at]), [
+    [ann.id, 30, false, START],
+    [ben.id, 25, true, START + 10000],
+    [cat.id, 15, true, START + 10000]
+  ]);
+  assert.strictEqual(eventsOf(game, 'roundClosed').length, 1);
+  assert.strictEqual(game.log[game.log.length - 1].type, 'roundClosed');
+});
+
+test('a deadline that passes after everyone has bid does nothing', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: START });
+  const game = startedGame(t, { settings: { bidTimeLimit: 10, autoBid: 25, totalRounds: 3 } });
+  const [ann, ben] = game.players;
+  
+  placeBet(game, ann, 30);
+  placeBet(game, ben, 20);
+  assert.strictEqual(gameTimers[game.id].bidDeadline, undefined);
+  
+  t.mock.timers.tick(10000);
+  assert.strictEqual(game.currentRound, 1);
+  assert.deepStrictEqual(game.autoBidPlayers, []);
+  assert.strictEqual(eventsOf(game, 'bet').length, 2);
+});
+
+test('the next round starts by itself after the delay, with a new deadline', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: START });
+  const game = startedGame(t, { settings: { bidTimeLimit: 10, autoAdvanceDelay: 3, totalRounds: 2 } });
+  const [ann, ben] = game.players;
+  
+  t.mock.timers.tick(4000);
+  placeBet(game, ann, 30);
+  placeBet(game, ben, 20);
+  assert.strictEqual(game.status, 'roundComplete');
+  assert.strictEqual(game.nextRoundAt, START + 7000);
+  
+  t.mock.timers.tick(2999);
+  assert.strictEqual(game.currentRound, 1);
+  
+  t.mock.timers.tick(1);
+  assert.strictEqual(game.status, 'betting');
+  assert.strictEqual(game.currentRound, 2);
+  assert.strictEqual(game.nextRoundAt, null);
+  assert.strictEqual(game.bidDeadline, START + 17000);
+  assert.strictEqual(eventsOf(game, 'nextRound').length, 1);
+  
+  // The last round ends the game, and there's no next round to start
+  placeBet(game, ann, 30);
+  placeBet(game, ben, 20);
+  assert.strictEqual(game.status, 'gameComplete');
+  assert.strictEqual(game.nextRoundAt, null);
+  assert.strictEqual(gameTimers[game.id].autoAdvance, undefined);
+});
+
+test('players are sent the deadlines and the server\'s clock to count down with', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: START });
+  const game = startedGame(t, { settings: { bidTimeLimit: 10, autoAdvanceDelay: 3, totalRounds: 2 } });
+  const [ann, ben] = game.players;
+  
+  let state = buildGameState(game, ann);
+  assert.strictEqual(state.bidDeadline, START + 10000);
+  assert.strictEqual(state.nextRoundAt, null);
+  
+  t.mock.timers.tick(2500);
+  assert.strictEqual(buildTimedGameState(game, ann).serverTime, START + 2500);
+  
+  placeBet(game, ann, 30);
+  placeBet(game, ben, 20);
+  state = buildGameState(game, ben);
+  assert.strictEqual(state.bidDeadline, null, 'the round is over, so is its deadline');
+  assert.strictEqual(state.nextRoundAt, START + 5500);
+  assert.strictEqual(buildGameState(game, null).nextRoundAt, START + 5500, 'spectators count down too');
+});
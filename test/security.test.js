@@ -0,0 +1,184 @@
+// test/security.test.js - Secrets, CORS, CSRF, rate limits and username checks
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  MAX_USERNAME_LENGTH,
+  loadSessionSecret,
+  parseAllowedOrigins,
+  corsMiddleware,
+  csrfProtection,
+  clientAddress,
+  rateLimit,
+  sanitizeUsername
+} = require('../security');
+
+// Just enough of Express's req/res for the middleware
+function makeReq(options = {}) {
+  const headers = options.headers || {};
+  return {
+    method: options.method || 'GET',
+    path: '/game/ABC/bet',
+    ip: options.ip || '1.2.3.4',
+    body: options.body || {},
+    session: options.session || {},
+    xhr: false,
+    get: name => headers[name.toLowerCase()]
+  };
+}
+
+function makeRes() {
+  const res = {
+    headers: {},
+    locals: {},
+    statusCode: 200,
+    header(name, value) { res.headers[name] = value; return res; },
+    set(name, value) { res.headers[name] = value; return res; },
+    status(code) { res.statusCode = code; return res; },
+    json(body) { res.body = body; return res; },
+    sendStatus(code) { res.statusCode = code; return res; },
+    redirect(location) { res.statusCode = 302; res.location = location; return res; }
+  };
+  return res;
+}
+
+function run(middleware, req, res) {
+  let calledNext = false;
+  middleware(req, res, () => {
+    calledNext = true;
+  });
+  return calledNext;
+}
+
+test('loadSessionSecret', async (t) => {
+  await t.test('uses SESSION_SECRET when set', () => {
+    assert.strictEqual(loadSessionSecret({ SESSION_SECRET: 'abc' }), 'abc');
+  });
+  
+  await t.test('refuses to run without one in production', () => {
+    assert.throws(() => loadSessionSecret({ NODE_ENV: 'production' }), /SESSION_SECRET/);
+  });
+  
+  await t.test('makes up a random one elsewhere', () => {
+    const first = loadSessionSecret({});
+    assert.strictEqual(first.length, 64);
+    assert.notStrictEqual(first, loadSessionSecret({}));
+  });
+});
+
+test('CORS only answers listed origins', () => {
+  const middleware = corsMiddleware(parseAllowedOrigins(' https://a.example/, https://b.example ,'));
+  
+  const allowed = makeRes();
+  assert.ok(run(middleware, makeReq({ headers: { origin: 'https://a.example' } }), allowed));
+  assert.strictEqual(allowed.headers['Access-Control-Allow-Origin'], 'https://a.example');
+  
+  const other = makeRes();
+  assert.ok(run(middleware, makeReq({ headers: { origin: 'https://evil.example' } }), other));
+  assert.strictEqual(other.headers['Access-Control-Allow-Origin'], undefined);
+  
+  const preflight = makeRes();
+  assert.ok(!run(middleware, makeReq({ method: 'OPTIONS' }), preflight));
+  assert.strictEqual(preflight.statusCode, 204);
+});
+
+test('csrfProtection', async (t) => {
+  await t.test('hands out a token on GET and lets it through', () => {
+    const req = makeReq();
+    const res = makeRes();
+    assert.ok(run(csrfProtection, req, res));
+    assert.strictEqual(res.locals.csrfToken, req.session.csrfToken);
+    assert.strictEqual(res.locals.csrfToken.length, 48);
+  });
+  
+  await t.test('accepts the token as a header or form field', () => {
+    const session = { csrfToken: 'a'.repeat(48) };
+    assert.ok(run(csrfProtection, makeReq({ method: 'POST', session, headers: { 'x-csrf-token': 'a'.repeat(48) } }), makeRes()));
+    assert.ok(run(csrfProtection, makeReq({ method: 'POST', session, body: { _csrf: 'a'.repeat(48) } }), makeRes()));
+  });
+  
+  await t.test('rejects JSON posts with a 403 and forms with a redirect', () => {
+    const session = { csrfToken: 'a'.repeat(48) };
+    
+    const jsonRes = makeRes();
+    assert.ok(!run(csrfProtection, makeReq({ method: 'POST', session, headers: { 'content-type': 'application/json', 'x-csrf-token': 'b'.repeat(48) } }), jsonRes));
+    assert.strictEqual(jsonRes.statusCode, 403);
+    assert.match(jsonRes.body.error, /reload/);
+    
+    const formReq = makeReq({ method: 'POST', session });
+    const formRes = makeRes();
+    assert.ok(!run(csrfProtection, formReq, formRes));
+    assert.strictEqual(formRes.location, '/');
+    assert.match(formReq.session.error, /reload/);
+  });
+});
+
+test('rateLimit allows max requests per window per address', () => {
+  const limiter = rateLimit({ windowMs: 60000, max: 2, message: 'Slow down' });
+  const headers = { 'content-type': 'application/json' };
+  
+  assert.ok(run(limiter, makeReq({ headers }), makeRes()));
+  assert.ok(run(limiter, makeReq({ headers }), makeRes()));
+  
+  const limited = makeRes();
+  assert.ok(!run(limiter, makeReq({ headers }), limited));
+  assert.strictEqual(limited.statusCode, 429);
+  assert.deepStrictEqual(limited.body, { error: 'Slow down', code: 'rate_limited' });
+  assert.strictEqual(limited.headers['Retry-After'], '60');
+  
+  // Other addresses have their own count
+  assert.ok(run(limiter, makeReq({ headers, ip: '5.6.7.8' }), makeRes()));
+  
+  // but a new connection from the same client doesn't start a new one
+  assert.ok(!run(limiter, makeReq({ headers, ip: '1.2.3.4:50123' }), makeRes()));
+});
+
+test('clientAddress drops the port and IPv6 wrapping from forwarded addresses', () => {
+  assert.strictEqual(clientAddress(makeReq({ ip: '203.0.113.5:61234' })), '203.0.113.5');
+  assert.strictEqual(clientAddress(makeReq({ ip: '::ffff:203.0.113.5' })), '203.0.113.5');
+  assert.strictEqual(clientAddress(makeReq({ ip: '[2001:db8::1]:443' })), '2001:db8::1');
+  assert.strictEqual(clientAddress(makeReq({ ip: '2001:db8::1' })), '2001:db8::1');
+});
+
+test('clients behind the proxy get a join limit each', async (t) => {
+  process.env.TRUST_PROXY = '1';
+  const { listen, visitorSession } = require('./helpers');
+  const base = listen(t);
+  const { cookie, csrfToken } = await visitorSession(base);
+  
+  const join = forwardedFor => fetch(`${base}/game/join`, {
+    method: 'POST',
+    redirect: 'manual',
+    headers: { cookie, 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken, 'X-Forwarded-For': forwardedFor },
+    body: JSON.stringify({ username: 'Ann', gameId: 'NOPE' })
+  });
+  
+  // One classroom's worth of joins from a single address uses up its limit...
+  for (let i = 0; i < 20; i++) {
+    assert.notStrictEqual((await join(`203.0.113.5:${40000 + i}`)).status, 429);
+  }
+  assert.strictEqual((await join('203.0.113.5:41000')).status, 429);
+  
+  // ...and leaves everyone else's alone
+  assert.notStrictEqual((await join('198.51.100.7:40000')).status, 429);
+});
+
+test('sanitizeUsername', async (t) => {
+  await t.test('trims and collapses whitespace', () => {
+    assert.deepStrictEqual(sanitizeUsername('  Ada   Lovelace '), { name: 'Ada Lovelace' });
+  });
+  
+  await t.test('drops markup and control characters', () => {
+    assert.deepStrictEqual(sanitizeUsername('<img src=x>Bob\u0007'), { name: 'img src=xBob' });
+    assert.deepStrictEqual(sanitizeUsername("O'Brien & Co"), { name: "O'Brien & Co" });
+  });
+  
+  await t.test('rejects blank, missing and overlong names', () => {
+    assert.ok(sanitizeUsername(' <> ').error);
+    assert.ok(sanitizeUsername(undefined).error);
+    assert.ok(sanitizeUsername(['a', 'b']).error);
+    assert.ok(sanitizeUsername('x'.repeat(MAX_USERNAME_LENGTH)).name);
+    assert.match(sanitizeUsername('x'.repeat(MAX_USERNAME_LENGTH + 1)).error, /at most 20/);
+  });
+});
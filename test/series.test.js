@@ -0,0 +1,75 @@
+// test/series.test.js - Series scoring and tournament brackets
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { DEFAULT_POINTS, rankGame, awardPoints, cumulativeStandings, splitIntoTables, validateBracket } = require('../series');
+
+function finishedGame(players, winnerId) {
+  return {
+    players: players.map(([id, roundsWon, money]) => ({ id, name: id.toUpperCase(), roundsWon, money })),
+    overallWinner: winnerId ? { id: winnerId } : null
+  };
+}
+
+test('rankGame puts the overall winner first, then wins, then money', () => {
+  const game = finishedGame([['a', 2, 50], ['b', 2, 80], ['c', 3, 10], ['d', 0, 100]], 'b');
+  assert.deepStrictEqual(rankGame(game).map(p => [p.playerId, p.place]), [['b', 1], ['c', 2], ['a', 3], ['d', 4]]);
+});
+
+test('rankGame gives players it cannot separate the same place', () => {
+  const game = finishedGame([['a', 2, 50], ['b', 2, 50], ['c', 1, 90]], null);
+  assert.deepStrictEqual(rankGame(game).map(p => [p.playerId, p.place]), [['a', 1], ['b', 1], ['c', 3]]);
+});
+
+test('awardPoints scores by place and gives nothing past the table', () => {
+  const placings = [1, 2, 7].map(place => ({ playerId: String(place), place }));
+  assert.deepStrictEqual(awardPoints(placings).map(p => p.points), [DEFAULT_POINTS[0], DEFAULT_POINTS[1], 0]);
+  assert.deepStrictEqual(awardPoints(placings, [3, 1]).map(p => p.points), [3, 1, 0]);
+});
+
+test('cumulativeStandings adds up points across games', () => {
+  const results = [
+    { placings: [{ playerId: 'a', name: 'A', place: 1, points: 10 }, { playerId: 'b', name: 'B', place: 2, points: 7 }] },
+    { placings: [{ playerId: 'b', name: 'B', place: 1, points: 10 }, { playerId: 'a', name: 'A', place: 2, points: 7 }] },
+    { placings: [{ playerId: 'b', name: 'Bea', place: 2, points: 7 }, { playerId: 'a', name: 'A', place: 1, points: 10 }] }
+  ];
+  const standings = cumulativeStandings(results);
+  assert.deepStrictEqual(standings.map(s => [s.key, s.points, s.wins, s.rank]), [['a', 27, 2, 1], ['b', 24, 1, 2]]);
+  assert.strictEqual(standings[1].name, 'Bea');
+  assert.strictEqual(standings[1].gamesPlayed, 3);
+});
+
+test('cumulativeStandings can match players by another key', () => {
+  const results = [
+    { placings: [{ playerId: 'p1', entrantId: 'e1', name: 'A', place: 1, points: 10 }] },
+    { placings: [{ playerId: 'p9', entrantId: 'e1', name: 'A', place: 1, points: 10 }] }
+  ];
+  assert.strictEqual(cumulativeStandings(results, p => p.entrantId)[0].points, 20);
+});
+
+test('splitIntoTables', async (t) => {
+  await t.test('keeps tables within one player of each other', () => {
+    const tables = splitIntoTables(Array.from({ length: 10 }, (_, i) => i + 1), 4);
+    assert.deepStrictEqual(tables.map(table => table.length).sort(), [3, 3, 4]);
+  });
+  
+  await t.test('deals seeds out in snake order', () => {
+    assert.deepStrictEqual(splitIntoTables([1, 2, 3, 4, 5, 6], 3), [[1, 4, 5], [2, 3, 6]]);
+  });
+  
+  await t.test('uses one table when everyone fits', () => {
+    assert.deepStrictEqual(splitIntoTables([1, 2, 3], 4), [[1, 2, 3]]);
+  });
+  
+  await t.test('never seats a player alone', () => {
+    assert.deepStrictEqual(splitIntoTables([1, 2, 3, 4, 5], 2).map(table => table.length).sort(), [2, 3]);
+  });
+});
+
+test('validateBracket', () => {
+  assert.deepStrictEqual(validateBracket(4, 2), {});
+  assert.match(validateBracket(1, 1).error, /Table size/);
+  assert.match(validateBracket(4, 4).error, /fewer than the table size/);
+  assert.match(validateBracket(4, 0).error, /at least 1/);
+});
@@ -0,0 +1,68 @@
+// test/state-diff.test.js - The differences pushed to game pages over event streams
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { diffGameState, isEmptyDiff, applyStateDiff } = require('../public/js/state-diff');
+
+function state(overrides) {
+  return Object.assign({
+    status: 'betting',
+    currentRound: 2,
+    players: [{ id: 'a', name: 'Ann', money: 80 }, { id: 'b', name: 'Ben', money: 90 }],
+    settings: { startingMoney: 100, tieSplits: [0.5, 0.33, 0.25, 0.2] },
+    myBet: undefined
+  }, overrides);
+}
+
+test('a round where nothing changed gives an empty diff', () => {
+  const diff = diffGameState(state(), state());
+  assert.deepStrictEqual(diff, { changes: {}, removed: [] });
+  assert.strictEqual(isEmptyDiff(diff), true);
+});
+
+test('players joining and leaving send the whole new player list', () => {
+  const before = state();
+  const joined = state({ players: before.players.concat([{ id: 'c', name: 'Cat', money: 100 }]) });
+  assert.deepStrictEqual(diffGameState(before, joined), { changes: { players: joined.players }, removed: [] });
+  
+  const left = state({ players: [before.players[1]] });
+  const diff = diffGameState(before, left);
+  assert.deepStrictEqual(diff.changes.players.map(p => p.id), ['b']);
+  assert.deepStrictEqual(applyStateDiff(before, diff), left);
+});
+
+test('a nested settings change sends the settings again', () => {
+  const before = state();
+  const after = state({ settings: { startingMoney: 100, tieSplits: [1, 0.33, 0.25, 0.2] } });
+  assert.deepStrictEqual(diffGameState(before, after), { changes: { settings: after.settings }, removed: [] });
+});
+
+test('fields that become undefined or go missing are removed', () => {
+  const before = state({ myBet: 20, tiebreak: { amount: 20 } });
+  const after = state();
+  delete after.tiebreak;
+  
+  const diff = diffGameState(before, after);
+  assert.deepStrictEqual(diff, { changes: {}, removed: ['myBet', 'tiebreak'] });
+  
+  const merged = applyStateDiff(before, diff);
+  assert.strictEqual('myBet' in merged, false);
+  assert.strictEqual('tiebreak' in merged, false);
+  assert.strictEqual(before.myBet, 20, 'the old state is left as it was');
+});
+
+test('applying each diff in turn keeps a client in step with the server', () => {
+  const states = [
+    state(),
+    state({ players: [{ id: 'a', name: 'Ann', money: 60 }, { id: 'b', name: 'Ben', money: 90 }], myBet: 20 }),
+    state({ status: 'roundComplete', myBet: 20 }),
+    state({ status: 'betting', currentRound: 3 })
+  ];
+  
+  let client = states[0];
+  for (let i = 1; i < states.length; i++) {
+    client = applyStateDiff(client, diffGameState(states[i - 1], states[i]));
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(client)), JSON.parse(JSON.stringify(states[i])));
+  }
+});
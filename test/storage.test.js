@@ -0,0 +1,222 @@
+// test/storage.test.js - Stores and the session store built on them
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createStore, defaultDataDir, MemoryStore, FileStore, StoreSessionStore } = require('../storage');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'betting-game-'));
+}
+
+test('memory store', async (t) => {
+  await t.test('keeps collections separate', () => {
+    const store = new MemoryStore();
+    store.set('games', 'ABC', { id: 'ABC' });
+    store.set('sessions', 'ABC', { user: 'x' });
+    assert.deepStrictEqual(store.get('games', 'ABC'), { id: 'ABC' });
+    assert.deepStrictEqual(store.keys('sessions'), ['ABC']);
+    store.delete('games', 'ABC');
+    assert.strictEqual(store.get('games', 'ABC'), undefined);
+    assert.deepStrictEqual(store.values('games'), []);
+  });
+  
+  await t.test('does not return inherited properties', () => {
+    assert.strictEqual(new MemoryStore().get('games', 'constructor'), undefined);
+  });
+});
+
+test('file store', async (t) => {
+  await t.test('reloads everything that was flushed', () => {
+    const dataDir = tempDir();
+    const store = new FileStore(dataDir);
+    const game = { id: 'ABC', players: [{ id: 'p1', money: 100 }] };
+    store.set('games', game.id, game);
+    
+    // Changes made in place are picked up by the next write
+    game.players[0].money = 70;
+    store.flush();
+    
+    const reloaded = new FileStore(dataDir);
+    assert.strictEqual(reloaded.get('games', 'ABC').players[0].money, 70);
+  });
+  
+  await t.test('writes only the records that changed', () => {
+    const dataDir = tempDir();
+    const store = new FileStore(dataDir);
+    store.set('games', 'ABC', { id: 'ABC' });
+    store.set('games', 'DEF', { id: 'DEF' });
+    store.set('sessions', 'a/b+c', { user: 'x' });
+    store.flush();
+    assert.deepStrictEqual(fs.readdirSync(path.join(dataDir, 'games')).sort(), ['ABC.json', 'DEF.json']);
+    
+    const untouched = path.join(dataDir, 'games', 'DEF.json');
+    fs.writeFileSync(untouched, JSON.stringify({ id: 'DEF', marker: true }));
+    store.set('games', 'ABC', { id: 'ABC', round: 2 });
+    store.delete('sessions', 'a/b+c');
+    store.flush();
+    
+    assert.strictEqual(JSON.parse(fs.readFileSync(untouched, 'utf8')).marker, true, 'a game nobody changed is not rewritten');
+    assert.deepStrictEqual(fs.readdirSync(path.join(dataDir, 'sessions')), []);
+    
+    const reloaded = new FileStore(dataDir);
+    assert.strictEqual(reloaded.get('games', 'ABC').round, 2);
+    assert.strictEqual(reloaded.get('sessions', 'a/b+c'), undefined);
+  });
+  
+  await t.test('splits up a store saved in a single file', () => {
+    const dataDir = tempDir();
+    fs.writeFileSync(path.join(dataDir, 'store.json'), JSON.stringify({ games: { ABC: { id: 'ABC' } }, accounts: { u1: { id: 'u1' } } }));
+    
+    const store = new FileStore(dataDir);
+    assert.deepStrictEqual(store.get('games', 'ABC'), { id: 'ABC' });
+    store.flush();
+    assert.strictEqual(fs.existsSync(path.join(dataDir, 'store.json')), false);
+    assert.deepStrictEqual(new FileStore(dataDir).get('accounts', 'u1'), { id: 'u1' });
+  });
+  
+  await t.test('writes shortly after a change without an explicit flush', async () => {
+    const dataDir = tempDir();
+    const store = new FileStore(dataDir, { writeDelay: 5 });
+    store.set('games', 'ABC', { id: 'ABC' });
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.ok(new FileStore(dataDir).get('games', 'ABC'));
+  });
+  
+  await t.test('sets an unreadable record aside and loads the rest', () => {
+    const dataDir = tempDir();
+    fs.mkdirSync(path.join(dataDir, 'games'));
+    fs.writeFileSync(path.join(dataDir, 'games', 'ABC.json'), '{not json');
+    fs.writeFileSync(path.join(dataDir, 'games', 'DEF.json'), '{"id":"DEF"}');
+    const store = new FileStore(dataDir);
+    assert.deepStrictEqual(store.keys('games'), ['DEF']);
+    assert.ok(fs.readdirSync(path.join(dataDir, 'games')).some(name => name.includes('.broken-')));
+  });
+  
+  await t.test('check reports a data directory it cannot write to', () => {
+    const dataDir = tempDir();
+    assert.strictEqual(new FileStore(dataDir).check(), null);
+    assert.strictEqual(new MemoryStore().check(), null);
+    
+    // A file where the data directory should be
+    const notADir = path.join(dataDir, 'file');
+    fs.writeFileSync(notADir, '{}');
+    assert.match(new FileStore(path.join(notADir, 'data')).check(), /Cannot write to/);
+  });
+  
+  await t.test('a failed write is reported and retried instead of throwing', async () => {
+    const filePath = path.join(tempDir(), 'file');
+    const dataDir = path.join(filePath, 'data');
+    const store = new FileStore(dataDir, { writeDelay: 5, retryDelay: 5 });
+    
+    // A file where the data directory should be makes every write fail
+    fs.writeFileSync(filePath, '');
+    store.set('games', 'ABC', { id: 'ABC' });
+    assert.strictEqual(store.flush(), false);
+    assert.match(store.check(), /Could not save to/);
+    
+    // The retry timer must not throw either
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.match(store.check(), /Could not save to/);
+    
+    // Once the directory can be made, the pending change is written
+    fs.unlinkSync(filePath);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.strictEqual(store.check(), null);
+    assert.ok(new FileStore(dataDir).get('games', 'ABC'));
+  });
+  
+  await t.test('flush skips the write when nothing changed', () => {
+    const dataDir = tempDir();
+    const store = new FileStore(dataDir);
+    assert.strictEqual(store.flush(), true);
+    assert.deepStrictEqual(fs.readdirSync(dataDir), []);
+  });
+  
+  await t.test('createStore picks the store type', () => {
+    assert.ok(createStore({ type: 'memory' }) instanceof MemoryStore);
+    assert.ok(createStore({ type: 'file', dataDir: tempDir() }) instanceof FileStore);
+    assert.throws(() => createStore({ type: 'redis' }), /Unknown GAME_STORE/);
+  });
+  
+  await t.test('on App Service the data is kept out of the folder a deploy replaces', () => {
+    assert.strictEqual(defaultDataDir({ WEBSITE_SITE_NAME: 'foolsPrize', HOME: '/home' }), path.join('/home', 'data', 'betting-game'));
+    assert.strictEqual(defaultDataDir({ HOME: '/home/ann' }), path.join(__dirname, '..', 'data'));
+  });
+});
+
+test('session store', async (t) => {
+  const later = () => new Date(Date.now() + 60000).toISOString();
+  const earlier = () => new Date(Date.now() - 60000).toISOString();
+  
+  await t.test('saves, loads and destroys sessions', async () => {
+    const sessions = new StoreSessionStore(new MemoryStore());
+    sessions.set('sid', { cookie: { expires: later() }, user: { gameId: 'ABC' } });
+    
+    const loaded = await new Promise(resolve => sessions.get('sid', (err, sess) => resolve(sess)));
+    assert.deepStrictEqual(loaded.user, { gameId: 'ABC' });
+    
+    sessions.destroy('sid');
+    const destroyed = await new Promise(resolve => sessions.get('sid', (err, sess) => resolve(sess)));
+    assert.strictEqual(destroyed, null);
+  });
+  
+  await t.test('survives a restart of a file store', async () => {
+    const dataDir = tempDir();
+    const store = new FileStore(dataDir);
+    new StoreSessionStore(store).set('sid', { cookie: { expires: later() }, user: { playerId: 'p1' } });
+    store.flush();
+    
+    const sessions = new StoreSessionStore(new FileStore(dataDir));
+    const loaded = await new Promise(resolve => sessions.get('sid', (err, sess) => resolve(sess)));
+    assert.strictEqual(loaded.user.playerId, 'p1');
+  });
+  
+  await t.test('drops expired sessions', async () => {
+    const store = new MemoryStore();
+    const sessions = new StoreSessionStore(store);
+    sessions.set('old', { cookie: { expires: earlier() } });
+    sessions.set('new', { cookie: { expires: later() } });
+    
+    assert.strictEqual(sessions.clearExpired(), 1);
+    assert.deepStrictEqual(store.keys('sessions'), ['new']);
+    
+    sessions.set('old', { cookie: { expires: earlier() } });
+    const loaded = await new Promise(resolve => sessions.get('old', (err, sess) => resolve(sess)));
+    assert.strictEqual(loaded, null);
+  });
+  
+  await t.test('touch refreshes the expiry', () => {
+    const store = new MemoryStore();
+    const sessions = new StoreSessionStore(store);
+    sessions.set('sid', { cookie: { expires: earlier() }, user: 'x' });
+    const expires = later();
+    sessions.touch('sid', { cookie: { expires } });
+    assert.strictEqual(store.get('sessions', 'sid').cookie.expires, expires);
+    assert.strictEqual(store.get('sessions', 'sid').user, 'x');
+  });
+  
+  await t.test('touch only saves once the expiry has moved on a while', () => {
+    const store = new MemoryStore();
+    const sessions = new StoreSessionStore(store, { touchInterval: 60000 });
+    const expires = new Date(Date.now() + 3600000);
+    sessions.set('sid', { cookie: { expires: expires.toISOString() } });
+    
+    let writes = 0;
+    const set = store.set.bind(store);
+    store.set = (...args) => {
+      writes++;
+      set(...args);
+    };
+    
+    sessions.touch('sid', { cookie: { expires: new Date(expires.getTime() + 1000).toISOString() } });
+    assert.strictEqual(writes, 0);
+    assert.strictEqual(store.get('sessions', 'sid').cookie.expires, expires.toISOString());
+    
+    sessions.touch('sid', { cookie: { expires: new Date(expires.getTime() + 60000).toISOString() } });
+    assert.strictEqual(writes, 1);
+  });
+});
@@ -0,0 +1,160 @@
+// test/tournament-play.test.js - Tournaments and series played through
+// app.js: tables finishing, winners moving on, and a series changing mode
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { openGame } = require('./helpers');
+const { getGame, startGame, placeBet, removePlayer, resetGame, clearGameTimers, startTournamentStage, saveTournament } = require('../app');
+const { DEFAULT_POINTS } = require('../series');
+const { defaultSettings } = require('../game-settings');
+
+let tournamentCount = 0;
+
+// A tournament of one-round games, entrants e0, e1, ... in seed order, with
+// the first stage seated
+function startTournament(t, names, { tableSize = 2, advancePerTable = 1 } = {}) {
+  tournamentCount++;
+  const tournament = {
+    id: `CUP${tournamentCount}`,
+    createdAt: Date.now(),
+    name: 'Test Cup',
+    organiserId: 'e0',
+    gameMode: 'standard',
+    settings: Object.assign(defaultSettings(), { totalRounds: 1, roundsToWin: 1, maxPlayers: tableSize, visibility: 'private' }),
+    tableSize: tableSize,
+    advancePerTable: advancePerTable,
+    points: DEFAULT_POINTS,
+    status: 'registering',
+    entrants: names.map((name, i) => ({ id: `e${i}`, name: name, accountId: null })),
+    stages: [],
+    results: [],
+    championId: null
+  };
+  saveTournament(tournament);
+  t.after(() => tournament.stages.forEach(stage => stage.tables.forEach(table => clearGameTimers(table.gameId))));
+  
+  startTournamentStage(tournament, tournament.entrants.map(e => e.id));
+  return tournament;
+}
+
+function seatOf(tournament, entrantId) {
+  const seat = tournament.entrants.find(e => e.id === entrantId).seat;
+  return getGame(seat.gameId).players.find(p => p.id === seat.playerId);
+}
+
+// Play a table's one round, each entrant in `bids` bidding what it says
+function playTable(tournament, table, bids) {
+  const game = getGame(table.gameId);
+  startGame(game);
+  Object.keys(bids).forEach(entrantId => placeBet(game, seatOf(tournament, entrantId), bids[entrantId]));
+  assert.strictEqual(game.status, 'gameComplete');
+  return game;
+}
+
+function eliminated(tournament) {
+  return tournament.entrants.filter(e => e.eliminatedInStage).map(e => [e.id, e.eliminatedInStage]);
+}
+
+test('table winners move on to the next stage until one is champion', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1000000 });
+  const tournament = startTournament(t, ['Ann', 'Ben', 'Cat', 'Dan']);
+  const [first, second] = tournament.stages[0].tables;
+  assert.deepStrictEqual([first.entrantIds, second.entrantIds], [['e0', 'e3'], ['e1', 'e2']]);
+  assert.strictEqual(getGame(first.gameId).tournamentId, tournament.id);
+  assert.ok(seatOf(tournament, 'e0').host, 'the top seed hosts');
+  
+  playTable(tournament, first, { e0: 20, e3: 40 });
+  assert.strictEqual(first.complete, true);
+  assert.strictEqual(tournament.stages.length, 1, 'the stage waits for its other table');
+  
+  playTable(tournament, second, { e1: 50, e2: 10 });
+  assert.strictEqual(tournament.stages.length, 2);
+  assert.deepStrictEqual(tournament.stages[1].tables.map(table => table.entrantIds), [['e3', 'e1']], 'the winner with more money left is seeded first');
+  assert.deepStrictEqual(eliminated(tournament), [['e0', 1], ['e2', 1]]);
+  assert.strictEqual(seatOf(tournament, 'e3').name, 'Dan', 'winners are seated at the new table');
+  
+  playTable(tournament, tournament.stages[1].tables[0], { e1: 10, e3: 30 });
+  assert.strictEqual(tournament.status, 'complete');
+  assert.strictEqual(tournament.championId, 'e3');
+  assert.deepStrictEqual(eliminated(tournament), [['e0', 1], ['e1', 2], ['e2', 1]]);
+  assert.strictEqual(tournament.results.length, 3);
+  
+  // A tournament table plays one game only
+  assert.deepStrictEqual(resetGame(getGame(first.gameId)), { error: 'Tournament tables play a single game', code: 'conflict' });
+});
+
+test('a drawn final is played again between the players who drew', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1000000 });
+  const tournament = startTournament(t, ['Ann', 'Ben']);
+  
+  const drawn = playTable(tournament, tournament.stages[0].tables[0], { e0: 30, e1: 30 });
+  assert.strictEqual(drawn.overallWinner, null);
+  assert.deepStrictEqual(tournament.stages[0].tables[0].placings.map(p => p.place), [1, 1]);
+  assert.strictEqual(tournament.status, 'playing');
+  assert.strictEqual(tournament.championId, null);
+  assert.strictEqual(tournament.stages.length, 2);
+  assert.notStrictEqual(tournament.stages[1].tables[0].gameId, drawn.id);
+  assert.deepStrictEqual(eliminated(tournament), []);
+  
+  playTable(tournament, tournament.stages[1].tables[0], { e0: 10, e1: 30 });
+  assert.strictEqual(tournament.status, 'complete');
+  assert.strictEqual(tournament.championId, 'e1');
+});
+
+test('an entrant kicked from a table is out, and the rest of the table plays on', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1000000 });
+  const tournament = startTournament(t, ['Ann', 'Ben', 'Cat', 'Dan', 'Eve', 'Fay'], { tableSize: 3 });
+  const [first, second] = tournament.stages[0].tables;
+  assert.deepStrictEqual([first.entrantIds, second.entrantIds], [['e0', 'e3', 'e4'], ['e1', 'e2', 'e5']]);
+  
+  const game = getGame(first.gameId);
+  startGame(game);
+  removePlayer(game, seatOf(tournament, 'e4'));
+  placeBet(game, seatOf(tournament, 'e0'), 20);
+  placeBet(game, seatOf(tournament, 'e3'), 10);
+  assert.strictEqual(game.status, 'gameComplete');
+  assert.deepStrictEqual(first.placings.map(p => p.entrantId), ['e0', 'e3'], 'the kicked entrant isn\'t placed');
+  
+  playTable(tournament, second, { e1: 10, e2: 20, e5: 30 });
+  assert.deepStrictEqual(tournament.stages[1].tables.map(table => table.entrantIds), [['e0', 'e5']]);
+  assert.deepStrictEqual(eliminated(tournament), [['e1', 1], ['e2', 1], ['e3', 1], ['e4', 1]]);
+});
+
+test('a series plays its schedule of modes across resets, then plays one-off games', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1000000 });
+  const game = openGame(t, { players: ['Ann', 'Ben'], settings: { totalRounds: 1, roundsToWin: 1 } });
+  const [ann, ben] = game.players;
+  game.series = { name: 'Class series', schedule: ['vickrey', 'all-pay', 'standard'], points: DEFAULT_POINTS, results: [], complete: false };
+  game.gameMode = 'vickrey';
+  
+  const play = (annBid, benBid) => {
+    startGame(game);
+    placeBet(game, ann, annBid);
+    placeBet(game, ben, benBid);
+    assert.strictEqual(game.status, 'gameComplete');
+  };
+  
+  play(30, 20);
+  assert.strictEqual(ann.money, 80, 'Ann paid the second price');
+  
+  resetGame(game);
+  assert.strictEqual(game.gameMode, 'all-pay');
+  assert.strictEqual(ann.money, 100);
+  play(10, 20);
+  assert.strictEqual(ann.money, 90, 'everyone pays in all-pay');
+  
+  resetGame(game);
+  assert.strictEqual(game.gameMode, 'standard');
+  play(30, 20);
+  assert.strictEqual(ann.money, 70, 'Ann paid her own bid');
+  
+  assert.deepStrictEqual(game.series.results.map(r => [r.gameMode, r.placings[0].playerId]), [['vickrey', ann.id], ['all-pay', ben.id], ['standard', ann.id]]);
+  assert.strictEqual(game.series.complete, true);
+  assert.deepStrictEqual(game.log.filter(e => e.type === 'reset').map(e => e.gameMode), ['all-pay', 'standard']);
+  
+  // Once the series is over, the table is back to one-off games in the last mode
+  resetGame(game);
+  assert.strictEqual(game.series, null);
+  assert.strictEqual(game.gameMode, 'standard');
+});